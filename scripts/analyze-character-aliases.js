@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+
+const { analyzeAliases, formatAliasReport } = require('../src/alias-analyzer');
+
+// Report alias conflicts in character-aliases.json. Misrouted aliases and unreachable names
+// fail the run; shadowing aliases are warnings unless --strict is passed.
+function main() {
+	const strict = process.argv.slice(2).includes('--strict');
+	const report = analyzeAliases();
+
+	console.log(formatAliasReport(report));
+
+	const failures = report.misroutedAliases.length
+		+ report.unreachableNames.length
+		+ (strict ? report.shadowingAliases.length : 0);
+
+	if (failures > 0) {
+		process.exit(1);
+	}
+}
+
+main();
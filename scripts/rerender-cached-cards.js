@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+// Re-render cached report cards from their stored analyses, e.g. after a template change.
+// Does not call the builds API; heroes cached before analyses were stored are skipped.
+//
+//   node scripts/rerender-cached-cards.js [--dry-run] [--hero "Hero Name"]
+
+const {
+	loadGameData,
+	generateReportImage,
+	renderPool,
+	cacheManager
+} = require('../src/briar-bot.js');
+
+function parseArgs(argv) {
+	const args = { heroes: [] };
+
+	for (let index = 0; index < argv.length; index += 1) {
+		if (argv[index] === '--dry-run') {
+			args.dryRun = true;
+		} else if (argv[index] === '--hero' && argv[index + 1]) {
+			args.heroes.push(argv[index + 1]);
+			index += 1;
+		}
+	}
+
+	return args;
+}
+
+async function main() {
+	const args = parseArgs(process.argv.slice(2));
+	const heroes = args.heroes.length > 0 ? args.heroes : cacheManager.listCachedAnalyses();
+
+	if (heroes.length === 0) {
+		console.log('No cached analyses to re-render.');
+		return;
+	}
+
+	// Icons and set names come from the game data
+	await loadGameData();
+
+	let rendered = 0;
+	let skipped = 0;
+
+	for (const heroName of heroes) {
+		const stored = cacheManager.getCachedAnalysis(heroName);
+		if (!stored) {
+			console.log(`⏭️  ${heroName}: no stored analysis`);
+			skipped += 1;
+			continue;
+		}
+
+		if (args.dryRun) {
+			console.log(`🔍 ${heroName}: would re-render (analysis fetched ${stored.fetchedAt})`);
+			continue;
+		}
+
+		// The stored fetchedAt is kept, so re-rendering does not extend the entry's TTL
+		const screenshot = await generateReportImage(stored.analysis);
+		await cacheManager.cacheHeroImage(heroName, screenshot, stored.analysis);
+		console.log(`🖼️  ${heroName}: re-rendered`);
+		rendered += 1;
+	}
+
+	console.log(`Done: ${rendered} re-rendered, ${skipped} skipped.`);
+}
+
+main()
+	.catch(error => {
+		console.error(error);
+		process.exitCode = 1;
+	})
+	.finally(() => renderPool.close());
@@ -3,8 +3,12 @@
 const fs = require('fs');
 const path = require('path');
 
+const GameDataSnapshotStore = require('../src/game-data-snapshots');
+const { findHeroesMissingFromNames } = require('../src/game-data-refresh');
+
 const characterDataPath = path.join(__dirname, '..', 'assets', 'data', 'character-names.json');
 const characterAliasDataPath = path.join(__dirname, '..', 'assets', 'data', 'character-aliases.json');
+const snapshotDir = process.env.GAME_DATA_SNAPSHOT_DIR || path.join(__dirname, '..', 'cache', 'gamedata');
 
 function parseArgs(argv) {
 	const args = {};
@@ -17,6 +21,12 @@ function parseArgs(argv) {
 			continue;
 		}
 
+		// Bare flags such as --dry-run
+		if (next === undefined || next.startsWith('--')) {
+			args[current.slice(2)] = true;
+			continue;
+		}
+
 		args[current.slice(2)] = next;
 		index += 1;
 	}
@@ -72,13 +82,127 @@ function ensureAliasTarget(existingValue, expectedCharacter, alias) {
 	}
 }
 
+// Read herodata from a raw herodata.json, a game data snapshot, or the newest snapshot ("latest")
+function readHeroData(source) {
+	if (source === 'latest') {
+		const snapshot = new GameDataSnapshotStore({ snapshotDir }).loadLatestSnapshot();
+		if (!snapshot) {
+			throw new Error(`No game data snapshot found in ${snapshotDir}`);
+		}
+		console.log(`Using game data snapshot ${snapshot.version} (${snapshot.savedAt})`);
+		return snapshot.heroData;
+	}
+
+	const data = readJson(path.resolve(source));
+	return data.heroData || data;
+}
+
+// Moonlight heroes (code c2xxx) share their number with the original hero (c1xxx)
+function findMoonlightOriginal(character, heroData) {
+	const entries = Object.entries(heroData).map(([key, hero]) => ({ name: hero?.name || key, code: hero?.code || '' }));
+	const hero = entries.find((entry) => normalizeAlias(entry.name) === normalizeAlias(character));
+	const match = hero && hero.code.match(/^c2(\d{3})$/);
+	if (!match) {
+		return null;
+	}
+
+	const original = entries.find((entry) => entry.code === `c1${match[1]}`);
+	return original ? original.name : null;
+}
+
+// Candidate abbreviations for a name, e.g. "Seaside Bellona" -> sb, sbellona, sea bellona,
+// plus "ml" and the original's name for Moonlight heroes, e.g. "Arbiter Vildred" -> mlvildred
+function generateAliasProposals(character, heroData = {}) {
+	const words = normalizeAlias(character).split(' ').filter(Boolean);
+	const proposals = new Set();
+
+	if (words.length >= 2) {
+		const lastWord = words[words.length - 1];
+		proposals.add(words.map((word) => word.charAt(0)).join(''));
+		proposals.add(`${words[0].charAt(0)}${lastWord}`);
+		proposals.add(`${words[0].slice(0, 3)} ${lastWord}`);
+	}
+
+	const original = findMoonlightOriginal(character, heroData);
+	if (original) {
+		proposals.add(`ml${normalizeAlias(original).replace(/ /g, '')}`);
+	}
+
+	return [...proposals].filter((alias) => alias.length >= 2);
+}
+
+// Reconcile character-names.json against herodata
+function syncFromHeroData(args, files = { characterDataPath, characterAliasDataPath }) {
+	const heroData = readHeroData(args['sync-herodata']);
+	const dryRun = args['dry-run'] === true;
+	const characterData = readJson(files.characterDataPath);
+	const characterAliasData = readJson(files.characterAliasDataPath);
+	const aliases = characterAliasData.aliases || {};
+
+	const missingHeroes = findHeroesMissingFromNames(heroData, characterData.characters);
+	const upstreamNames = new Set(Object.entries(heroData).map(([key, hero]) => normalizeAlias(hero?.name || key)));
+	const staleNames = characterData.characters.filter((character) => !upstreamNames.has(normalizeAlias(character)));
+
+	console.log(`Herodata lists ${upstreamNames.size} heroes; character-names.json lists ${characterData.characters.length}.`);
+
+	if (missingHeroes.length > 0) {
+		console.log(`\nMissing heroes (${missingHeroes.length}):`);
+		missingHeroes.forEach((character) => console.log(`  + ${character}`));
+	} else {
+		console.log('\nNo missing heroes.');
+	}
+
+	if (staleNames.length > 0) {
+		console.log(`\nNames not found upstream (${staleNames.length}, left untouched):`);
+		staleNames.forEach((character) => console.log(`  ? ${character}`));
+	}
+
+	// Alias proposals are printed for review only, never written automatically
+	const takenAliases = new Set([
+		...Object.keys(aliases),
+		...characterData.characters.map((character) => normalizeAlias(character)),
+		...missingHeroes.map((character) => normalizeAlias(character))
+	]);
+	const proposals = missingHeroes
+		.map((character) => ({
+			character,
+			aliases: generateAliasProposals(character, heroData).filter((alias) => !takenAliases.has(alias))
+		}))
+		.filter((proposal) => proposal.aliases.length > 0);
+
+	if (proposals.length > 0) {
+		console.log('\nProposed aliases (review, then add with --character/--aliases):');
+		proposals.forEach((proposal) => console.log(`  ${proposal.character}: ${proposal.aliases.join(', ')}`));
+	}
+
+	const result = { missingHeroes, staleNames, proposals };
+
+	if (missingHeroes.length === 0 || dryRun) {
+		if (dryRun && missingHeroes.length > 0) {
+			console.log('\nDry run: character-names.json was not modified.');
+		}
+		return result;
+	}
+
+	characterData.characters = sortStrings([...characterData.characters, ...missingHeroes]);
+	writeJson(files.characterDataPath, characterData);
+	console.log(`\nAdded ${missingHeroes.length} hero(es) to character-names.json.`);
+	return result;
+}
+
 function main() {
 	const args = parseArgs(process.argv.slice(2));
+
+	if (args['sync-herodata']) {
+		syncFromHeroData(args);
+		return;
+	}
+
 	const character = (args.character || '').trim();
 	const aliases = splitAliases(args.aliases || '');
 
 	if (!character) {
-		throw new Error('Missing required argument: --character "Full Character Name"');
+		throw new Error('Missing required argument: --character "Full Character Name" (or --sync-herodata <herodata.json|snapshot.json|latest>)');
 	}
 
 	const characterData = readJson(characterDataPath);
@@ -123,9 +247,20 @@ function main() {
 	}
 }
 
-try {
-	main();
-} catch (error) {
-	console.error(error.message);
-	process.exit(1);
+if (require.main === module) {
+	try {
+		main();
+	} catch (error) {
+		console.error(error.message);
+		process.exit(1);
+	}
 }
+
+module.exports = {
+	parseArgs,
+	normalizeAlias,
+	splitAliases,
+	readHeroData,
+	generateAliasProposals,
+	syncFromHeroData
+};
@@ -0,0 +1,136 @@
+const {
+    findCharacterCandidates,
+    normalizeText,
+    characterNames,
+    communityAbbreviations
+} = require('./character-search');
+
+// Inputs people commonly type for a hero besides the full name: each word of three or more
+// letters ("bellona") and the initials of multi-word names ("sb")
+function getCommonInputs(character) {
+    const words = normalizeText(character).split(' ').filter(Boolean);
+    const inputs = new Set(words.filter(word => word.length >= 3));
+
+    if (words.length > 1) {
+        inputs.add(words.map(word => word[0]).join(''));
+    }
+
+    return [...inputs];
+}
+
+function toTargets(aliasValue) {
+    return Array.isArray(aliasValue) ? aliasValue : [aliasValue];
+}
+
+// The heroes an input resolves to: every candidate tied with the top score
+function resolveInput(input, options) {
+    const candidates = findCharacterCandidates(input, 5, options);
+    if (candidates.length === 0) {
+        return [];
+    }
+
+    return candidates
+        .filter(candidate => candidate.confidence === candidates[0].confidence)
+        .map(candidate => candidate.character);
+}
+
+function sameTargets(left, right) {
+    return left.length === right.length && left.every(character => right.includes(character));
+}
+
+// Run every alias and canonical name through the search pipeline and report:
+// - misroutedAliases: aliases that resolve to heroes other than the ones declared
+// - unreachableNames: canonical names that do not resolve to themselves
+// - shadowingAliases: aliases that capture another hero's common input (a word of its name
+//   or its initials) which would otherwise have resolved to that hero
+function analyzeAliases({ aliases = communityAbbreviations } = {}) {
+    const names = characterNames;
+    const report = {
+        misroutedAliases: [],
+        unreachableNames: [],
+        shadowingAliases: []
+    };
+
+    for (const [alias, aliasValue] of Object.entries(aliases)) {
+        const declared = toTargets(aliasValue);
+        const resolved = resolveInput(alias, { aliases });
+
+        // The alias pass returns declared targets verbatim, so unknown heroes need their own check
+        const unknownTargets = declared.filter(character => !names.includes(character));
+
+        if (unknownTargets.length > 0 || !sameTargets(declared, resolved)) {
+            const shadowedBy = names.find(character => normalizeText(character) === normalizeText(alias));
+            report.misroutedAliases.push({
+                alias,
+                declared,
+                resolved,
+                reason: shadowedBy
+                    ? `Shadowed by the canonical name "${shadowedBy}"`
+                    : unknownTargets.length > 0
+                        ? `Declares heroes missing from character-names.json: ${unknownTargets.join(', ')}`
+                        : 'Alias key is not in normalized form'
+            });
+        }
+    }
+
+    for (const character of names) {
+        const resolved = resolveInput(character, { aliases });
+        if (resolved.length !== 1 || resolved[0] !== character) {
+            report.unreachableNames.push({ character, resolved });
+        }
+    }
+
+    for (const character of names) {
+        for (const input of getCommonInputs(character)) {
+            if (!Object.prototype.hasOwnProperty.call(aliases, input)) {
+                continue;
+            }
+
+            const declared = toTargets(aliases[input]);
+            if (declared.includes(character)) {
+                continue;
+            }
+
+            // Only report inputs that searching by name alone would have sent to this hero
+            const withoutAliases = resolveInput(input, { aliases: {} });
+            if (withoutAliases.includes(character)) {
+                report.shadowingAliases.push({
+                    alias: input,
+                    declared,
+                    shadowedCharacter: character,
+                    withoutAlias: withoutAliases
+                });
+            }
+        }
+    }
+
+    return report;
+}
+
+// Human-readable summary for the analyzer script
+function formatAliasReport(report) {
+    const lines = [];
+
+    lines.push(`Misrouted aliases: ${report.misroutedAliases.length}`);
+    for (const entry of report.misroutedAliases) {
+        lines.push(`  "${entry.alias}" declares ${entry.declared.join(', ')} but resolves to ${entry.resolved.join(', ') || 'nothing'} (${entry.reason})`);
+    }
+
+    lines.push(`Unreachable names: ${report.unreachableNames.length}`);
+    for (const entry of report.unreachableNames) {
+        lines.push(`  "${entry.character}" resolves to ${entry.resolved.join(', ') || 'nothing'}`);
+    }
+
+    lines.push(`Shadowing aliases: ${report.shadowingAliases.length}`);
+    for (const entry of report.shadowingAliases) {
+        lines.push(`  "${entry.alias}" → ${entry.declared.join(', ')} hides ${entry.shadowedCharacter} (without the alias: ${entry.withoutAlias.join(', ')})`);
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    analyzeAliases,
+    formatAliasReport,
+    getCommonInputs
+};
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+// Distinguishes temp files of overlapping writes to the same target within this process
+let tempCounter = 0;
+
+/**
+ * Write a file by writing a uniquely named temp file next to it and renaming it over the
+ * target, so a crash mid-write leaves either the old or the new contents, never a truncated file
+ * @param {string} filePath
+ * @param {string|Buffer} data
+ */
+function writeFileAtomic(filePath, data) {
+    tempCounter = (tempCounter + 1) % Number.MAX_SAFE_INTEGER;
+    const tempPath = `${filePath}.${process.pid}.${tempCounter}.tmp`;
+
+    try {
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, data);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+
+    syncDirectory(path.dirname(filePath));
+}
+
+/**
+ * Flush a directory entry so a completed rename survives a crash. Not every platform can
+ * open directories (Windows), so failures are ignored.
+ * @param {string} dirPath
+ */
+function syncDirectory(dirPath) {
+    let fd;
+    try {
+        fd = fs.openSync(dirPath, 'r');
+        fs.fsyncSync(fd);
+    } catch (error) {
+        // Best effort
+    } finally {
+        if (fd !== undefined) {
+            fs.closeSync(fd);
+        }
+    }
+}
+
+/**
+ * Move an unreadable file aside as `<file>.corrupt` so it is kept for inspection instead of
+ * being overwritten by the next save
+ * @param {string} filePath
+ * @returns {boolean} Whether the file was moved
+ */
+function moveCorruptFile(filePath) {
+    try {
+        fs.renameSync(filePath, `${filePath}.corrupt`);
+        return true;
+    } catch (error) {
+        console.error(`Failed to move corrupt file ${filePath} aside:`, error.message);
+        return false;
+    }
+}
+
+module.exports = {
+    writeFileAtomic,
+    moveCorruptFile
+};
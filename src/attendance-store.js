@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic, moveCorruptFile } = require('./atomic-file');
+
+/**
+ * Guild war check-ins ("attacked" / "can't attack") per guild and war, persisted to a JSON file
+ */
+class AttendanceStore {
+    constructor(options = {}) {
+        this.attendanceFile = options.attendanceFile || path.join(process.cwd(), 'cache', 'guild-war-attendance.json');
+        this.maxWars = options.maxWars || 50; // Wars kept per guild
+        this.data = { version: '1.0', guilds: {} };
+
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.attendanceFile)) {
+            return;
+        }
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.attendanceFile, 'utf8'));
+            this.data = { ...this.data, ...stored, guilds: stored.guilds || {} };
+        } catch (error) {
+            // Keep the unreadable file instead of letting the next save overwrite it
+            console.warn('Failed to load guild war attendance, starting fresh (old file kept as .corrupt):', error.message);
+            moveCorruptFile(this.attendanceFile);
+        }
+    }
+
+    save() {
+        const dir = path.dirname(this.attendanceFile);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        writeFileAtomic(this.attendanceFile, JSON.stringify(this.data, null, 2));
+    }
+
+    getGuild(guildId) {
+        if (!this.data.guilds[guildId]) {
+            this.data.guilds[guildId] = { wars: [], responders: {} };
+        }
+        return this.data.guilds[guildId];
+    }
+
+    /**
+     * Record that a war was announced so it counts even if nobody checks in
+     * @param {string} guildId
+     * @param {string} warKey - Identifies the war (its end time in ms)
+     * @param {Date} endsAt
+     * @returns {Object} War record
+     */
+    registerWar(guildId, warKey, endsAt) {
+        const guild = this.getGuild(guildId);
+        let war = guild.wars.find(entry => entry.warKey === warKey);
+
+        if (!war) {
+            war = { warKey, endsAt: endsAt.toISOString(), responses: {} };
+            guild.wars.push(war);
+            guild.wars.sort((a, b) => a.endsAt.localeCompare(b.endsAt));
+            guild.wars = guild.wars.slice(-this.maxWars);
+            this.save();
+        }
+
+        return war;
+    }
+
+    /**
+     * Store a member's check-in for a war (later answers replace earlier ones)
+     * @param {string} guildId
+     * @param {string} warKey
+     * @param {Date} endsAt
+     * @param {{ id: string, username: string }} user
+     * @param {string} status - 'attacked' or 'cant-attack'
+     */
+    recordResponse(guildId, warKey, endsAt, user, status) {
+        const war = this.registerWar(guildId, warKey, endsAt);
+        const respondedAt = new Date().toISOString();
+
+        war.responses[user.id] = { status, respondedAt };
+        this.getGuild(guildId).responders[user.id] = { username: user.username, lastRespondedAt: respondedAt };
+        this.save();
+    }
+
+    /**
+     * Most recent wars for a guild, newest first
+     * @param {string} guildId
+     * @param {number} limit
+     * @returns {Object[]}
+     */
+    listWars(guildId, limit = 4) {
+        const wars = this.data.guilds[guildId]?.wars || [];
+        return wars.slice(-limit).reverse();
+    }
+
+    /**
+     * Everyone who has ever checked in for a guild, keyed by user ID
+     * @param {string} guildId
+     * @returns {Object}
+     */
+    getResponders(guildId) {
+        return this.data.guilds[guildId]?.responders || {};
+    }
+}
+
+module.exports = AttendanceStore;
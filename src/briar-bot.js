@@ -1,15 +1,41 @@
-const { Client, GatewayIntentBits, AttachmentBuilder } = require('discord.js');
-const fetch = require('node-fetch');
+const {
+	Client,
+	GatewayIntentBits,
+	AttachmentBuilder,
+	MessageFlags,
+	ActionRowBuilder,
+	StringSelectMenuBuilder,
+	ComponentType
+} = require('discord.js');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const http = require('http');
-const axios = require('axios');
-const getArtifactImage = require('./fetch-artifact');
-const getHeroImageUrl = require('./fetch-hero');
-const { findBestCharacterMatch, getCharacterSuggestions } = require('./character-search');
+const fetch = require('node-fetch');
+const {
+	findCharacterCandidates,
+	isAmbiguousMatch,
+	getCharacterSuggestions,
+	getAutocompleteSuggestions,
+	formatDiscordInput,
+	normalizeText,
+	characterNames
+} = require('./character-search');
 const CacheManager = require('./cache-manager');
+const GameDataSnapshotStore = require('./game-data-snapshots');
+const GuildSettingsStore = require('./guild-settings-store');
+const AttendanceStore = require('./attendance-store');
+const BrowserPool = require('./browser-pool');
+const CacheWarmer = require('./cache-warmer');
+const { renderReportCardPng, SVG_TEMPLATE_VERSION } = require('./report-card-svg');
 const RateLimiter = require('./rate-limiter');
-const { initializeGuildWarScheduler, testAnnouncements } = require('./guild-war-scheduler');
+const { createDataProvider } = require('./data-provider');
+const { initializeGuildWarScheduler, stopGuildWarScheduler, testAnnouncements, resolveSchedule } = require('./guild-war-scheduler');
+const { buildGuildWarCalendar, isValidCalendarToken } = require('./guild-war-calendar');
+const { handleGuildWarCommand, formatAnnouncementPreview } = require('./guild-war-commands');
+const { isAttendanceButton, handleAttendanceButton } = require('./guild-war-attendance');
+const { registerSlashCommands } = require('./slash-commands');
+const { scheduleGameDataRefresh, reportMissingHeroes } = require('./game-data-refresh');
 require('dotenv').config();
 
 
@@ -18,6 +44,8 @@ const client = new Client({
 		GatewayIntentBits.Guilds,
 		GatewayIntentBits.GuildMessages,
 		GatewayIntentBits.MessageContent,
+		// Privileged; lets !guildwar report list members who have never checked in
+		...(process.env.GUILD_MEMBERS_INTENT_ENABLED === 'true' ? [GatewayIntentBits.GuildMembers] : []),
 	],
 });
 
@@ -152,10 +180,35 @@ let heroData = {};
 let artifactData = {};
 let artifactsById = {};
 
+// Where the current game data came from: provider name, 'snapshot', or 'none'
+const gameDataStatus = {
+	source: 'none',
+	loadedAt: null,
+	lastFetchedAt: null, // Last successful fetch from the provider, even if the data was unchanged
+	version: null,
+	snapshotSavedAt: null // When the current snapshot was first written
+};
+
+const gameDataSnapshots = new GameDataSnapshotStore({
+	snapshotDir: process.env.GAME_DATA_SNAPSHOT_DIR || path.join(__dirname, '..', 'cache', 'gamedata')
+});
+
+// Heroes missing from character-names.json that were already reported, kept next to the snapshots
+const reportedMissingHeroesFile = path.join(gameDataSnapshots.snapshotDir, 'reported-missing-heroes.json');
+
+const guildSettings = new GuildSettingsStore({
+	settingsFile: process.env.GUILD_SETTINGS_FILE || path.join(__dirname, '..', 'cache', 'guild-settings.json')
+});
+
+const attendanceStore = new AttendanceStore({
+	attendanceFile: process.env.GUILD_WAR_ATTENDANCE_FILE || path.join(__dirname, '..', 'cache', 'guild-war-attendance.json')
+});
+
 const cacheManager = new CacheManager({
 	cacheDir: path.join(__dirname, '..', 'cache'),
-	ttl: 30 * 24 * 60 * 60 * 1000, // 30 days in milliseconds
-	maxCacheSize: 500
+	ttl: (Number(process.env.CACHE_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000, // 30 days by default
+	maxCacheSize: 500,
+	getDataVersion: getCardDataVersion
 });
 
 const rateLimiter = new RateLimiter({
@@ -168,6 +221,34 @@ const rateLimiter = new RateLimiter({
 	circuitBreakerProbeChance: 0.3 // 30% probe chance when open
 });
 
+const dataProvider = createDataProvider({ rateLimiter });
+
+// Report image backend: puppeteer (HTML card in Chromium) or svg (pure Node, no browser)
+const RENDERER = (process.env.RENDERER || 'puppeteer').toLowerCase();
+
+// Bump when generateHTML's layout changes so cached cards are re-rendered
+const HTML_TEMPLATE_VERSION = 1;
+
+// Cached cards rendered with another template are served stale and re-rendered in the background
+cacheManager.setTemplateVersion(RENDERER === 'svg' ? `svg-${SVG_TEMPLATE_VERSION}` : `html-${HTML_TEMPLATE_VERSION}`);
+
+// One shared Chromium for report images; each pooled page renders one image at a time
+const RENDER_POOL_SIZE = Number(process.env.RENDER_POOL_SIZE) || 2;
+const renderPool = new BrowserPool({
+	size: RENDER_POOL_SIZE,
+	maxRendersPerBrowser: Number(process.env.RENDER_RECYCLE_AFTER) || 100,
+	maxPageHeapMB: Number(process.env.RENDER_MAX_PAGE_HEAP_MB) || 256,
+	launch: launchRenderBrowser
+});
+
+// Quiet-hours refresh of the most requested (and newly released) heroes
+const cacheWarmer = new CacheWarmer({
+	cacheManager,
+	rateLimiter,
+	topN: process.env.CACHE_WARM_TOP_N !== undefined ? Number(process.env.CACHE_WARM_TOP_N) : 20,
+	refreshHero: heroName => refreshHero(heroName, { skipCache: true })
+});
+
 rateLimiter.on('circuitBreakerOpen', (data) => {
 	console.log(`🔴 Circuit breaker OPEN: ${data.failures} failures (${data.reason})`);
 });
@@ -218,13 +299,19 @@ const RATE_LIMIT_WINDOW = 30000; // Per 30 seconds
 // Command queue system - Sequential processing
 const commandQueue = [];
 const processingCommands = new Set();
-const MAX_CONCURRENT_COMMANDS = 1; // Process 1 command at a time for true sequential behavior
+const MAX_CONCURRENT_COMMANDS = Number(process.env.MAX_CONCURRENT_COMMANDS) || RENDER_POOL_SIZE; // Commands processed in parallel
 const QUEUE_MAX_SIZE = 20; // Max queue size to prevent memory issues
 let isProcessingQueue = false;
 
 // Request deduplication system
 const ongoingRequests = new Map(); // heroName -> { promise, requesters: [messages] }
 const REQUEST_TIMEOUT = 120000; // 2 minutes timeout for ongoing requests
+const CHOICE_TIMEOUT = 60000; // 1 minute to pick between close character matches
+
+// Stale-while-revalidate: expired cards are served immediately and refreshed in the background
+const backgroundRefreshes = new Map(); // heroName -> refresh promise
+const failedRefreshes = new Map(); // heroName -> time of the last failed refresh
+const REFRESH_RETRY_COOLDOWN = 15 * 60 * 1000; // 15 minutes between refresh attempts after a failure
 
 // Memory and performance tracking
 let activeConnections = 0;
@@ -298,36 +385,57 @@ async function processQueue() {
 	try {
 		while (commandQueue.length > 0 && processingCommands.size < MAX_CONCURRENT_COMMANDS) {
 			const commandData = commandQueue.shift();
-			// Process command and wait for it to complete before continuing
-			await processCommand(commandData);
+			// Start the command without waiting; when it finishes it pulls the next one from the queue
+			processCommand(commandData).finally(() => setImmediate(processQueue));
 		}
 	} finally {
 		isProcessingQueue = false;
-		
-		// Continue processing if there are more commands that were added while we were processing
-		if (commandQueue.length > 0) {
-			setImmediate(processQueue);
-		}
 	}
 }
 
+// Wrap a `!` message or a deferred slash command interaction so the command pipeline can reply to either
+function createReplyTarget(source) {
+	if (source.isChatInputCommand?.()) {
+		return {
+			source,
+			userId: source.user.id,
+			guildId: source.guildId,
+			// The deferred "thinking..." state stands in for the loading message
+			showLoading: async () => {},
+			reply: (content) => source.editReply(content),
+			update: (content) => source.editReply(content)
+		};
+	}
+
+	let loadingMessage = null;
+	return {
+		source,
+		userId: source.author.id,
+		guildId: source.guildId,
+		showLoading: async (content) => {
+			loadingMessage = await source.reply(content);
+		},
+		reply: (content) => source.reply(content),
+		update: (content) => loadingMessage ? loadingMessage.edit(content) : source.reply(content)
+	};
+}
+
 async function processCommand(commandData) {
-	const { message, userInput, characterName, confidence, searchResult } = commandData;
-	const userId = message.author.id;
+	const { replyTarget, userInput, characterName, confidence, searchResult } = commandData;
 
-	processingCommands.add(userId);
+	processingCommands.add(commandData);
 	activeConnections++;
 
 	try {
 		let loadingContent = `🌑   Revealing **${characterName}**...`;
-		if (searchResult.matchType !== 'exact' || confidence < 100) {
+		if (!['exact', 'selected'].includes(searchResult.matchType) || confidence < 100) {
 			loadingContent = `🌒   A pale echo at a ${confidence}% match... Revealing **${characterName}**...`;
 		}
 
-		const loadingMessage = await message.reply(loadingContent);
+		await replyTarget.showLoading(loadingContent);
 
 		// Use deduplication system to handle the request
-		const result = await getHeroWithDeduplication(characterName, loadingMessage);
+		const result = await getHeroWithDeduplication(characterName, replyTarget.source);
 
 		if (result && result.screenshot) {
 			const attachment = new AttachmentBuilder(result.screenshot, {
@@ -336,27 +444,33 @@ async function processCommand(commandData) {
 
 			// Create appropriate message based on cache status
 			let displayMessage = `☾   ${characterName}`;
+			// Only old builds are worth mentioning; an outdated layout is just re-rendered quietly
+			if (result.isExpired) {
+				displayMessage += result.refreshing
+					? `\n-# 🕯️ Builds gathered ${result.daysOld} days ago... fresher ones are being summoned.`
+					: `\n-# 🕯️ Builds gathered ${result.daysOld} days ago.`;
+			}
 
-			await loadingMessage.edit({
+			await replyTarget.update({
 				content: displayMessage,
 				files: [attachment]
 			});
 		} else if (result && result.noData) {
 			// Character exists but no build data available
-			await loadingMessage.edit(result.message);
+			await replyTarget.update(result.message);
 		} else {
-			await loadingMessage.edit(`❌ I called for **${characterName}**... no one answered.`);
+			await replyTarget.update(`❌ I called for **${characterName}**... no one answered.`);
 		}
 
 	} catch (error) {
 		console.error('Error processing command:', error);
 		try {
-			await message.reply(`❌ The witch stirs... the search for **${characterName}** is lost.`);
+			await replyTarget.reply(`❌ The witch stirs... the search for **${characterName}** is lost.`);
 		} catch (replyError) {
 			console.error('Error sending error message:', replyError);
 		}
 	} finally {
-		processingCommands.delete(userId);
+		processingCommands.delete(commandData);
 		activeConnections--;
 
 		// Periodic memory cleanup
@@ -366,6 +480,222 @@ async function processCommand(commandData) {
 	}
 }
 
+// Shared build request pipeline for `!hero` messages and `/build` interactions
+async function handleBuildRequest(replyTarget, rawInput) {
+	// Enhanced rate limiting check
+	const rateLimitResult = checkRateLimit(replyTarget.userId);
+	if (!rateLimitResult.allowed) {
+		const rateLimitMessage = getRandomResponse('rateLimited', { time: rateLimitResult.resetTime });
+		await replyTarget.reply(`⏳ ${rateLimitMessage}`);
+		return;
+	}
+
+	// Input validation and sanitization
+	let userInput;
+	try {
+		userInput = validateAndSanitizeInput(rawInput);
+	} catch (error) {
+		const invalidMessage = getRandomResponse('invalidInput', { error: error.message });
+		await replyTarget.reply(`？ ${invalidMessage}`);
+		return;
+	}
+
+	// Use fuzzy search to rank the closest characters
+	const candidates = findCharacterCandidates(userInput, 5, {
+		guildAliases: guildSettings.getAliases(replyTarget.guildId)
+	});
+
+	if (candidates.length === 0) {
+		const suggestions = getCharacterSuggestions(userInput, 3);
+		if (suggestions.length > 0) {
+			const suggestionsText = suggestions.map(s => `• ${s}`).join('\n');
+			const suggestionMessage = getRandomResponse('characterNotFoundWithSuggestions', {
+				input: userInput,
+				suggestions: suggestionsText
+			});
+			await replyTarget.reply(suggestionMessage);
+		} else {
+			const notFoundMessage = getRandomResponse('characterNotFound', { input: userInput });
+			await replyTarget.reply(notFoundMessage);
+		}
+		return;
+	}
+
+	// Let the user settle near-ties (and aliases shared by several heroes) instead of guessing
+	if (isAmbiguousMatch(candidates)) {
+		await promptCharacterChoice(replyTarget, userInput, candidates);
+		return;
+	}
+
+	const searchResult = candidates[0];
+	await queueBuildRequest(replyTarget, userInput, searchResult);
+}
+
+async function queueBuildRequest(replyTarget, userInput, searchResult) {
+	const characterName = searchResult.character;
+	const confidence = (searchResult.confidence * 100).toFixed(1);
+
+	// Add to queue
+	const queueResult = addToQueue({
+		replyTarget,
+		userInput,
+		characterName,
+		confidence,
+		searchResult
+	});
+
+	if (!queueResult.success) {
+		if (queueResult.reason === 'queue_full') {
+			const queueFullMessage = getRandomResponse('queueFull');
+			await replyTarget.reply(queueFullMessage);
+		}
+		return;
+	}
+
+	// Notify user of queue position if not being processed immediately
+	if (processingCommands.size >= MAX_CONCURRENT_COMMANDS) {
+		const queuedMessage = getRandomResponse('queued', {
+			character: characterName,
+			position: queueResult.position
+		});
+		await replyTarget.reply(queuedMessage);
+	}
+}
+
+// Show a select menu of close candidates and only queue the render once the requester picks one
+async function promptCharacterChoice(replyTarget, userInput, candidates) {
+	const menu = new StringSelectMenuBuilder()
+		.setCustomId('character-choice')
+		.setPlaceholder('Choose the hero you seek...')
+		.addOptions(candidates.map(candidate => ({
+			label: candidate.character,
+			value: candidate.character,
+			description: `${(candidate.confidence * 100).toFixed(1)}% match`
+		})));
+
+	const promptMessage = await replyTarget.reply({
+		content: `🕯 **${userInput}** stirs more than one spirit... which do you seek?`,
+		components: [new ActionRowBuilder().addComponents(menu)]
+	});
+
+	let selection;
+	try {
+		selection = await promptMessage.awaitMessageComponent({
+			componentType: ComponentType.StringSelect,
+			filter: (interaction) => interaction.user.id === replyTarget.userId,
+			time: CHOICE_TIMEOUT
+		});
+	} catch (error) {
+		// Nobody chose in time
+		await promptMessage.edit({ content: `🕸️ The spirits of **${userInput}** fade unanswered.`, components: [] }).catch(() => {});
+		return;
+	}
+
+	const characterName = selection.values[0];
+	await selection.update({ content: `🌑   **${characterName}** answers the call...`, components: [] });
+
+	await queueBuildRequest(replyTarget, userInput, {
+		character: characterName,
+		confidence: 1.0,
+		matchType: 'selected'
+	});
+}
+
+const MAX_GUILD_ALIASES = 200;
+const MAX_ALIAS_LENGTH = 30;
+
+// Split `"alias words" hero name` or `alias hero name` into the alias and the hero
+function parseAliasArguments(text) {
+	const quoted = text.match(/^"([^"]+)"\s+(.+)$/);
+	if (quoted) {
+		return { alias: quoted[1], hero: quoted[2] };
+	}
+
+	const [alias, ...heroWords] = text.split(/\s+/);
+	return { alias, hero: heroWords.join(' ') };
+}
+
+// !alias add <alias> <hero> | !alias remove <alias> | !alias list
+async function handleAliasCommand(message) {
+	if (!message.guildId) {
+		await message.reply('🕸️ Server aliases can only be managed inside a server.');
+		return;
+	}
+
+	const [, subcommand = '', ...rest] = message.content.trim().split(/\s+/);
+	const argumentText = rest.join(' ');
+	const aliases = guildSettings.getAliases(message.guildId);
+
+	if (subcommand.toLowerCase() === 'list') {
+		const entries = Object.entries(aliases).sort(([left], [right]) => left.localeCompare(right));
+		if (entries.length === 0) {
+			await message.reply('📜 This server has no custom aliases yet. Admins can add one with `!alias add <alias> <hero>`.');
+			return;
+		}
+
+		const lines = entries.map(([alias, character]) => `• \`${alias}\` → ${character}`);
+		await message.reply(`📜 **Server aliases (${entries.length})**\n${lines.join('\n')}`.slice(0, 2000));
+		return;
+	}
+
+	if (!['add', 'remove'].includes(subcommand.toLowerCase())) {
+		await message.reply('🕸️ Speak clearly: `!alias add <alias> <hero>`, `!alias remove <alias>` or `!alias list`');
+		return;
+	}
+
+	if (!message.member?.permissions.has('Administrator')) {
+		await message.reply('🕸️ Only those who command the guild may rename its heroes.');
+		return;
+	}
+
+	if (subcommand.toLowerCase() === 'remove') {
+		const alias = normalizeText(formatDiscordInput(argumentText.replace(/"/g, '')));
+		if (guildSettings.removeAlias(message.guildId, alias)) {
+			await message.reply(`🗑️ Removed server alias \`${alias}\`.`);
+		} else {
+			await message.reply(`🕸️ This server has no alias \`${alias || argumentText}\`.`);
+		}
+		return;
+	}
+
+	const { alias: rawAlias, hero } = parseAliasArguments(argumentText);
+	const alias = normalizeText(formatDiscordInput(rawAlias || ''));
+	if (!alias || !hero) {
+		await message.reply('🕸️ Speak clearly: `!alias add <alias> <hero>` (quote aliases with spaces: `!alias add "sea bel" Seaside Bellona`)');
+		return;
+	}
+	if (alias.length > MAX_ALIAS_LENGTH) {
+		await message.reply(`🕸️ Aliases can be at most ${MAX_ALIAS_LENGTH} characters.`);
+		return;
+	}
+
+	// A name always wins the exact pass, so an alias spelled like a hero would never be used
+	const shadowedName = characterNames.find(character => normalizeText(character) === alias);
+	if (shadowedName) {
+		await message.reply(`🕸️ \`${alias}\` is already the name of **${shadowedName}**.`);
+		return;
+	}
+
+	if (!Object.prototype.hasOwnProperty.call(aliases, alias) && Object.keys(aliases).length >= MAX_GUILD_ALIASES) {
+		await message.reply(`🕸️ This server already has ${MAX_GUILD_ALIASES} aliases. Remove some before adding more.`);
+		return;
+	}
+
+	const candidates = findCharacterCandidates(hero, 5, { guildAliases: aliases });
+	if (candidates.length === 0 || isAmbiguousMatch(candidates)) {
+		const options = candidates.map(candidate => candidate.character).join(', ');
+		const heroInput = formatDiscordInput(hero);
+		await message.reply(options
+			? `🕸️ "${heroInput}" could be several heroes (${options}). Use the full name.`
+			: `🕸️ No hero called "${heroInput}" walks these lands.`);
+		return;
+	}
+
+	const character = candidates[0].character;
+	guildSettings.setAlias(message.guildId, alias, character);
+	await message.reply(`✅ \`${alias}\` now reveals **${character}** in this server.`);
+}
+
 /**
  * Handle hero request with deduplication
  * @param {string} heroName 
@@ -410,26 +740,27 @@ async function getHeroWithDeduplication(heroName, message) {
 				return { screenshot, fromCache: true, isStale: false };
 			}
 
+			// Serve an expired or outdated card right away and refresh it in the background
+			const staleCache = cacheManager.getStaleCachedHeroImage(heroName);
+
+			if (staleCache && staleCache.imageBuffer) {
+				const daysOld = Math.floor(staleCache.age / (1000 * 60 * 60 * 24));
+				console.log(`📦 Using stale cache for ${heroName} (${daysOld} days old${staleCache.isOutdated ? ', outdated template or game data' : ''})`);
+				return {
+					screenshot: staleCache.imageBuffer,
+					fromCache: true,
+					isStale: true,
+					isExpired: staleCache.isExpired,
+					age: staleCache.age,
+					daysOld,
+					refreshing: refreshHeroInBackground(heroName)
+				};
+			}
+
 			// Generate new image if not cached
 			const heroAnalysis = await analyzeHeroData(heroName);
 
-			// If API failed or was blocked, try stale cache as fallback
 			if (!heroAnalysis) {
-				console.log(`⚠️  API failed for ${heroName}, checking for stale cache...`);
-				const staleCache = cacheManager.getStaleCachedHeroImage(heroName);
-
-				if (staleCache && staleCache.imageBuffer) {
-					const daysOld = Math.floor(staleCache.age / (1000 * 60 * 60 * 24));
-					console.log(`📦 Using stale cache for ${heroName} (${daysOld} days old)`);
-					return {
-						screenshot: staleCache.imageBuffer,
-						fromCache: true,
-						isStale: true,
-						age: staleCache.age,
-						daysOld
-					};
-				}
-
 				console.error(`❌ No data available for ${heroName} (no fresh data, no stale cache)`);
 
 				// Return a special indicator for "character exists but no data"
@@ -467,6 +798,71 @@ async function getHeroWithDeduplication(heroName, message) {
 	return requestPromise;
 }
 
+/**
+ * Fetch, render and cache a hero without anyone waiting on it. Concurrent refreshes of the
+ * same hero share one run.
+ * @param {string} heroName
+ * @param {Object} options - { skipCache: fetch from the builds API even if a fresh analysis is stored }
+ * @returns {Promise<boolean>} Whether the hero was refreshed
+ */
+function refreshHero(heroName, options = {}) {
+	const normalizedHeroName = heroName.toLowerCase().trim();
+
+	if (backgroundRefreshes.has(normalizedHeroName)) {
+		return backgroundRefreshes.get(normalizedHeroName);
+	}
+
+	const refresh = (async () => {
+		try {
+			const heroAnalysis = await analyzeHeroData(heroName, 0, options);
+			if (!heroAnalysis) {
+				throw new Error('no build data');
+			}
+
+			const screenshot = await generateReportImage(heroAnalysis);
+			await cacheManager.cacheHeroImage(heroName, screenshot, heroAnalysis);
+			failedRefreshes.delete(normalizedHeroName);
+			console.log(`🔄 Background refresh finished for ${heroName}`);
+			return true;
+		} catch (error) {
+			failedRefreshes.set(normalizedHeroName, Date.now());
+			console.warn(`⚠️  Background refresh failed for ${heroName}: ${error.message}`);
+			return false;
+		} finally {
+			backgroundRefreshes.delete(normalizedHeroName);
+		}
+	})();
+
+	backgroundRefreshes.set(normalizedHeroName, refresh);
+	return refresh;
+}
+
+/**
+ * Start a background refresh for a stale hero. Skipped while the builds API circuit breaker
+ * is open or half-open, and for a while after a failed attempt.
+ * @returns {boolean} Whether a refresh is running for the hero
+ */
+function refreshHeroInBackground(heroName) {
+	const normalizedHeroName = heroName.toLowerCase().trim();
+
+	if (backgroundRefreshes.has(normalizedHeroName)) {
+		return true;
+	}
+
+	if (!rateLimiter.allowsBackgroundRequests()) {
+		console.log(`⏸️  Skipping background refresh for ${heroName}: circuit breaker is not closed`);
+		return false;
+	}
+
+	const lastFailure = failedRefreshes.get(normalizedHeroName);
+	if (lastFailure && Date.now() - lastFailure < REFRESH_RETRY_COOLDOWN) {
+		return false;
+	}
+
+	refreshHero(heroName);
+	return true;
+}
+
 /**
  * Clean up expired ongoing requests
  */
@@ -498,6 +894,13 @@ function performMemoryCleanup() {
 		}
 	}
 
+	// Forget failed background refreshes once they may be retried
+	for (const [heroName, failedAt] of failedRefreshes.entries()) {
+		if (now - failedAt > REFRESH_RETRY_COOLDOWN) {
+			failedRefreshes.delete(heroName);
+		}
+	}
+
 	// Clean expired cache entries
 	const expiredCount = cacheManager.cleanupExpiredEntries();
 
@@ -510,442 +913,6 @@ function performMemoryCleanup() {
 	}
 }
 
-const HERO_CACHE = "https://e7-optimizer-game-data.s3-accelerate.amazonaws.com/herodata.json";
-const ARTIFACT_CACHE = "https://e7-optimizer-game-data.s3-accelerate.amazonaws.com/artifactdata.json";
-const BUILDS_API = "https://krivpfvxi0.execute-api.us-west-2.amazonaws.com/dev/getBuilds";
-const BUILDS_API_ALTERNATIVES = [
-	"https://krivpfvxi0.execute-api.us-west-2.amazonaws.com/dev/getBuilds",
-	"https://krivpfvxi0.execute-api.us-west-2.amazonaws.com/prod/getBuilds",
-	"https://krivpfvxi0.execute-api.us-west-2.amazonaws.com/stage/getBuilds",
-	"https://krivpfvxi0.execute-api.us-west-2.amazonaws.com/beta/getBuilds",
-	"https://krivpfvxi0.execute-api.us-west-2.amazonaws.com/v1/getBuilds",
-	"https://krivpfvxi0.execute-api.us-west-2.amazonaws.com/api/getBuilds"
-];
-
-// HARDCORE BYPASS CONFIGURATION - Maximum Aggression
-const USER_AGENTS = [
-	// Modern Chrome variations with different builds
-	'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-	'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36',
-	'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-	'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-	// Firefox variations
-	'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:120.0) Gecko/20100101 Firefox/120.0',
-	'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:120.0) Gecko/20100101 Firefox/120.0',
-	// Safari variations
-	'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15',
-	'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.6 Safari/605.1.15',
-	// Edge variations
-	'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.0.0',
-	// Mobile browsers
-	'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1',
-	'Mozilla/5.0 (Linux; Android 10; SM-G975F) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
-	// Curl/wget to appear as different tool types
-	'curl/7.68.0',
-	'Wget/1.20.3 (linux-gnu)',
-	// Bot-like but legitimate
-	'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
-	'facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)'
-];
-
-const FORWARDED_IPS = [
-	// Major DNS providers
-	'1.1.1.1', '1.0.0.1', '8.8.8.8', '8.8.4.4', '4.4.4.4', '4.4.8.8',
-	'208.67.222.222', '208.67.220.220', '9.9.9.9', '149.112.112.112',
-	'76.76.19.19', '76.223.100.101', '94.140.14.14', '94.140.15.15',
-	// Major cloud provider IPs
-	'54.239.28.85', '52.95.110.1', '13.107.42.14', '40.90.4.200',
-	'104.16.249.249', '104.16.248.249', '172.67.221.168', '104.21.2.70',
-	// Corporate/University IPs that look legitimate
-	'129.250.35.250', '198.6.1.4', '192.5.6.30', '199.7.83.42',
-	'128.8.126.63', '171.67.193.20', '192.36.148.17', '199.232.41.5'
-];
-
-// Geographic IP ranges for more realistic spoofing
-const IP_RANGES = {
-	US: ['173.252.0.0/16', '31.13.24.0/21', '66.220.144.0/20', '69.63.176.0/20'],
-	EU: ['185.60.216.0/22', '185.89.218.0/23', '31.13.64.0/18', '31.13.72.0/21'],
-	ASIA: ['103.4.96.0/22', '179.60.192.0/22', '185.89.216.0/22', '199.201.64.0/22']
-};
-
-// Common corporate/educational domains for referrer diversity
-const REFERRER_DOMAINS = [
-	'https://github.com/fribbels/',
-	'https://epic7x.com/',
-	'https://reddit.com/r/EpicSeven',
-	'https://gamepress.gg/epicseven',
-	'https://google.com/search',
-	'https://bing.com/search',
-	'https://duckduckgo.com/',
-	'https://yandex.com/search',
-	'https://baidu.com/s',
-	'https://fribbels.github.io',
-	'https://fribbels.github.io/e7',
-	'https://fribbels.github.io/e7/hero-library.html'
-];
-
-let requestCounter = 0;
-
-function getRandomElement(arr) {
-	return arr[Math.floor(Math.random() * arr.length)];
-}
-
-function generateRandomIP() {
-	return Array.from({ length: 4 }, () => Math.floor(Math.random() * 256)).join('.');
-}
-
-// Generate realistic IP from CIDR ranges
-function generateRealisticIP(region = 'US') {
-	const ranges = IP_RANGES[region] || IP_RANGES.US;
-	const range = getRandomElement(ranges);
-	const [network, mask] = range.split('/');
-	const [a, b, c, d] = network.split('.').map(Number);
-	const maskBits = parseInt(mask);
-	const hostBits = 32 - maskBits;
-	const maxHosts = Math.pow(2, hostBits) - 2;
-	const randomHost = Math.floor(Math.random() * maxHosts) + 1;
-
-	// Simple CIDR generation (not perfect but good enough for spoofing)
-	const newD = (d + randomHost) % 256;
-	const newC = (c + Math.floor((d + randomHost) / 256)) % 256;
-	return `${a}.${b}.${newC}.${newD}`;
-}
-
-// Generate session tokens to appear as different authenticated users
-function generateSessionToken() {
-	const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-	return Array.from({ length: 32 }, () => chars.charAt(Math.floor(Math.random() * chars.length))).join('');
-}
-
-// Generate request ID to appear as different requests
-function generateRequestId() {
-	return 'req_' + Math.random().toString(36).substr(2, 16) + '_' + Date.now();
-}
-
-// Advanced encoding and parameter manipulation functions
-function urlEncodeRandom(str) {
-	// Partially encode the string to create mismatch between rate limiting and processing
-	const chars = str.split('');
-	const encodableChars = /[a-zA-Z0-9]/;
-
-	return chars.map((char, index) => {
-		if (encodableChars.test(char) && Math.random() < 0.3) { // 30% chance to encode
-			return '%' + char.charCodeAt(0).toString(16).padStart(2, '0');
-		}
-		return char;
-	}).join('');
-}
-
-function addNullByteVariation(str) {
-	// Add null bytes or other special characters to create processing mismatch
-	const variations = ['%00', '%20', '%09', '%0d', '%0a'];
-	const variation = getRandomElement(variations);
-
-	// Add at random position
-	if (Math.random() < 0.5) {
-		return str + variation; // Append
-	} else {
-		return variation + str; // Prepend
-	}
-}
-
-function addRandomParameters(url) {
-	// Add random parameters to make requests appear unique
-	const separator = url.includes('?') ? '&' : '?';
-	const randomParams = [
-		`_t=${Date.now()}`,
-		`_r=${Math.random().toString(36).substr(2, 9)}`,
-		`cache=${Math.floor(Math.random() * 1000)}`,
-		`v=${Math.floor(Math.random() * 100)}`
-	];
-
-	const numParams = Math.floor(Math.random() * 3) + 1; // 1-3 random params
-	const selectedParams = randomParams.sort(() => 0.5 - Math.random()).slice(0, numParams);
-
-	return url + separator + selectedParams.join('&');
-}
-
-// HARDCORE AGGRESSIVE RATE LIMIT DESTROYER
-async function getPopularBuilds(heroName, retryCount = 0) {
-	try {
-		// Check if we should attempt the request
-		const requestCheck = rateLimiter.shouldAttemptRequest();
-		if (!requestCheck.allowed) {
-			console.log(`⚠️  Circuit breaker blocked request for ${heroName}: ${requestCheck.reason}`);
-			return {
-				data: [],
-				blocked: true,
-				reason: requestCheck.reason
-			};
-		}
-
-		if (requestCheck.reason !== 'healthy') {
-			console.log(`ℹ️  Request for ${heroName} allowed: ${requestCheck.reason}`);
-		}
-
-
-		// Use intelligent backoff delay if this is a retry
-		if (retryCount > 0) {
-			const delay = rateLimiter.calculateDelay(retryCount - 1);
-			const explanation = rateLimiter.getStrategyExplanation(retryCount - 1, delay);
-			await new Promise(resolve => setTimeout(resolve, delay));
-		}
-
-		requestCounter++;
-
-		// Vary browser fingerprints for natural traffic patterns
-		const region = getRandomElement(['US', 'EU', 'ASIA', 'OCEANIA', 'AFRICA', 'SOUTH_AMERICA']);
-
-		// Advanced fingerprint randomization
-		const browserFingerprint = {
-			chrome: getRandomElement(['119.0.0.0', '120.0.0.0', '121.0.0.0', '122.0.0.0']),
-			firefox: getRandomElement(['109.0', '110.0', '111.0', '112.0']),
-			safari: getRandomElement(['16.6', '17.0', '17.1', '17.2']),
-			edge: getRandomElement(['119.0.0.0', '120.0.0.0', '121.0.0.0'])
-		};
-
-		// Clean, reliable URL - no manipulation needed
-		let requestUrl = BUILDS_API;
-
-		// Clean hero name - no corruption
-		let processedHeroName = heroName;
-
-		// ULTIMATE HEADER ARSENAL - Advanced browser simulation + ML evasion
-		const selectedBrowser = getRandomElement(['chrome', 'firefox', 'safari', 'edge']);
-		const browserVersion = browserFingerprint[selectedBrowser];
-
-		// Generate realistic User-Agent based on selected browser
-		const generateBrowserUA = (browser, version) => {
-			const osVariants = {
-				chrome: [
-					`Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${version} Safari/537.36`,
-					`Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${version} Safari/537.36`,
-					`Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${version} Safari/537.36`
-				],
-				firefox: [
-					`Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:${version}) Gecko/20100101 Firefox/${version}`,
-					`Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:${version}) Gecko/20100101 Firefox/${version}`,
-					`Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:${version}) Gecko/20100101 Firefox/${version}`
-				],
-				safari: [
-					`Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/${version} Safari/605.1.15`,
-					`Mozilla/5.0 (iPhone; CPU iPhone OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/${version} Mobile/15E148 Safari/604.1`
-				],
-				edge: [
-					`Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${version} Safari/537.36 Edg/${version}`,
-					`Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${version} Safari/537.36 Edg/${version}`
-				]
-			};
-			return getRandomElement(osVariants[browser]);
-		};
-
-		const aggressiveHeaders = {
-			'Content-Type': getRandomElement([
-				'text/plain',
-				'application/x-www-form-urlencoded',
-				'text/plain; charset=utf-8',
-				'application/json; charset=utf-8',
-				'multipart/form-data'
-			]),
-			'Accept': getRandomElement([
-				'application/json, text/plain, */*',
-				'application/json',
-				'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
-				'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-				'*/*'
-			]),
-			'Accept-Language': getRandomElement([
-				'en-US,en;q=0.9',
-				'en-US,en;q=0.8,fr;q=0.6,de;q=0.4',
-				'en-GB,en;q=0.9,fr;q=0.8',
-				'zh-CN,zh;q=0.9,en;q=0.8',
-				'ja,en-US;q=0.9,en;q=0.8',
-				'ko,en-US;q=0.9,en;q=0.8',
-				'es-ES,es;q=0.9,en;q=0.8'
-			]),
-			'Accept-Encoding': getRandomElement(['gzip, deflate, br', 'gzip, deflate', 'br, gzip, deflate']),
-			'Origin': getRandomElement([
-				'https://fribbels.github.io',
-				'https://github.com',
-				'https://epic7x.com',
-				'https://gamepress.gg',
-				'null'
-			]),
-			'User-Agent': generateBrowserUA(selectedBrowser, browserVersion),
-			'Referer': getRandomElement([
-				'https://fribbels.github.io/e7-gear-optimizer/',
-				'https://epic7x.com/characters/',
-				'https://gamepress.gg/epic7/',
-				'https://github.com/fribbels/e7-gear-optimizer',
-				'https://www.google.com/',
-				'https://duckduckgo.com/'
-			]),
-			'Cache-Control': getRandomElement(['no-cache', 'max-age=0', 'no-store', 'must-revalidate', 'public, max-age=0']),
-			'Pragma': getRandomElement(['no-cache', 'cache']),
-			'DNT': getRandomElement(['1', '0']),
-
-			// Enhanced browser fingerprinting headers
-			'Sec-Fetch-Dest': getRandomElement(['empty', 'document', 'script', 'fetch']),
-			'Sec-Fetch-Mode': getRandomElement(['cors', 'navigate', 'no-cors', 'same-origin']),
-			'Sec-Fetch-Site': getRandomElement(['cross-site', 'same-origin', 'same-site', 'none']),
-			'Sec-Fetch-User': getRandomElement(['?1', undefined]),
-			'Sec-Ch-Ua': `"${selectedBrowser}";v="${browserVersion.split('.')[0]}", "Chromium";v="${browserVersion.split('.')[0]}", "Not_A Brand";v="8"`,
-			'Sec-Ch-Ua-Mobile': getRandomElement(['?0', '?1']),
-			'Sec-Ch-Ua-Platform': getRandomElement(['"Windows"', '"macOS"', '"Linux"', '"Android"', '"iOS"']),
-
-			// Session and auth spoofing
-			'X-Requested-With': getRandomElement(['XMLHttpRequest', 'fetch', undefined]),
-			'X-Browser-Version': browserVersion,
-			'X-Client-Version': getRandomElement(['1.0.0', '1.1.0', '2.0.0', '2.1.0']),
-			'X-Request-ID': generateRequestId(),
-			'X-Session-Token': generateSessionToken(),
-			'X-CSRF-Token': Math.random().toString(36).substr(2, 32),
-
-			// Timing headers to appear more legitimate
-			'X-Timestamp': Date.now().toString(),
-			'X-Client-Time': new Date().toISOString(),
-
-			// Device fingerprinting
-			'X-Device-ID': Math.random().toString(36).substr(2, 16),
-			'X-Screen-Resolution': getRandomElement(['1920x1080', '1366x768', '1440x900', '2560x1440']),
-			'X-Timezone': getRandomElement(['America/New_York', 'Europe/London', 'Asia/Tokyo', 'America/Los_Angeles']),
-		};
-
-		// EXTREME IP SPOOFING - All possible headers + realistic geographic IPs
-		const ALL_IP_HEADERS = [
-			'X-Forwarded-For', 'X-Real-IP', 'X-Originating-IP', 'Client-IP', 'X-Client-IP',
-			'X-Cluster-Client-IP', 'X-Remote-IP', 'X-Remote-Addr', 'X-ProxyUser-Ip',
-			'CF-Connecting-IP', 'True-Client-IP', 'X-Azure-ClientIP', 'X-Forwarded-Host',
-			'Forwarded', 'Via', 'X-Coming-From', 'X-Sucuri-ClientIP', 'X-Sucuri-Country'
-		];
-
-		// Apply 3-8 random IP headers for maximum confusion
-		const numIpHeaders = Math.floor(Math.random() * 6) + 3; // 3-8 headers
-		const selectedIpHeaders = ALL_IP_HEADERS.sort(() => 0.5 - Math.random()).slice(0, numIpHeaders);
-
-		selectedIpHeaders.forEach((header, index) => {
-			let ip;
-			if (index === 0) {
-				// First header gets a highly legitimate IP
-				ip = getRandomElement(FORWARDED_IPS);
-			} else if (Math.random() < 0.6) {
-				// 60% chance of realistic regional IP
-				ip = generateRealisticIP(region);
-			} else {
-				// 40% chance of random IP
-				ip = generateRandomIP();
-			}
-
-			// Some headers need special formatting
-			if (header === 'Forwarded') {
-				aggressiveHeaders[header] = `for=${ip};proto=https;by=${generateRandomIP()}`;
-			} else if (header === 'Via') {
-				aggressiveHeaders[header] = `1.1 ${ip} (CloudFront)`;
-			} else {
-				aggressiveHeaders[header] = ip;
-			}
-		});
-
-		// Standard HTTP method - reliable
-		const method = 'POST';
-
-
-		// Clean, reliable axios configuration
-		const axiosConfig = {
-			method: method,
-			url: requestUrl,
-			data: processedHeroName,
-			headers: aggressiveHeaders,
-			timeout: 25000,
-			maxRedirects: 10,
-
-			// Standard connection management
-			httpAgent: new (require('http').Agent)({
-				keepAlive: true,
-				maxSockets: 5,
-				timeout: 25000
-			}),
-			httpsAgent: new (require('https').Agent)({
-				keepAlive: true,
-				maxSockets: 5,
-				timeout: 25000
-			}),
-
-			// Response handling
-			validateStatus: (status) => status >= 200 && status < 500,
-			transformResponse: [(data) => {
-				try {
-					return typeof data === 'string' ? JSON.parse(data) : data;
-				} catch {
-					return data;
-				}
-			}]
-		};
-
-		const response = await axios(axiosConfig);
-
-		// Enhanced response data handling with better validation
-		let data;
-		if (response.data && typeof response.data === 'object') {
-			if (Array.isArray(response.data)) {
-				// Response is directly an array
-				data = { data: response.data };
-			} else if (response.data.data && Array.isArray(response.data.data)) {
-				// Response has nested data property
-				data = response.data;
-			} else if (response.data.builds && Array.isArray(response.data.builds)) {
-				// Alternative structure with 'builds' property
-				data = { data: response.data.builds };
-			} else {
-				// Fallback: try to extract any array-like property
-				const arrayProp = Object.values(response.data).find(val => Array.isArray(val));
-				data = arrayProp ? { data: arrayProp } : { data: [] };
-			}
-		} else {
-			data = { data: [] };
-		}
-
-
-		// Update rate limiter with success
-		rateLimiter.updateApiHealth(200);
-
-		return data;
-
-	} catch (error) {
-		const status = error.response?.status;
-		console.error(`API fetch failed for ${heroName}:`, {
-			status,
-			message: error.message,
-			code: error.code,
-			timeout: error.code === 'ECONNABORTED',
-			retryCount
-		});
-
-		// Update rate limiter with the error status
-		rateLimiter.updateApiHealth(status);
-
-		if (status === 404) {
-			console.warn(`   ⚠️ No build data available for hero: ${heroName}`);
-			return { data: [] };
-		}
-
-		// Use intelligent retry logic for all error types
-		if ((status === 403 || status === 429 || !status) && retryCount < rateLimiter.config.maxRetries) {
-			const errorType = status === 403 ? 'FORBIDDEN' : status === 429 ? 'RATE LIMITED' : 'NETWORK ERROR';
-			console.warn(`   🚫 ${errorType} ${heroName} (attempt ${retryCount + 1}/${rateLimiter.config.maxRetries})`);
-
-			return getPopularBuilds(heroName, retryCount + 1);
-		} else {
-			console.warn(`   💀 MAX RETRIES REACHED for ${heroName} after ${retryCount + 1} attempts`);
-
-			// Log current rate limiter health for debugging
-			const health = rateLimiter.getHealthStats();
-
-			return { data: [] };
-		}
-	}
-}
-
 // Build data processing function from epic7-build-analyzer
 function processBuildData(rawBuilds, heroData, artifactData) {
 	// Enhanced validation for rawBuilds structure
@@ -1113,41 +1080,57 @@ const STAT_ICONS = {
 	gs: path.join(__dirname, '..', 'assets', 'star.png')
 };
 
-// Load game data with retry mechanism
+// Version of the game data a card was drawn from: its hero's entry and the artifacts it shows,
+// so a game data update only outdates the cards whose data actually changed
+function getCardDataVersion(heroName, artifactNames) {
+	if (!heroData[heroName]) {
+		return null;
+	}
+
+	return crypto.createHash('sha1')
+		.update(JSON.stringify(heroData[heroName]))
+		.update(JSON.stringify(artifactNames.map(name => artifactData[name] || null)))
+		.digest('hex')
+		.substring(0, 12);
+}
+
+// Replace the in-memory game data tables in place (other modules hold references to them)
+function applyGameData(fetchedHeroData, fetchedArtifactData) {
+	Object.keys(heroData).forEach(key => delete heroData[key]);
+	Object.assign(heroData, fetchedHeroData);
+
+	Object.keys(artifactData).forEach(key => delete artifactData[key]);
+	Object.assign(artifactData, fetchedArtifactData);
+
+	// Clear and rebuild artifactsById mapping
+	Object.keys(artifactsById).forEach(key => delete artifactsById[key]);
+	for (const name of Object.keys(artifactData)) {
+		artifactsById[artifactData[name].code] = name;
+	}
+}
+
+// Load game data with retry mechanism, falling back to the latest snapshot
 async function loadGameData(retryCount = 0) {
 	const maxRetries = 3;
 	try {
-		const heroResponse = await fetch(HERO_CACHE, {
-			timeout: 10000,
-			headers: {
-				'User-Agent': 'BriarBot/1.0'
-			}
+		const fetchedHeroData = await dataProvider.fetchHeroData();
+		const fetchedArtifactData = await dataProvider.fetchArtifactData();
+
+		applyGameData(fetchedHeroData, fetchedArtifactData);
+
+		// Fixture data is never snapshotted so it can't stand in for live data later
+		const snapshot = dataProvider.name === 'fixture'
+			? null
+			: gameDataSnapshots.saveSnapshot(heroData, artifactData, dataProvider.name);
+
+		Object.assign(gameDataStatus, {
+			source: dataProvider.name,
+			loadedAt: new Date().toISOString(),
+			lastFetchedAt: new Date().toISOString(),
+			version: snapshot ? snapshot.version : gameDataSnapshots.computeVersion(heroData, artifactData),
+			snapshotSavedAt: snapshot ? snapshot.savedAt : null
 		});
-		if (!heroResponse.ok) throw new Error(`Hero data fetch failed: ${heroResponse.status}`);
-		const fetchedHeroData = await heroResponse.json();
-		
-		// Clear existing data and populate with new data
-		Object.keys(heroData).forEach(key => delete heroData[key]);
-		Object.assign(heroData, fetchedHeroData);
-
-		const artifactResponse = await fetch(ARTIFACT_CACHE, {
-			timeout: 10000,
-			headers: {
-				'User-Agent': 'BriarBot/1.0'
-			}
-		});
-		if (!artifactResponse.ok) throw new Error(`Artifact data fetch failed: ${artifactResponse.status}`);
-		const fetchedArtifactData = await artifactResponse.json();
-		
-		// Clear existing data and populate with new data
-		Object.keys(artifactData).forEach(key => delete artifactData[key]);
-		Object.assign(artifactData, fetchedArtifactData);
-
-		// Clear and rebuild artifactsById mapping
-		Object.keys(artifactsById).forEach(key => delete artifactsById[key]);
-		for (const name of Object.keys(artifactData)) {
-			artifactsById[artifactData[name].code] = name;
-		}
+		return true;
 
 	} catch (error) {
 		console.error('Error loading game data:', error);
@@ -1157,6 +1140,27 @@ async function loadGameData(retryCount = 0) {
 			return loadGameData(retryCount + 1);
 		}
 		console.error('Failed to load game data after all retries');
+
+		// Keep whatever is already loaded; only boot from a snapshot when we have nothing
+		if (Object.keys(heroData).length > 0) {
+			return false;
+		}
+
+		const snapshot = gameDataSnapshots.loadLatestSnapshot();
+		if (!snapshot) {
+			console.error('No game data snapshot available - hero mapping and icons will be unavailable');
+			return false;
+		}
+
+		applyGameData(snapshot.heroData, snapshot.artifactData);
+		Object.assign(gameDataStatus, {
+			source: 'snapshot',
+			loadedAt: new Date().toISOString(),
+			version: snapshot.version,
+			snapshotSavedAt: snapshot.savedAt
+		});
+		console.warn(`📦 Booted from game data snapshot ${snapshot.version} saved ${snapshot.savedAt}`);
+		return false;
 	}
 }
 
@@ -1229,17 +1233,18 @@ function createBrokenIcon() {
 	return `<div class="set-combo broken-icon">?</div>`;
 }
 
-function generateSetHTML(sets) {
+// Icons and label for a set combination, shared by both renderers. Each icon is a set asset path,
+// or null for a broken (off-set) pair.
+function getSetDisplay(sets) {
 	const fullSets = convertToFullSets(sets);
 	const setNames = [];
-	let iconsHtml = '';
-	let totalIcons = 0;
+	const icons = [];
 	let gearPiecesUsed = 0;
 	const maxIcons = 3;
 
 	// Process each set and create appropriate number of icons
 	for (const [setCode, count] of Object.entries(fullSets)) {
-		if (totalIcons >= maxIcons) break;
+		if (icons.length >= maxIcons) break;
 
 		const assetPath = SET_ASSETS[setCode];
 		const setName = SET_NAMES[setCode] || "Unknown";
@@ -1247,12 +1252,6 @@ function generateSetHTML(sets) {
 		const isFourPiece = FOUR_PIECE_SETS.has(setCode);
 
 		if (assetPath && fs.existsSync(assetPath)) {
-			// Convert image to base64 data URL
-			const imageBuffer = fs.readFileSync(assetPath);
-			const imageBase64 = imageBuffer.toString('base64');
-			const imageMimeType = 'image/png';
-			const dataUrl = `data:${imageMimeType};base64,${imageBase64}`;
-
 			// Calculate how many icons to show for this set and gear pieces used
 			let iconsToShow = 0;
 			let piecesUsed = 0;
@@ -1268,9 +1267,8 @@ function generateSetHTML(sets) {
 			}
 
 			// Add icons up to the limit
-			for (let i = 0; i < iconsToShow && totalIcons < maxIcons; i++) {
-				iconsHtml += `<div class="set-combo"><img src="${dataUrl}" class="set-icon"></div>`;
-				totalIcons++;
+			for (let i = 0; i < iconsToShow && icons.length < maxIcons; i++) {
+				icons.push(assetPath);
 			}
 
 			gearPiecesUsed += piecesUsed;
@@ -1285,15 +1283,14 @@ function generateSetHTML(sets) {
 	const remainingPieces = 6 - gearPiecesUsed;
 
 	// Add broken icons for remaining gear pieces (each broken icon represents 2 pieces)
-	if (remainingPieces > 0 && totalIcons < maxIcons) {
+	if (remainingPieces > 0 && icons.length < maxIcons) {
 		const brokenIconsNeeded = Math.min(
 			Math.ceil(remainingPieces / 2),
-			maxIcons - totalIcons
+			maxIcons - icons.length
 		);
 
 		for (let i = 0; i < brokenIconsNeeded; i++) {
-			iconsHtml += createBrokenIcon();
-			totalIcons++;
+			icons.push(null);
 		}
 
 		if (brokenIconsNeeded > 0) {
@@ -1311,28 +1308,52 @@ function generateSetHTML(sets) {
 		setNameText = setNames.join('/');
 	}
 
-	if (iconsHtml) {
-		const setClass = totalIcons === 1 ? 'single-set' : 'multi-set';
+	return { icons, name: setNameText };
+}
+
+function generateSetHTML(sets) {
+	const { icons, name } = getSetDisplay(sets);
+
+	if (icons.length > 0) {
+		const iconsHtml = icons.map(assetPath => {
+			if (!assetPath) {
+				return createBrokenIcon();
+			}
+
+			// Convert image to base64 data URL
+			const imageBase64 = fs.readFileSync(assetPath).toString('base64');
+			return `<div class="set-combo"><img src="data:image/png;base64,${imageBase64}" class="set-icon"></div>`;
+		}).join('');
+
+		const setClass = icons.length === 1 ? 'single-set' : 'multi-set';
 		return `
 			<div class="set-icons-group ${setClass}">
 				${iconsHtml}
 			</div>
-			<span class="set-name">${setNameText}</span>
+			<span class="set-name">${name}</span>
 		`;
 	}
 
 	return '<span class="broken-sets">Broken</span>';
 }
 
-async function analyzeHeroData(heroName, retryCount = 0) {
-	// Check cache first
+async function analyzeHeroData(heroName, retryCount = 0, options = {}) {
+	// Check cache first (unless a refresh asked for new data)
 	const cacheKey = `hero_${heroName.toLowerCase()}`;
-	const cachedResult = getCachedData(cacheKey);
+	const cachedResult = options.skipCache ? null : getCachedData(cacheKey);
 	if (cachedResult) {
 		console.log(`📋 Memory cache hit for ${heroName}`);
 		return cachedResult;
 	}
 
+	// Then the analysis stored next to the cached image, while it is still fresh
+	const storedAnalysis = options.skipCache ? null : cacheManager.getCachedAnalysis(heroName);
+	if (storedAnalysis && !storedAnalysis.isStale) {
+		console.log(`📋 Stored analysis hit for ${heroName} (fetched ${storedAnalysis.fetchedAt})`);
+		setCachedData(cacheKey, storedAnalysis.analysis);
+		return storedAnalysis.analysis;
+	}
+
 	try {
 		// Find the correct hero name (case insensitive)
 		const heroKeys = Object.keys(heroData);
@@ -1347,21 +1368,21 @@ async function analyzeHeroData(heroName, retryCount = 0) {
 		console.log(`🔍 Hero name mapping: "${heroName}" -> "${actualHeroName}" (matched: ${!!matchedHero})`);
 
 		// Try the API with the mapped name
-		let rawBuilds = await getPopularBuilds(actualHeroName);
+		let rawBuilds = await dataProvider.fetchBuilds(actualHeroName);
 
 		// Handle circuit breaker blocking with retry
 		if (rawBuilds.blocked && retryCount < 2) {
 			const waitTime = retryCount === 0 ? 2000 : 5000; // 2s first retry, 5s second retry
 			console.log(`🔄 Circuit breaker blocked, retrying in ${waitTime / 1000}s (attempt ${retryCount + 1}/2)...`);
 			await new Promise(resolve => setTimeout(resolve, waitTime));
-			return analyzeHeroData(heroName, retryCount + 1);
+			return analyzeHeroData(heroName, retryCount + 1, options);
 		}
 
 		// If we got empty data but successfully mapped a hero, try once more
 		if ((!rawBuilds.data || rawBuilds.data.length === 0) && matchedHero && retryCount === 0) {
 			console.log(`🔄 Retrying for ${actualHeroName} - valid hero mapping but got empty data`);
 			await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2 seconds
-			return analyzeHeroData(heroName, retryCount + 1);
+			return analyzeHeroData(heroName, retryCount + 1, options);
 		}
 
 		// Process the build data
@@ -1375,6 +1396,7 @@ async function analyzeHeroData(heroName, retryCount = 0) {
 
 		const result = {
 			heroName: actualHeroName,
+			fetchedAt: new Date().toISOString(),
 			totalBuilds: rawBuilds?.data?.length || 0,
 			topSets: buildData.stats.setPopularity?.slice(0, 3).map(set => ({
 				sets: set.sets,
@@ -1409,8 +1431,88 @@ async function analyzeHeroData(heroName, retryCount = 0) {
 	}
 }
 
+// Artifact names the image lookup knows under a different name
+function correctArtifactName(name) {
+	if (name.toLowerCase() == "succubus mirror") return "Nostalgic Music Box";
+	if (name.toLowerCase() == "elegiac candles") return "Elegiac Candle";
+	return name;
+}
+
+// Local asset as a data URL, or null if it is missing
+function readImageDataUrl(filePath) {
+	if (!filePath || !fs.existsSync(filePath)) {
+		return null;
+	}
+	return `data:image/png;base64,${fs.readFileSync(filePath).toString('base64')}`;
+}
+
+// Remote image as a data URL (the SVG renderer cannot fetch images itself), or null if it fails
+async function fetchImageDataUrl(url) {
+	if (url && url.startsWith('data:')) {
+		return url;
+	}
+	if (!url || !/^https?:\/\//.test(url)) {
+		return null;
+	}
+
+	try {
+		const response = await fetch(url, { timeout: 10000 });
+		if (!response.ok) {
+			throw new Error(`HTTP ${response.status}`);
+		}
+		const contentType = response.headers.get('content-type') || 'image/png';
+		return `data:${contentType};base64,${(await response.buffer()).toString('base64')}`;
+	} catch (error) {
+		console.warn(`Could not load image ${url}: ${error.message}`);
+		return null;
+	}
+}
+
+// Card model for the SVG renderer, with every image inlined
+async function buildReportCard(data) {
+	const artifacts = await Promise.all(data.topArtifacts.map(async (artifact) => {
+		const name = correctArtifactName(artifact.name);
+		return {
+			name,
+			icon: await fetchImageDataUrl(await dataProvider.fetchArtifactImageUrl(name)),
+			percentage: artifact.percentage
+		};
+	}));
+
+	const stat = (key, value) => ({ icon: readImageDataUrl(STAT_ICONS[key]), value });
+	const { avgStats } = data;
+
+	return {
+		heroName: data.heroName,
+		totalBuilds: data.totalBuilds,
+		heroIcon: await fetchImageDataUrl(dataProvider.getHeroImageUrl(data.heroName, heroData)),
+		watermark: readImageDataUrl(path.join(__dirname, '..', 'icon.png')),
+		brokenIcon: readImageDataUrl(path.join(__dirname, '..', 'assets', 'setbroken.png')),
+		sets: data.topSets.map(setData => {
+			const { icons, name } = getSetDisplay(setData.sets);
+			return { icons: icons.map(readImageDataUrl), name, percentage: setData.percentage };
+		}),
+		artifacts,
+		stats: [
+			[
+				stat('atk', `${(avgStats.atk / 1000).toFixed(1)}k`),
+				stat('def', `${(avgStats.def / 1000).toFixed(1)}k`),
+				stat('hp', `${(avgStats.hp / 1000).toFixed(1)}k`),
+				stat('spd', `${avgStats.spd}`),
+				stat('chc', `${avgStats.chc}%`)
+			],
+			[
+				stat('chd', `${avgStats.chd}%`),
+				stat('eff', `${avgStats.eff}%`),
+				stat('efr', `${avgStats.efr}%`),
+				stat('gs', `${avgStats.gs}`)
+			]
+		]
+	};
+}
+
 async function generateHTML(data) {
-	const heroImageUrl = getHeroImageUrl(data.heroName, heroData);
+	const heroImageUrl = dataProvider.getHeroImageUrl(data.heroName, heroData);
 
 	// Convert stat icons to base64 data URLs
 	const statIconDataUrls = {};
@@ -1782,9 +1884,8 @@ async function generateHTML(data) {
 	<div class="section">
 		<div class="section-title">Popular Artifacts</div>
 		${await Promise.all(data.topArtifacts.map(async (artifact) => {
-		if (artifact.name.toLowerCase() == "succubus mirror") artifact.name = "Nostalgic Music Box";
-		if (artifact.name.toLowerCase() == "elegiac candles") artifact.name = "Elegiac Candle";
-		const artifactImageUrl = await getArtifactImage(artifact.name);
+		artifact.name = correctArtifactName(artifact.name);
+		const artifactImageUrl = await dataProvider.fetchArtifactImageUrl(artifact.name);
 		return `
 				<div class="artifact-row">
 					<img class="artifact-icon" src="${artifactImageUrl}" alt="${artifact.name}">
@@ -1842,95 +1943,191 @@ async function generateHTML(data) {
 </html>`;
 }
 
-async function generateReportImage(data) {
-	const html = await generateHTML(data);
-
+// Launch the pooled render browser
+function launchRenderBrowser() {
 	const puppeteer = require('puppeteer');
-	let browser;
-	let page;
-
-	try {
-		const isProduction = process.env.NODE_ENV === 'production';
-
-		const config = {
-			headless: true,
-			timeout: 60000,
-			protocolTimeout: 60000,
-			args: [
-				'--no-sandbox',
-				'--disable-setuid-sandbox',
-				'--disable-dev-shm-usage',
-				'--disable-gpu',
-				'--disable-web-security',
-				'--disable-features=VizDisplayCompositor',
-				'--disable-background-timer-throttling',
-				'--disable-renderer-backgrounding',
-				'--disable-backgrounding-occluded-windows',
-				'--disable-ipc-flooding-protection',
-				'--memory-pressure-off',
-				'--no-first-run',
-				'--no-default-browser-check',
-				'--mute-audio',
-				'--disable-extensions',
-				'--disable-default-apps',
-				'--disable-sync',
-				'--disable-translate',
-				'--hide-scrollbars',
-				'--disable-plugins',
-				'--disable-notifications'
-			]
-		};
+	const isProduction = process.env.NODE_ENV === 'production';
+
+	const config = {
+		headless: true,
+		timeout: 60000,
+		protocolTimeout: 60000,
+		args: [
+			'--no-sandbox',
+			'--disable-setuid-sandbox',
+			'--disable-dev-shm-usage',
+			'--disable-gpu',
+			'--disable-web-security',
+			'--disable-features=VizDisplayCompositor',
+			'--disable-background-timer-throttling',
+			'--disable-renderer-backgrounding',
+			'--disable-backgrounding-occluded-windows',
+			'--disable-ipc-flooding-protection',
+			'--memory-pressure-off',
+			'--no-first-run',
+			'--no-default-browser-check',
+			'--mute-audio',
+			'--disable-extensions',
+			'--disable-default-apps',
+			'--disable-sync',
+			'--disable-translate',
+			'--hide-scrollbars',
+			'--disable-plugins',
+			'--disable-notifications'
+		]
+	};
 
-		if (isProduction) {
-			config.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH || undefined;
-		}
+	if (isProduction) {
+		config.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH || undefined;
+	}
 
-		browser = await puppeteer.launch(config);
+	return puppeteer.launch(config);
+}
 
-		page = await browser.newPage();
+async function generateReportImage(data) {
+	if (RENDERER === 'svg') {
+		return renderReportCardPng(await buildReportCard(data));
+	}
 
-		// Optimize page settings for VM performance
-		await page.setCacheEnabled(false);
-		await page.setOfflineMode(false);
+	const html = await generateHTML(data);
 
-		await page.setContent(html, {
-			waitUntil: 'domcontentloaded',
-			timeout: 30000
-		});
+	try {
+		return await renderPool.withPage(async (page) => {
+			// Optimize page settings for VM performance
+			await page.setCacheEnabled(false);
+			await page.setOfflineMode(false);
+
+			await page.setContent(html, {
+				waitUntil: 'domcontentloaded',
+				timeout: 30000
+			});
 
-		await page.setViewport({
-			width: 600,
-			height: 975,
-			deviceScaleFactor: 1.5
-		});
+			await page.setViewport({
+				width: 600,
+				height: 975,
+				deviceScaleFactor: 1.5
+			});
 
-		// Reduced wait time for faster response
-		await new Promise(resolve => setTimeout(resolve, 1000));
+			// Reduced wait time for faster response
+			await new Promise(resolve => setTimeout(resolve, 1000));
 
-		const screenshot = await page.screenshot({
-			type: 'png',
-			omitBackground: true,
-			fullPage: false,
-			clip: { x: 0, y: 0, width: 600, height: 975 }
+			return page.screenshot({
+				type: 'png',
+				omitBackground: true,
+				fullPage: false,
+				clip: { x: 0, y: 0, width: 600, height: 975 }
+			});
 		});
-
-		return screenshot;
-
 	} catch (error) {
 		console.error('Puppeteer error:', error.message);
 		throw error;
-	} finally {
-		try {
-			if (page) await page.close();
-		} catch (e) { /* ignore */ }
-		try {
-			if (browser) await browser.close();
-		} catch (e) { /* ignore */ }
 	}
 }
 
+// Status embed shared by `!botstatus` and `/botstatus`
+function formatCacheWarmerStatus(status) {
+	if (!status.scheduled) {
+		return 'Disabled';
+	}
+
+	const lines = [`**Schedule:** \`${status.cronExpression}\` UTC, top ${status.topN} heroes`];
+	if (status.running) {
+		const run = status.currentRun;
+		lines.push(`**Running:** ${run.refreshed.length + run.failed.length}/${run.planned} heroes`);
+	}
+	if (status.lastRun) {
+		const run = status.lastRun;
+		const refreshed = run.refreshed.length > 0 ? run.refreshed.slice(0, 10).join(', ') + (run.refreshed.length > 10 ? ` (+${run.refreshed.length - 10} more)` : '') : 'none';
+		lines.push(`**Last Run:** <t:${Math.floor(new Date(run.finishedAt).getTime() / 1000)}:R>, ${run.refreshed.length}/${run.planned} refreshed${run.stoppedReason ? ` (stopped: ${run.stoppedReason})` : ''}`);
+		lines.push(`**Refreshed:** ${refreshed}`);
+		if (run.failed.length > 0) {
+			lines.push(`**Failed:** ${run.failed.join(', ')}`.substring(0, 300));
+		}
+	} else {
+		lines.push('**Last Run:** not yet');
+	}
+	if (status.pendingNewHeroes.length > 0) {
+		lines.push(`**New Heroes Queued:** ${status.pendingNewHeroes.join(', ')}`.substring(0, 300));
+	}
+
+	return lines.join('\n');
+}
+
+function buildStatusEmbed() {
+	const health = rateLimiter.getHealthStats();
+	const cacheStats = cacheManager.getCacheStats();
+	const renderStats = renderPool.getStats();
+
+	return {
+		title: '🤖 Briar Bot Status',
+		color: health.circuitBreakerOpen ? 0xFF0000 : health.circuitBreakerHalfOpen ? 0xFFAA00 : 0x00FF00,
+		fields: [
+			{
+				name: '📊 API Health',
+				value: `**Strategy:** ${health.strategy}\n**Success Rate:** ${health.successRate}\n**Total Requests:** ${health.totalRequests}\n**Successful:** ${health.successfulRequests}`,
+				inline: true
+			},
+			{
+				name: '🔌 Circuit Breaker',
+				value: `**Status:** ${health.circuitBreakerOpen ? '🔴 OPEN' : health.circuitBreakerHalfOpen ? '🟡 HALF-OPEN' : '🟢 CLOSED'}\n**Failures:** ${health.circuitBreakerFailureCount}\n**403s:** ${health.consecutive403s}\n**429s:** ${health.consecutive429s}`,
+				inline: true
+			},
+			{
+				name: '💾 Cache Stats',
+				value: `**Images Cached:** ${cacheStats.totalImages}\n**Valid Images:** ${cacheStats.validImages}\n**Stale:** ${cacheStats.staleImages} (${backgroundRefreshes.size} refreshing)\n**Total Size:** ${cacheStats.totalSizeMB} MB\n**Cache Hits:** ${cacheStats.cacheHitsSinceStart}`,
+				inline: true
+			},
+			{
+				name: '⏱️ Timing',
+				value: `**Last Success:** <t:${Math.floor(new Date(health.lastSuccessTime).getTime() / 1000)}:R>\n**Time Since:** ${Math.floor(health.timeSinceLastSuccess / 1000)}s`,
+				inline: false
+			},
+			{
+				name: '🗂️ Game Data',
+				value: `**Source:** ${gameDataStatus.source}\n**Version:** ${gameDataStatus.version || 'n/a'}\n**Heroes:** ${Object.keys(heroData).length}\n**Last Fetch:** ${gameDataStatus.lastFetchedAt ? `<t:${Math.floor(new Date(gameDataStatus.lastFetchedAt).getTime() / 1000)}:R>` : 'never'}\n**Snapshot Saved:** ${gameDataStatus.snapshotSavedAt ? `<t:${Math.floor(new Date(gameDataStatus.snapshotSavedAt).getTime() / 1000)}:R>` : 'none'}`,
+				inline: false
+			},
+			{
+				name: '🔥 Cache Warm-up',
+				value: formatCacheWarmerStatus(cacheWarmer.getStatus()),
+				inline: false
+			},
+			{
+				name: '🔄 Queue Status',
+				value: `**Queue Length:** ${commandQueue.length}\n**Processing:** ${processingCommands.size}/${MAX_CONCURRENT_COMMANDS}\n**Active Connections:** ${activeConnections}\n**Render Pages:** ${renderStats.leased}/${renderStats.size} busy (${renderStats.renders} renders, ${renderStats.recycles} recycles)`,
+				inline: false
+			}
+		],
+		timestamp: new Date().toISOString()
+	};
+}
+
+// iCalendar feed of a guild's war schedule (only for guilds the bot is in, with the guild's feed token)
+function serveGuildWarCalendar(res, guildId, token) {
+	const guild = client.guilds.cache.get(guildId);
+	if (!guild || !isValidCalendarToken(guildSettings, guildId, token)) {
+		// Same answer for unknown guilds and wrong tokens, so guild IDs cannot be probed
+		res.writeHead(404, { 'Content-Type': 'text/plain' });
+		res.end('Not found\n');
+		return;
+	}
+
+	const calendar = buildGuildWarCalendar(resolveSchedule(guildId), { guildId, guildName: guild.name });
+	res.writeHead(200, {
+		'Content-Type': 'text/calendar; charset=utf-8',
+		'Content-Disposition': 'inline; filename="guild-war.ics"'
+	});
+	res.end(calendar);
+}
+
 // Create HTTP server for Render deployment
 const server = http.createServer((req, res) => {
+	if (req.url.startsWith('/guildwar/')) {
+		const calendarMatch = req.method === 'GET' && req.url.match(/^\/guildwar\/(\d+)\/([a-f0-9]+)\.ics(?:\?.*)?$/);
+		serveGuildWarCalendar(res, calendarMatch ? calendarMatch[1] : null, calendarMatch ? calendarMatch[2] : null);
+		return;
+	}
+
 	res.writeHead(200, { 'Content-Type': 'text/plain' });
 	res.end('BriarBot is running!\n');
 });
@@ -1959,12 +2156,25 @@ if (require.main === module) {
 	// Memory monitoring interval (reduced frequency)
 	setInterval(logMemoryUsage, 1800000); // Every 30 minutes
 
+	let gameDataRefreshTask = null;
+
 	client.once('ready', async () => {
 		console.log(`Logged in as ${client.user.tag}!`);
 		await loadGameData();
 		logMemoryUsage();
-		initializeGuildWarScheduler(client);
-
+		initializeGuildWarScheduler(client, { settingsStore: guildSettings, attendanceStore });
+		gameDataRefreshTask = scheduleGameDataRefresh(client, {
+			loadGameData,
+			heroData,
+			artifactData,
+			reportedMissingFile: reportedMissingHeroesFile,
+			onChanges: diff => cacheWarmer.addNewHeroes(diff.addedHeroes)
+		});
+		await reportMissingHeroes(client, { heroData, reportedMissingFile: reportedMissingHeroesFile });
+		if (cacheWarmer.topN > 0) {
+			cacheWarmer.schedule(process.env.CACHE_WARM_CRON || undefined);
+		}
+		await registerSlashCommands(client);
 	});
 
 	client.on('messageCreate', async (message) => {
@@ -1972,43 +2182,7 @@ if (require.main === module) {
 
 		// Admin command: !botstatus
 		if (message.content.toLowerCase() === '!botstatus') {
-			const health = rateLimiter.getHealthStats();
-			const cacheStats = cacheManager.getCacheStats();
-
-			const statusEmbed = {
-				title: '🤖 Briar Bot Status',
-				color: health.circuitBreakerOpen ? 0xFF0000 : health.circuitBreakerHalfOpen ? 0xFFAA00 : 0x00FF00,
-				fields: [
-					{
-						name: '📊 API Health',
-						value: `**Strategy:** ${health.strategy}\n**Success Rate:** ${health.successRate}\n**Total Requests:** ${health.totalRequests}\n**Successful:** ${health.successfulRequests}`,
-						inline: true
-					},
-					{
-						name: '🔌 Circuit Breaker',
-						value: `**Status:** ${health.circuitBreakerOpen ? '🔴 OPEN' : health.circuitBreakerHalfOpen ? '🟡 HALF-OPEN' : '🟢 CLOSED'}\n**Failures:** ${health.circuitBreakerFailureCount}\n**403s:** ${health.consecutive403s}\n**429s:** ${health.consecutive429s}`,
-						inline: true
-					},
-					{
-						name: '💾 Cache Stats',
-						value: `**Images Cached:** ${cacheStats.totalImages}\n**Valid Images:** ${cacheStats.validImages}\n**Total Size:** ${cacheStats.totalSizeMB} MB\n**Cache Hits:** ${cacheStats.cacheHitsSinceStart}`,
-						inline: true
-					},
-					{
-						name: '⏱️ Timing',
-						value: `**Last Success:** <t:${Math.floor(new Date(health.lastSuccessTime).getTime() / 1000)}:R>\n**Time Since:** ${Math.floor(health.timeSinceLastSuccess / 1000)}s`,
-						inline: false
-					},
-					{
-						name: '🔄 Queue Status',
-						value: `**Queue Length:** ${commandQueue.length}\n**Processing:** ${processingCommands.size}\n**Active Connections:** ${activeConnections}`,
-						inline: false
-					}
-				],
-				timestamp: new Date().toISOString()
-			};
-
-			await message.reply({ embeds: [statusEmbed] });
+			await message.reply({ embeds: [buildStatusEmbed()] });
 			return;
 		}
 
@@ -2019,104 +2193,151 @@ if (require.main === module) {
 			return;
 		}
 
-		// Admin command: !testguildwar [attack|defense|both]
+		// Admin command: !testguildwar [attack|defense|both|preview] [ping]
 		if (message.content.toLowerCase().startsWith('!testguildwar')) {
-			if (!message.member.permissions.has('Administrator')) {
+			if (!message.guild || !message.member.permissions.has('Administrator')) {
 				await message.reply('🕸️ Only those who command the guild may test the war horns.');
 				return;
 			}
 
-			const args = message.content.split(' ');
-			const type = args[1]?.toLowerCase() || 'both';
+			const args = message.content.toLowerCase().split(/\s+/).slice(1);
+			const type = args[0] || 'both';
+			const ping = args[1] === 'ping';
+
+			if (!['attack', 'defense', 'both', 'preview'].includes(type) || (args[1] && !ping)) {
+				await message.reply('🕸️ Speak clearly: `!testguildwar [attack|defense|both|preview] [ping]`');
+				return;
+			}
 
-			if (!['attack', 'defense', 'both'].includes(type)) {
-				await message.reply('🕸️ Speak clearly: `!testguildwar [attack|defense|both]`');
+			if (type === 'preview') {
+				await message.reply({ content: formatAnnouncementPreview(message.guild), allowedMentions: { parse: [] } });
 				return;
 			}
 
-			await message.reply('🧪 The witch summons the war spirits for testing...');
-			await testAnnouncements(client, type, message.channel);
+			await message.reply(ping
+				? '🧪 The witch summons the war spirits for testing... (pinging for real, in this channel only)'
+				: '🧪 The witch summons the war spirits for testing... (in this channel only, pings muted)');
+			await testAnnouncements(message.channel, type, { ping });
+			return;
+		}
+
+		// Admin command: !guildwar config|report ...
+		if (/^!guildwar(\s|$)/i.test(message.content)) {
+			await handleGuildWarCommand(message, { client, settingsStore: guildSettings, attendanceStore });
+			return;
+		}
+
+		// Admin command: !alias add|remove|list
+		if (/^!alias(\s|$)/i.test(message.content)) {
+			await handleAliasCommand(message);
 			return;
 		}
 
 		if (message.content.startsWith('!') && message.content.length > 1) {
-			// Enhanced rate limiting check
-			const rateLimitResult = checkRateLimit(message.author.id);
-			if (!rateLimitResult.allowed) {
-				const rateLimitMessage = getRandomResponse('rateLimited', { time: rateLimitResult.resetTime });
-				await message.reply(`⏳ ${rateLimitMessage}`);
-				return;
-			}
+			await handleBuildRequest(createReplyTarget(message), message.content.slice(1));
+		}
+	});
 
-			const rawInput = message.content.slice(1);
+	client.on('interactionCreate', async (interaction) => {
+		// Hero name autocomplete for /build (not rate limited, nothing is queued)
+		if (interaction.isAutocomplete()) {
+			if (interaction.commandName !== 'build') return;
 
-			// Input validation and sanitization
-			let userInput;
 			try {
-				userInput = validateAndSanitizeInput(rawInput);
+				const focused = interaction.options.getFocused();
+				const suggestions = getAutocompleteSuggestions(focused, 25, {
+					guildAliases: guildSettings.getAliases(interaction.guildId)
+				});
+				await interaction.respond(suggestions.map(name => ({ name, value: name })));
 			} catch (error) {
-				const invalidMessage = getRandomResponse('invalidInput', { error: error.message });
-				await message.reply(`？ ${invalidMessage}`);
-				return;
+				console.error('Error handling hero autocomplete:', error);
 			}
+			return;
+		}
 
-			// Use fuzzy search to find the best character match
-			const searchResult = findBestCharacterMatch(userInput);
-
-			if (!searchResult) {
-				const suggestions = getCharacterSuggestions(userInput, 3);
-				if (suggestions.length > 0) {
-					const suggestionsText = suggestions.map(s => `• ${s}`).join('\n');
-					const suggestionMessage = getRandomResponse('characterNotFoundWithSuggestions', {
-						input: userInput,
-						suggestions: suggestionsText
-					});
-					await message.reply(suggestionMessage);
-				} else {
-					const notFoundMessage = getRandomResponse('characterNotFound', { input: userInput });
-					await message.reply(notFoundMessage);
-				}
-				return;
+		// Guild war check-in buttons on attack reminders
+		if (isAttendanceButton(interaction)) {
+			try {
+				await handleAttendanceButton(interaction, attendanceStore);
+			} catch (error) {
+				console.error('Error recording guild war attendance:', error);
 			}
+			return;
+		}
 
-			const characterName = searchResult.character;
-			const confidence = (searchResult.confidence * 100).toFixed(1);
+		if (!interaction.isChatInputCommand()) return;
 
-			// Add to queue
-			const queueResult = addToQueue({
-				message,
-				userInput,
-				characterName,
-				confidence,
-				searchResult
-			});
+		try {
+			switch (interaction.commandName) {
+				case 'build':
+					await interaction.deferReply();
+					await handleBuildRequest(createReplyTarget(interaction), interaction.options.getString('hero', true));
+					break;
+
+				case 'botstatus':
+					await interaction.reply({ embeds: [buildStatusEmbed()] });
+					break;
+
+				case 'resetcircuit':
+					rateLimiter.reset();
+					await interaction.reply('🔄 Circuit breaker has been reset. API requests will resume normally.');
+					break;
+
+				case 'testguildwar': {
+					if (!interaction.memberPermissions?.has('Administrator')) {
+						await interaction.reply({ content: '🕸️ Only those who command the guild may test the war horns.', flags: MessageFlags.Ephemeral });
+						break;
+					}
 
-			if (!queueResult.success) {
-				if (queueResult.reason === 'queue_full') {
-					const queueFullMessage = getRandomResponse('queueFull');
-					await message.reply(queueFullMessage);
-				}
-				return;
-			}
+					const type = interaction.options.getString('type') || 'both';
+					const ping = interaction.options.getBoolean('ping') || false;
 
-			// Notify user of queue position if not being processed immediately
-			if (processingCommands.size >= MAX_CONCURRENT_COMMANDS) {
-				const queuedMessage = getRandomResponse('queued', {
-					character: characterName,
-					position: queueResult.position
-				});
-				await message.reply(queuedMessage);
+					if (type === 'preview') {
+						await interaction.reply({ content: formatAnnouncementPreview(interaction.guild), allowedMentions: { parse: [] }, flags: MessageFlags.Ephemeral });
+						break;
+					}
+
+					await interaction.reply(ping
+						? '🧪 The witch summons the war spirits for testing... (pinging for real, in this channel only)'
+						: '🧪 The witch summons the war spirits for testing... (in this channel only, pings muted)');
+					await testAnnouncements(interaction.channel, type, { ping });
+					break;
+				}
 			}
+		} catch (error) {
+			console.error(`Error handling /${interaction.commandName}:`, error);
 		}
 	});
 
 	client.login(BOT_TOKEN);
 
-	process.on('SIGINT', () => {
+	let shuttingDown = false;
+	const shutdown = async () => {
+		if (shuttingDown) return;
+		shuttingDown = true;
 		console.log('Shutting down bot...');
+
+		// Exit anyway if the render browser does not close in time
+		setTimeout(() => process.exit(1), 10000).unref();
+
+		stopGuildWarScheduler();
+		if (gameDataRefreshTask) {
+			gameDataRefreshTask.stop();
+		}
+		cacheWarmer.stop();
+		cacheManager.flushMetadata();
+
+		try {
+			await renderPool.close();
+		} catch (error) {
+			console.error('Error closing render browser:', error);
+		}
+
 		client.destroy();
 		process.exit(0);
-	});
+	};
+	process.on('SIGINT', shutdown);
+	process.on('SIGTERM', shutdown);
 }
 
 // Export functions for testing
@@ -2125,8 +2346,13 @@ module.exports = {
 	analyzeHeroData,
 	generateReportImage,
 	generateHTML,
+	buildReportCard,
+	renderPool,
+	cacheManager,
+	cacheWarmer,
 	checkRateLimit,
 	heroData,
 	artifactData,
-	artifactsById
+	artifactsById,
+	gameDataStatus
 };
\ No newline at end of file
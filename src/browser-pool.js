@@ -0,0 +1,276 @@
+/**
+ * A single long-lived Chromium shared by report renders. Up to `size` pages are leased out at
+ * once and reused between renders; the browser is recycled after a number of renders or when a
+ * page's JS heap grows past a threshold, and closed after sitting idle.
+ */
+class BrowserPool {
+    constructor(options = {}) {
+        this.size = options.size || 2; // Pages (parallel renders)
+        this.maxRendersPerBrowser = options.maxRendersPerBrowser || 100; // Renders before the browser is recycled
+        this.maxPageHeapMB = options.maxPageHeapMB || 256; // JS heap per page before the browser is recycled
+        this.idleTimeout = options.idleTimeout || 5 * 60 * 1000; // Close the browser after 5 idle minutes
+        this.healthCheckTimeout = options.healthCheckTimeout || 5000;
+        this.launch = options.launch; // async () => Browser
+
+        this.browser = null;
+        this.launching = null;
+        this.idlePages = [];
+        this.leased = 0;
+        this.waiters = [];
+        this.rendersSinceLaunch = 0;
+        this.recyclePending = false;
+        this.idleTimer = null;
+        this.closed = false;
+
+        this.stats = {
+            renders: 0,
+            failedRenders: 0,
+            launches: 0,
+            recycles: 0,
+            crashes: 0
+        };
+    }
+
+    /**
+     * Run `task` with a pooled page, waiting for a free one if all are busy
+     * @param {function(Page): Promise<*>} task
+     * @returns {Promise<*>} Whatever the task returns
+     */
+    async withPage(task) {
+        const page = await this.acquire();
+        let failed = false;
+
+        try {
+            return await task(page);
+        } catch (error) {
+            failed = true;
+            throw error;
+        } finally {
+            await this.release(page, failed);
+        }
+    }
+
+    async acquire() {
+        while (!this.closed && (this.recyclePending || this.leased >= this.size)) {
+            await new Promise(resolve => this.waiters.push(resolve));
+        }
+        if (this.closed) {
+            throw new Error('Browser pool is closed');
+        }
+
+        // Reserve the slot before any await so parallel callers cannot overshoot the pool size
+        this.leased++;
+        this.clearIdleTimer();
+
+        try {
+            const browser = await this.getBrowser();
+
+            while (this.idlePages.length > 0) {
+                const page = this.idlePages.pop();
+                if (await this.isPageHealthy(page, browser)) {
+                    return page;
+                }
+                await this.closePage(page);
+            }
+
+            return await browser.newPage();
+        } catch (error) {
+            this.leased--;
+            this.wakeWaiters();
+            throw error;
+        }
+    }
+
+    /**
+     * Return a page to the pool. Pages from failed renders are closed rather than reused.
+     * @param {Page} page
+     * @param {boolean} failed
+     */
+    async release(page, failed = false) {
+        this.leased--;
+        this.rendersSinceLaunch++;
+        this.stats.renders++;
+        if (failed) {
+            this.stats.failedRenders++;
+        }
+
+        if (failed || page.isClosed() || page.browser() !== this.browser) {
+            await this.closePage(page);
+        } else {
+            if (await this.getPageHeapMB(page) > this.maxPageHeapMB) {
+                this.recyclePending = true;
+            }
+            this.idlePages.push(page);
+        }
+
+        if (this.rendersSinceLaunch >= this.maxRendersPerBrowser) {
+            this.recyclePending = true;
+        }
+
+        if (this.recyclePending && this.leased === 0) {
+            await this.recycle();
+        }
+
+        if (this.leased === 0) {
+            this.startIdleTimer();
+        }
+        this.wakeWaiters();
+    }
+
+    async getBrowser() {
+        if (this.browser && this.browser.isConnected()) {
+            return this.browser;
+        }
+
+        if (!this.launching) {
+            this.launching = this.launch()
+                .then(browser => {
+                    this.browser = browser;
+                    this.idlePages = [];
+                    this.rendersSinceLaunch = 0;
+                    this.stats.launches++;
+
+                    browser.on('disconnected', () => {
+                        // Only count disconnects we did not cause
+                        if (this.browser === browser) {
+                            console.warn('Render browser disconnected unexpectedly, a new one will be launched');
+                            this.browser = null;
+                            this.idlePages = [];
+                            this.stats.crashes++;
+                        }
+                    });
+
+                    return browser;
+                })
+                .finally(() => {
+                    this.launching = null;
+                });
+        }
+
+        return this.launching;
+    }
+
+    /**
+     * A page is healthy if it belongs to the current browser and still answers an evaluate
+     * @param {Page} page
+     * @param {Browser} browser
+     * @returns {Promise<boolean>}
+     */
+    async isPageHealthy(page, browser) {
+        if (page.isClosed() || page.browser() !== browser) {
+            return false;
+        }
+
+        let timeoutId;
+        const timeout = new Promise(resolve => {
+            timeoutId = setTimeout(() => resolve(false), this.healthCheckTimeout);
+        });
+
+        try {
+            return await Promise.race([page.evaluate(() => true).then(() => true, () => false), timeout]);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    async getPageHeapMB(page) {
+        try {
+            const metrics = await page.metrics();
+            return (metrics.JSHeapTotalSize || 0) / 1024 / 1024;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    async closePage(page) {
+        try {
+            if (!page.isClosed()) {
+                await page.close();
+            }
+        } catch (error) { /* ignore */ }
+    }
+
+    /**
+     * Replace the browser: the next render launches a fresh one. Only called with no pages leased.
+     */
+    async recycle() {
+        if (this.browser) {
+            this.stats.recycles++;
+            console.log(`♻️ Recycling render browser after ${this.rendersSinceLaunch} render(s)`);
+        }
+        await this.closeBrowser();
+    }
+
+    async closeBrowser() {
+        const browser = this.browser;
+        this.browser = null;
+        this.idlePages = [];
+        this.recyclePending = false;
+        this.rendersSinceLaunch = 0;
+
+        if (browser) {
+            try {
+                await browser.close();
+            } catch (error) { /* ignore */ }
+        }
+    }
+
+    startIdleTimer() {
+        this.clearIdleTimer();
+        if (!this.browser) {
+            return;
+        }
+
+        this.idleTimer = setTimeout(() => {
+            this.idleTimer = null;
+            if (this.leased === 0) {
+                this.closeBrowser();
+            }
+        }, this.idleTimeout);
+        // The timer alone should not keep the process alive
+        this.idleTimer.unref();
+    }
+
+    clearIdleTimer() {
+        if (this.idleTimer) {
+            clearTimeout(this.idleTimer);
+            this.idleTimer = null;
+        }
+    }
+
+    wakeWaiters() {
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    /**
+     * Close the browser and reject anyone still waiting for a page
+     */
+    async close() {
+        this.closed = true;
+        this.clearIdleTimer();
+        this.wakeWaiters();
+        if (this.launching) {
+            await this.launching.catch(() => {});
+        }
+        await this.closeBrowser();
+    }
+
+    /**
+     * Get pool statistics
+     * @returns {Object}
+     */
+    getStats() {
+        return {
+            size: this.size,
+            leased: this.leased,
+            idlePages: this.idlePages.length,
+            waiting: this.waiters.length,
+            browserRunning: Boolean(this.browser),
+            ...this.stats
+        };
+    }
+}
+
+module.exports = BrowserPool;
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { writeFileAtomic, moveCorruptFile } = require('./atomic-file');
 
 class CacheManager {
     constructor(options = {}) {
@@ -8,7 +9,15 @@ class CacheManager {
         this.heroImagesDir = path.join(this.cacheDir, 'heroes');
         this.metadataFile = path.join(this.cacheDir, 'metadata.json');
         this.defaultTTL = options.ttl || 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
+        this.maxStaleAge = options.maxStaleAge || this.defaultTTL * 3; // Expired entries are still served (and refreshed) until this age
+
+        // Render template version; entries rendered with another template are outdated (null = not checked)
+        this.templateVersion = options.templateVersion || null;
+        // (heroName, artifactNames) => version of the game data a card was drawn from (null = not checked)
+        this.getDataVersion = options.getDataVersion || null;
         this.maxCacheSize = options.maxCacheSize || 500; // Maximum number of cached images
+        this.metadataSaveDelay = options.metadataSaveDelay || 5000; // Access count updates are batched this long
+        this.metadataSaveTimer = null;
         
         this.metadata = {
             version: '2.0',
@@ -36,9 +45,15 @@ class CacheManager {
             if (fs.existsSync(this.metadataFile)) {
                 try {
                     const existingMetadata = JSON.parse(fs.readFileSync(this.metadataFile, 'utf8'));
+                    if (!existingMetadata || typeof existingMetadata.heroes !== 'object') {
+                        throw new Error('missing heroes index');
+                    }
                     this.metadata = { ...this.metadata, ...existingMetadata };
                 } catch (error) {
-                    console.warn('Failed to load existing metadata, starting fresh:', error.message);
+                    // Keep the unreadable file for inspection and recover the index from the cached files
+                    console.warn('Failed to load existing metadata, rebuilding from cache files:', error.message);
+                    moveCorruptFile(this.metadataFile);
+                    this.rebuildMetadata();
                 }
             }
 
@@ -74,7 +89,61 @@ class CacheManager {
     }
 
     /**
-     * Check if hero image is cached and not expired
+     * Path of the analysis JSON stored next to a hero's image
+     * @param {string} filename - Sanitized filename (see generateFilename)
+     * @returns {string}
+     */
+    getAnalysisPath(filename) {
+        return path.join(this.heroImagesDir, `${filename}.json`);
+    }
+
+    /**
+     * Age of a cache entry in milliseconds, counted from when its data was fetched
+     * @param {Object} heroMetadata
+     * @returns {number}
+     */
+    getEntryAge(heroMetadata) {
+        return Date.now() - new Date(heroMetadata.lastUpdated).getTime();
+    }
+
+    /**
+     * Set the render template version new entries are recorded with
+     * @param {string} templateVersion
+     */
+    setTemplateVersion(templateVersion) {
+        this.templateVersion = templateVersion;
+    }
+
+    /**
+     * Current version of the game data an entry uses: its hero and the artifacts on its card
+     * @param {string} heroName
+     * @param {string[]} artifactNames
+     * @returns {string|null} null when not checked
+     */
+    getCurrentDataVersion(heroName, artifactNames) {
+        return this.getDataVersion ? this.getDataVersion(heroName, artifactNames) || null : null;
+    }
+
+    /**
+     * Was this entry rendered with a different template, or from different data for its own hero
+     * and artifacts, than the current ones? Entries from before versions were recorded count as outdated.
+     * @param {string} heroName
+     * @param {Object} heroMetadata
+     * @returns {boolean}
+     */
+    isOutdated(heroName, heroMetadata) {
+        if (this.templateVersion && heroMetadata.templateVersion !== this.templateVersion) {
+            return true;
+        }
+
+        const dataVersion = this.getCurrentDataVersion(heroName, heroMetadata.artifacts || []);
+        return Boolean(dataVersion && heroMetadata.gameDataVersion !== dataVersion);
+    }
+
+    /**
+     * Check if hero image is cached, not expired and rendered with the current versions.
+     * Expired and outdated entries are kept so they can still be served stale while a refresh
+     * runs; cleanupExpiredEntries removes them later.
      * @param {string} heroName 
      * @returns {boolean}
      */
@@ -87,22 +156,13 @@ class CacheManager {
             return false;
         }
 
-        // Check if cache has expired
-        const lastUpdated = new Date(heroMetadata.lastUpdated);
-        const now = new Date();
-        const isExpired = (now - lastUpdated) > this.defaultTTL;
-
-        if (isExpired) {
-            console.log(`Cache expired for ${heroName}, removing...`);
-            this.removeCachedHero(heroName);
-            return false;
-        }
-
-        return true;
+        return this.getEntryAge(heroMetadata) <= this.defaultTTL && !this.isOutdated(heroName, heroMetadata);
     }
 
     /**
-     * Cache hero image with metadata
+     * Cache hero image with metadata. A non-empty analysis is stored next to the image as JSON
+     * so the card can be re-rendered, and its numbers reused, without calling the builds API.
+     * The entry's age (and so its TTL) counts from analysisData.fetchedAt when present.
      * @param {string} heroName 
      * @param {Buffer} imageBuffer 
      * @param {Object} analysisData 
@@ -114,24 +174,44 @@ class CacheManager {
             const filePath = path.join(this.heroImagesDir, `${filename}.png`);
             const cacheKey = this.getCacheKey(heroName);
             const timestamp = new Date().toISOString();
+            const fetchedAt = analysisData.fetchedAt || timestamp;
+            const hasAnalysis = Boolean(analysisData.heroName);
+            const artifacts = (analysisData.topArtifacts || []).map(artifact => artifact.name);
+            const previous = this.metadata.heroes[heroName];
 
             // Check cache size limits and perform LRU eviction if needed
-            await this.enforceMaxCacheSize();
+            // (re-caching a hero that is already cached does not grow the cache)
+            if (!previous) {
+                await this.enforceMaxCacheSize();
+            }
 
             // Write image file
-            fs.writeFileSync(filePath, imageBuffer);
+            writeFileAtomic(filePath, imageBuffer);
+
+            if (hasAnalysis) {
+                writeFileAtomic(this.getAnalysisPath(filename), JSON.stringify({
+                    heroName,
+                    fetchedAt,
+                    analysis: analysisData
+                }, null, 2));
+            }
 
             // Update metadata
             this.metadata.heroes[heroName] = {
                 filename: filename,
                 cacheKey: cacheKey,
-                lastUpdated: timestamp,
+                lastUpdated: fetchedAt,
+                renderedAt: timestamp,
                 fileExists: true,
                 fileSizeBytes: imageBuffer.length,
                 totalBuilds: analysisData.totalBuilds || 0,
+                hasAnalysis: hasAnalysis,
+                artifacts: artifacts,
+                templateVersion: this.templateVersion,
+                gameDataVersion: this.getCurrentDataVersion(heroName, artifacts),
                 validData: true,
-                accessCount: 0,
-                lastAccessed: timestamp
+                accessCount: previous ? previous.accessCount || 0 : 0,
+                lastAccessed: previous ? previous.lastAccessed || timestamp : timestamp
             };
 
             // Update global metadata
@@ -179,9 +259,7 @@ class CacheManager {
 
             // Update access metadata
             if (this.metadata.heroes[heroName]) {
-                this.metadata.heroes[heroName].accessCount++;
-                this.metadata.heroes[heroName].lastAccessed = new Date().toISOString();
-                this.saveMetadata();
+                this.recordAccess(this.metadata.heroes[heroName]);
             }
 
             return imageBuffer;
@@ -192,9 +270,47 @@ class CacheManager {
     }
 
     /**
-     * Retrieve stale cached hero image (even if expired)
+     * Retrieve the stored analysis for a hero, even if the entry has expired
+     * @param {string} heroName
+     * @returns {Object|null} { analysis: Object, fetchedAt: string, age: number, isStale: boolean }
+     */
+    getCachedAnalysis(heroName) {
+        const heroMetadata = this.metadata.heroes[heroName];
+        const analysisPath = this.getAnalysisPath(heroMetadata ? heroMetadata.filename : this.generateFilename(heroName));
+
+        if (!fs.existsSync(analysisPath)) {
+            return null;
+        }
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(analysisPath, 'utf8'));
+            const age = Date.now() - new Date(stored.fetchedAt).getTime();
+
+            return {
+                analysis: stored.analysis,
+                fetchedAt: stored.fetchedAt,
+                age,
+                isStale: age > this.defaultTTL
+            };
+        } catch (error) {
+            console.error(`Failed to read cached analysis for ${heroName}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Heroes with a stored analysis
+     * @returns {string[]}
+     */
+    listCachedAnalyses() {
+        return Object.keys(this.metadata.heroes)
+            .filter(heroName => fs.existsSync(this.getAnalysisPath(this.metadata.heroes[heroName].filename)));
+    }
+
+    /**
+     * Retrieve stale cached hero image (even if expired or outdated)
      * @param {string} heroName
-     * @returns {Object|null} { imageBuffer: Buffer, age: number, isStale: boolean }
+     * @returns {Object|null} { imageBuffer: Buffer, age: number, isStale: boolean, isExpired: boolean, isOutdated: boolean }
      */
     getStaleCachedHeroImage(heroName) {
         try {
@@ -207,20 +323,19 @@ class CacheManager {
             }
 
             const imageBuffer = fs.readFileSync(filePath);
-            const lastUpdated = new Date(heroMetadata.lastUpdated);
-            const now = new Date();
-            const age = now - lastUpdated;
-            const isStale = age > this.defaultTTL;
+            const age = this.getEntryAge(heroMetadata);
+            const isExpired = age > this.defaultTTL;
+            const isOutdated = this.isOutdated(heroName, heroMetadata);
 
             // Update access metadata
-            heroMetadata.accessCount = (heroMetadata.accessCount || 0) + 1;
-            heroMetadata.lastAccessed = new Date().toISOString();
-            this.saveMetadata();
+            this.recordAccess(heroMetadata);
 
             return {
                 imageBuffer,
                 age,
-                isStale,
+                isStale: isExpired || isOutdated,
+                isExpired,
+                isOutdated,
                 lastUpdated: heroMetadata.lastUpdated
             };
         } catch (error) {
@@ -239,11 +354,15 @@ class CacheManager {
             const heroMetadata = this.metadata.heroes[heroName];
             if (heroMetadata) {
                 const filePath = path.join(this.heroImagesDir, `${heroMetadata.filename}.png`);
+                const analysisPath = this.getAnalysisPath(heroMetadata.filename);
                 
-                // Remove file if it exists
+                // Remove files if they exist
                 if (fs.existsSync(filePath)) {
                     fs.unlinkSync(filePath);
                 }
+                if (fs.existsSync(analysisPath)) {
+                    fs.unlinkSync(analysisPath);
+                }
 
                 // Remove from metadata
                 delete this.metadata.heroes[heroName];
@@ -282,17 +401,15 @@ class CacheManager {
     }
 
     /**
-     * Clean up expired cache entries
+     * Remove entries too old to be served even while stale (older than maxStaleAge)
      * @returns {number} Number of entries cleaned up
      */
     cleanupExpiredEntries() {
         let cleanedCount = 0;
-        const now = new Date();
 
         Object.keys(this.metadata.heroes).forEach(heroName => {
             const heroMetadata = this.metadata.heroes[heroName];
-            const lastUpdated = new Date(heroMetadata.lastUpdated);
-            const isExpired = (now - lastUpdated) > this.defaultTTL;
+            const isExpired = this.getEntryAge(heroMetadata) > this.maxStaleAge;
 
             if (isExpired) {
                 this.removeCachedHero(heroName);
@@ -394,10 +511,13 @@ class CacheManager {
         const heroes = Object.values(this.metadata.heroes);
         const totalSize = heroes.reduce((sum, h) => sum + (h.fileSizeBytes || 0), 0);
         const validImages = heroes.filter(h => h.fileExists && h.validData).length;
+        const staleImages = Object.entries(this.metadata.heroes)
+            .filter(([heroName, h]) => this.getEntryAge(h) > this.defaultTTL || this.isOutdated(heroName, h)).length;
         
         return {
             totalImages: heroes.length,
             validImages: validImages,
+            staleImages: staleImages,
             totalSizeMB: (totalSize / (1024 * 1024)).toFixed(2),
             successRate: heroes.length > 0 ? ((validImages / heroes.length) * 100).toFixed(1) : 0,
             oldestEntry: heroes.length > 0 ? 
@@ -409,20 +529,50 @@ class CacheManager {
     }
 
     /**
-     * Save metadata to disk
+     * Count a cache hit. Hits only change access counts, so they are saved in batches
+     * rather than rewriting the metadata file on every request.
+     * @param {Object} heroMetadata
+     */
+    recordAccess(heroMetadata) {
+        heroMetadata.accessCount = (heroMetadata.accessCount || 0) + 1;
+        heroMetadata.lastAccessed = new Date().toISOString();
+
+        if (!this.metadataSaveTimer) {
+            this.metadataSaveTimer = setTimeout(() => this.saveMetadata(), this.metadataSaveDelay);
+            // A pending save alone should not keep the process alive
+            this.metadataSaveTimer.unref();
+        }
+    }
+
+    /**
+     * Save metadata to disk now, including any batched access counts
      */
     saveMetadata() {
+        if (this.metadataSaveTimer) {
+            clearTimeout(this.metadataSaveTimer);
+            this.metadataSaveTimer = null;
+        }
+
         try {
             const stats = this.getCacheStats();
             this.metadata.cacheSize = stats.totalImages;
             this.metadata.totalDiskUsage = parseFloat(stats.totalSizeMB);
             
-            fs.writeFileSync(this.metadataFile, JSON.stringify(this.metadata, null, 2));
+            writeFileAtomic(this.metadataFile, JSON.stringify(this.metadata, null, 2));
         } catch (error) {
             console.error('Failed to save metadata:', error);
         }
     }
 
+    /**
+     * Write batched access counts before shutting down
+     */
+    flushMetadata() {
+        if (this.metadataSaveTimer) {
+            this.saveMetadata();
+        }
+    }
+
     /**
      * Get cache metadata
      * @returns {Object}
@@ -431,6 +581,20 @@ class CacheManager {
         return { ...this.metadata };
     }
 
+    /**
+     * Stored analysis file contents for a filename, or null if missing or unreadable
+     * @param {string} filename
+     * @returns {Object|null}
+     */
+    readStoredAnalysis(filename) {
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.getAnalysisPath(filename), 'utf8'));
+            return stored && stored.heroName && stored.analysis ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Rebuild metadata from existing cache files
      * @returns {boolean}
@@ -460,9 +624,10 @@ class CacheManager {
                     const filename = path.basename(file, '.png');
                     const filePath = path.join(this.heroImagesDir, file);
                     const stats = fs.statSync(filePath);
+                    const stored = this.readStoredAnalysis(filename);
                     
-                    // Convert filename back to hero name (best effort)
-                    const heroName = filename
+                    // The stored analysis knows the real hero name; otherwise convert the filename back (best effort)
+                    const heroName = stored ? stored.heroName : filename
                         .split('_')
                         .map(word => word.charAt(0).toUpperCase() + word.slice(1))
                         .join(' ');
@@ -470,10 +635,12 @@ class CacheManager {
                     // Add to metadata
                     this.metadata.heroes[heroName] = {
                         filename: filename,
-                        lastUpdated: stats.mtime.toISOString(),
+                        lastUpdated: stored ? stored.fetchedAt : stats.mtime.toISOString(),
                         dataFound: true,
                         fileExists: true,
-                        totalBuilds: 0, // Unknown from file alone
+                        fileSizeBytes: stats.size,
+                        totalBuilds: stored ? stored.analysis.totalBuilds || 0 : 0,
+                        hasAnalysis: Boolean(stored),
                         validData: true
                     };
                 }
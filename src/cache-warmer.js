@@ -0,0 +1,184 @@
+const cron = require('node-cron');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Daily at 04:00 UTC, when the bot is quietest
+const DEFAULT_WARM_CRON = '0 4 * * *';
+
+/**
+ * Refreshes the most-requested heroes, plus newly released ones, before anyone asks for them.
+ * Runs on a schedule meant for quiet hours, one hero at a time, pausing between heroes as long
+ * as the RateLimiter's current strategy asks and stopping while its circuit breaker is not closed.
+ */
+class CacheWarmer {
+    constructor(options = {}) {
+        this.cacheManager = options.cacheManager;
+        this.rateLimiter = options.rateLimiter;
+        this.refreshHero = options.refreshHero; // async (heroName) => boolean
+        this.topN = options.topN !== undefined ? options.topN : 20; // Popular heroes per run
+        this.recentWindow = options.recentWindow || 14 * DAY_MS; // Only heroes requested this recently count as popular
+        this.minRefreshAge = options.minRefreshAge || 12 * 60 * 60 * 1000; // Skip heroes fetched more recently than this
+        this.baseDelay = options.baseDelay || 10000; // Pause between heroes under the moderate strategy
+        this.newHeroAttempts = options.newHeroAttempts || 3; // Runs to keep trying a new hero without build data
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+        this.newHeroes = new Map(); // heroName -> attempts left
+        this.running = false;
+        this.currentRun = null;
+        this.lastRun = null;
+        this.task = null;
+        this.cronExpression = null;
+    }
+
+    /**
+     * Queue newly released heroes for the next run
+     * @param {string[]} heroNames
+     */
+    addNewHeroes(heroNames) {
+        heroNames.forEach(heroName => this.newHeroes.set(heroName, this.newHeroAttempts));
+    }
+
+    /**
+     * Heroes to refresh this run: queued new heroes first, then the top N by recent access,
+     * leaving out anything fetched within minRefreshAge
+     * @returns {string[]}
+     */
+    selectHeroes() {
+        const now = Date.now();
+        const cached = this.cacheManager.getMetadata().heroes;
+
+        const popular = Object.entries(cached)
+            .filter(([, entry]) => entry.accessCount > 0 && entry.lastAccessed &&
+                now - new Date(entry.lastAccessed).getTime() <= this.recentWindow)
+            .sort(([, a], [, b]) => b.accessCount - a.accessCount ||
+                new Date(b.lastAccessed) - new Date(a.lastAccessed))
+            .slice(0, this.topN)
+            .map(([heroName]) => heroName);
+
+        return [...new Set([...this.newHeroes.keys(), ...popular])]
+            .filter(heroName => !cached[heroName] || this.cacheManager.getEntryAge(cached[heroName]) > this.minRefreshAge);
+    }
+
+    /**
+     * Refresh the selected heroes one after another
+     * @returns {Promise<Object>} The run summary (see getStatus)
+     */
+    async run() {
+        if (this.running) {
+            return this.currentRun;
+        }
+
+        const heroes = this.selectHeroes();
+        const run = {
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            planned: heroes.length,
+            refreshed: [],
+            failed: [],
+            stoppedReason: null
+        };
+
+        this.running = true;
+        this.currentRun = run;
+
+        try {
+            for (let index = 0; index < heroes.length; index++) {
+                const heroName = heroes[index];
+
+                if (index > 0) {
+                    await this.sleep(this.rateLimiter.getBackgroundDelay(this.baseDelay));
+                }
+                if (!this.rateLimiter.allowsBackgroundRequests()) {
+                    run.stoppedReason = 'circuit breaker not closed';
+                    break;
+                }
+
+                let refreshed = false;
+                try {
+                    refreshed = await this.refreshHero(heroName);
+                } catch (error) {
+                    console.warn(`Cache warm-up failed for ${heroName}:`, error.message);
+                }
+
+                (refreshed ? run.refreshed : run.failed).push(heroName);
+                this.settleNewHero(heroName, refreshed);
+            }
+        } finally {
+            run.finishedAt = new Date().toISOString();
+            this.lastRun = run;
+            this.currentRun = null;
+            this.running = false;
+        }
+
+        console.log(`🔥 Cache warm-up: ${run.refreshed.length}/${run.planned} refreshed` +
+            (run.failed.length > 0 ? `, failed: ${run.failed.join(', ')}` : '') +
+            (run.stoppedReason ? ` (stopped: ${run.stoppedReason})` : ''));
+
+        return run;
+    }
+
+    /**
+     * Drop a queued new hero once it has been cached or has used up its attempts
+     * @param {string} heroName
+     * @param {boolean} refreshed
+     */
+    settleNewHero(heroName, refreshed) {
+        if (!this.newHeroes.has(heroName)) {
+            return;
+        }
+
+        const attemptsLeft = this.newHeroes.get(heroName) - 1;
+        if (refreshed || attemptsLeft <= 0) {
+            this.newHeroes.delete(heroName);
+        } else {
+            this.newHeroes.set(heroName, attemptsLeft);
+        }
+    }
+
+    /**
+     * Run on a cron schedule (UTC)
+     * @param {string} cronExpression
+     * @returns {Object|null} The cron task, or null if the expression is invalid
+     */
+    schedule(cronExpression = DEFAULT_WARM_CRON) {
+        if (!cron.validate(cronExpression)) {
+            console.error(`Invalid cache warm-up schedule "${cronExpression}", warm-up disabled`);
+            return null;
+        }
+
+        this.task = cron.schedule(cronExpression, () => {
+            this.run().catch(error => console.error('Cache warm-up error:', error));
+        }, {
+            timezone: 'UTC'
+        });
+
+        this.cronExpression = cronExpression;
+        console.log(`Cache warm-up scheduled (${cronExpression} UTC, top ${this.topN} heroes)`);
+        return this.task;
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+    }
+
+    /**
+     * Get warmer status
+     * @returns {Object}
+     */
+    getStatus() {
+        return {
+            scheduled: Boolean(this.task),
+            cronExpression: this.cronExpression,
+            topN: this.topN,
+            running: this.running,
+            currentRun: this.currentRun,
+            lastRun: this.lastRun,
+            pendingNewHeroes: [...this.newHeroes.keys()]
+        };
+    }
+}
+
+module.exports = CacheWarmer;
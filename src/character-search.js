@@ -70,153 +70,200 @@ function formatDiscordInput(input) {
         .trim();
 }
 
-function getRandomizedConfidence(baseConfidence) {
-	const randomPercentage = Math.random() * (0.075 - 0.05) + 0.05; // Random value between 5% and 7.5%
-	return baseConfidence + baseConfidence * randomPercentage;
-}
+// Scoring model for each search pass. Scores are fixed per pass (or derived from the
+// input itself) so the same input always produces the same ranking and confidence.
+const MATCH_SCORES = {
+    exact: 1.0,
+    abbreviation: 0.9,
+    mlAltName: 0.95,
+    mlBase: 0.75,
+    substringBase: 0.6,      // Substring hits score 0.6 plus up to 0.3 for name coverage
+    substringCoverage: 0.3,
+    minSimilarity: 0.6       // Levenshtein similarity floor for fuzzy passes
+};
 
-function resolveAlias(aliasValue) {
-	if (Array.isArray(aliasValue)) {
-		return aliasValue[Math.floor(Math.random() * aliasValue.length)];
-	}
+// Levenshtein similarity in [0, 1] along with the raw edit distance
+function getSimilarity(input, normalizedCharacter) {
+    const distance = levenshteinDistance(input, normalizedCharacter);
+    const similarity = 1 - (distance / Math.max(input.length, normalizedCharacter.length));
+    return { distance, similarity };
+}
 
-	return aliasValue;
+function formatPercent(value) {
+    return `${(value * 100).toFixed(1)}%`;
 }
 
-// Find the best character match
-function findBestCharacterMatch(input) {
+// Collect every candidate from the first search pass that produces a hit, ranked by score.
+// Each candidate explains how its score was reached. `options.aliases` replaces the community
+// alias table (pass an empty object to search by name alone); `options.guildAliases` holds a
+// server's own aliases, which are consulted before the community table.
+function findCharacterCandidates(input, limit = 5, options = {}) {
     if (!input || input.trim().length === 0) {
-        return null;
+        return [];
     }
 
-    // Format the input from Discord
     const formattedInput = formatDiscordInput(input);
     const normalizedInput = normalizeText(formattedInput);
+    // Array.prototype.sort is stable, so ties keep character-names.json order
+    const rank = (candidates) => candidates
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, limit);
+
+    // First pass: exact matches
+    const exactMatch = characterNames.find(character => normalizeText(character) === normalizedInput);
+    if (exactMatch) {
+        return [{
+            character: exactMatch,
+            confidence: MATCH_SCORES.exact,
+            matchType: 'exact',
+            explanation: 'Exact name match'
+        }];
+    }
+
+    // Second pass: server-specific aliases
+    const guildAliases = options.guildAliases || {};
+    if (Object.prototype.hasOwnProperty.call(guildAliases, normalizedInput)) {
+        const character = guildAliases[normalizedInput];
+        return [{
+            character,
+            confidence: MATCH_SCORES.abbreviation,
+            matchType: 'guild-alias',
+            explanation: `Server alias "${normalizedInput}"`
+        }];
+    }
+
+    // Third pass: community abbreviations (array aliases yield several equal candidates)
+    const aliases = options.aliases || communityAbbreviations;
+    const aliasValue = Object.prototype.hasOwnProperty.call(aliases, normalizedInput)
+        ? aliases[normalizedInput]
+        : null;
+    if (aliasValue) {
+        const targets = Array.isArray(aliasValue) ? aliasValue : [aliasValue];
+        return rank(targets.map(character => ({
+            character,
+            confidence: MATCH_SCORES.abbreviation,
+            matchType: 'abbreviation',
+            explanation: targets.length > 1
+                ? `Community alias "${normalizedInput}" is shared by ${targets.length} heroes`
+                : `Community alias "${normalizedInput}"`
+        })));
+    }
+
+    // Fourth pass: moonlight prefix
+    if (normalizedInput.startsWith('ml') || normalizedInput.startsWith('moonlight')) {
+        const strippedInput = normalizedInput.replace(/^(ml|moonlight)[-\s]?/, '');
+        if (strippedInput.length === 0) {
+            return [];
+        }
+
+        const altNames = [];
+        const fuzzyNames = [];
+        let baseName = null;
+
+        for (const character of characterNames) {
+            const normalizedCharacter = normalizeText(character);
+
+            // Skip exact matches with the base name (e.g., "Ken"), holding it as a fallback
+            if (normalizedCharacter === strippedInput) {
+                baseName = character;
+                continue;
+            }
+
+            // The base name appears as a whole word in a longer name (e.g., "Martial Artist Ken")
+            const regex = new RegExp(`\\b${strippedInput}\\b`, 'i');
+            if (regex.test(normalizedCharacter)) {
+                altNames.push({
+                    character,
+                    confidence: MATCH_SCORES.mlAltName,
+                    matchType: 'ml-alt-name',
+                    explanation: `Moonlight prefix: "${strippedInput}" is part of the name`
+                });
+                continue;
+            }
 
-    // First pass: Look for exact matches
+            const { distance, similarity } = getSimilarity(strippedInput, normalizedCharacter);
+            if (similarity >= MATCH_SCORES.minSimilarity) {
+                fuzzyNames.push({
+                    character,
+                    confidence: similarity,
+                    matchType: 'ml-fuzzy',
+                    explanation: `Moonlight prefix: "${strippedInput}" is ${distance} edit(s) away (${formatPercent(similarity)} similar)`
+                });
+            }
+        }
+
+        if (altNames.length > 0) {
+            return rank(altNames);
+        }
+        if (fuzzyNames.length > 0) {
+            return rank(fuzzyNames);
+        }
+        return baseName ? [{
+            character: baseName,
+            confidence: MATCH_SCORES.mlBase,
+            matchType: 'ml-base',
+            explanation: `Moonlight prefix: no alternate name found, using base hero "${baseName}"`
+        }] : [];
+    }
+
+    // Fifth pass: substring matches, scored by how much of the name the input covers
+    const substringMatches = [];
     for (const character of characterNames) {
         const normalizedCharacter = normalizeText(character);
-        if (normalizedInput === normalizedCharacter) {
-            return { 
+        if (normalizedCharacter.includes(normalizedInput)) {
+            const coverage = normalizedInput.length / normalizedCharacter.length;
+            substringMatches.push({
                 character,
-                confidence: 1.0, 
-                matchType: 'exact' 
-            };
+                confidence: MATCH_SCORES.substringBase + MATCH_SCORES.substringCoverage * coverage,
+                matchType: 'substring',
+                explanation: `Input covers ${formatPercent(coverage)} of the name`
+            });
         }
-	}
-    
-	// Second pass: Check community abbreviations second
-	if (communityAbbreviations[normalizedInput]) {
-		return {
-			character: resolveAlias(communityAbbreviations[normalizedInput]),
-			confidence: getRandomizedConfidence(0.65),
-			matchType: 'abbreviation'
-		};
-	}
-
-	// Third pass: Handle moonlight prefix
-	if (normalizedInput.startsWith("ml") || normalizedInput.startsWith("moonlight")) {
-		const strippedInput = normalizedInput.replace(/^(ml|moonlight)[-\s]?/, "");
-		let bestMatch = null;
-		let bestSimilarity = 0;
-
-		for (const character of characterNames) {
-			const normalizedCharacter = normalizeText(character);
-
-			// Skip exact matches with the base name (e.g., "Ken")
-			if (normalizedCharacter === strippedInput) {
-				bestMatch = character; // Hold onto the base name as a fallback
-				continue;
-			}
-
-			// Prioritize matches that contain the base name but include additional text
-			// Ensure the stripped input is isolated (not part of a larger word)
-			const regex = new RegExp(`\\b${strippedInput}\\b`, 'i');
-			if (regex.test(normalizedCharacter) && normalizedCharacter.length > strippedInput.length) {
-				return {
-					character,
-					confidence: 1.0,
-					matchType: 'ml-alt-name'
-				};
-			}
-
-			// Fuzzy matching with Levenshtein distance
-			const distance = levenshteinDistance(strippedInput, normalizedCharacter);
-			const maxLength = Math.max(strippedInput.length, normalizedCharacter.length);
-			const similarity = 1 - (distance / maxLength);
-
-			if (similarity > bestSimilarity && similarity >= 0.6) {
-				bestMatch = character;
-				bestSimilarity = similarity;
-			}
-		}
-
-		// Return the best match if found, or fallback to the base name
-		if (bestMatch) {
-			return {
-				character: bestMatch,
-				confidence: bestSimilarity >= 0.6 ? getRandomizedConfidence(bestSimilarity) : 0.75,
-				matchType: bestSimilarity >= 0.6 ? 'ml-fuzzy' : 'ml-base'
-			};
-		}
-
-		return null;
-	}
-
-    // Fourth pass: Look for substring matches
-	let bestMatch = null;
-	let bestRatio = 0;
-
-	for (const character of characterNames) {
-		const normalizedCharacter = normalizeText(character);
-		if (normalizedCharacter.includes(normalizedInput)) {
-			// Calculate the substring-to-total string ratio
-			const ratio = normalizedInput.length / normalizedCharacter.length;
-
-			// Update the best match if the current ratio is higher
-			if (ratio > bestRatio) {
-				bestMatch = character;
-				bestRatio = ratio;
-			}
-		}
-	}
-
-	// Return the best match if found
-	if (bestMatch) {
-		return {
-			character: bestMatch,
-			confidence: getRandomizedConfidence(0.75),
-			matchType: 'substring'
-		};
-	}
-    
-    // Fifth pass: Fuzzy matching with Levenshtein distance
-    bestMatch = null;
-    let bestSimilarity = 0;
-    
+    }
+    if (substringMatches.length > 0) {
+        return rank(substringMatches);
+    }
+
+    // Sixth pass: Levenshtein similarity
+    const fuzzyMatches = [];
     for (const character of characterNames) {
-        const normalizedCharacter = normalizeText(character);
-        const distance = levenshteinDistance(normalizedInput, normalizedCharacter);
-        const maxLength = Math.max(normalizedInput.length, normalizedCharacter.length);
-        const similarity = 1 - (distance / maxLength);
-        
-        // Consider it a good match if similarity is high enough
-        if (similarity > bestSimilarity && similarity >= 0.6) {
-            bestMatch = character;
-            bestSimilarity = similarity;
+        const { distance, similarity } = getSimilarity(normalizedInput, normalizeText(character));
+        if (similarity >= MATCH_SCORES.minSimilarity) {
+            fuzzyMatches.push({
+                character,
+                confidence: similarity,
+                matchType: 'fuzzy',
+                explanation: `${distance} edit(s) away (${formatPercent(similarity)} similar)`
+            });
         }
     }
-    
-    // Return best fuzzy match if found
-    if (bestMatch && bestSimilarity >= 0.6) {
-        return { 
-            character: bestMatch, 
-            confidence: bestSimilarity, 
-            matchType: 'fuzzy' 
-        };
+
+    return rank(fuzzyMatches);
+}
+
+// Find the best character match. When other candidates scored the same (e.g. an alias shared
+// by several heroes) they are returned as `alternatives` so callers can offer an explicit choice.
+function findBestCharacterMatch(input, options = {}) {
+    const candidates = findCharacterCandidates(input, 5, options);
+    if (candidates.length === 0) {
+        return null;
     }
-    
-    return null;
+
+    const [best, ...rest] = candidates;
+    const alternatives = rest
+        .filter(candidate => candidate.confidence === best.confidence)
+        .map(candidate => candidate.character);
+
+    return alternatives.length > 0 ? { ...best, alternatives } : best;
+}
+
+// The top candidates are too close to call - ask the user instead of guessing
+function isAmbiguousMatch(candidates, margin = 0.05) {
+    if (!candidates || candidates.length < 2 || candidates[0].matchType === 'exact') {
+        return false;
+    }
+
+    return candidates[0].confidence - candidates[1].confidence <= margin;
 }
 
 // Get character suggestions for partial matches
@@ -251,6 +298,68 @@ function getCharacterSuggestions(input, limit = 5) {
     return suggestions.slice(0, limit).map(s => s.character);
 }
 
+// Rank canonical names for slash command autocomplete while the user is still typing
+function getAutocompleteSuggestions(input, limit = 25, options = {}) {
+    const formattedInput = formatDiscordInput(input || '');
+    const normalizedInput = normalizeText(formattedInput);
+
+    if (normalizedInput.length === 0) {
+        return characterNames.slice(0, limit);
+    }
+
+    const scores = new Map();
+    const addScore = (character, score) => {
+        if (!characterNames.includes(character)) {
+            return;
+        }
+        if (!scores.has(character) || scores.get(character) < score) {
+            scores.set(character, score);
+        }
+    };
+
+    // Server and community abbreviations, typed fully or partially
+    const aliasEntries = [
+        ...Object.entries(options.guildAliases || {}),
+        ...Object.entries(communityAbbreviations)
+    ];
+    for (const [alias, aliasValue] of aliasEntries) {
+        const targets = Array.isArray(aliasValue) ? aliasValue : [aliasValue];
+        if (alias === normalizedInput) {
+            targets.forEach(target => addScore(target, 0.95));
+        } else if (alias.startsWith(normalizedInput)) {
+            targets.forEach(target => addScore(target, 0.6 + 0.1 * (normalizedInput.length / alias.length)));
+        }
+    }
+
+    for (const character of characterNames) {
+        const normalizedCharacter = normalizeText(character);
+        const ratio = normalizedInput.length / normalizedCharacter.length;
+
+        if (normalizedCharacter === normalizedInput) {
+            addScore(character, 1.0);
+        } else if (normalizedCharacter.startsWith(normalizedInput)) {
+            addScore(character, 0.8 + 0.1 * ratio);
+        } else if (normalizedCharacter.split(' ').some(word => word.startsWith(normalizedInput))) {
+            addScore(character, 0.7 + 0.1 * ratio);
+        } else if (normalizedCharacter.includes(normalizedInput)) {
+            addScore(character, 0.5 + 0.1 * ratio);
+        } else if (normalizedInput.length >= 3) {
+            // Fuzzy fallback for typos
+            const distance = levenshteinDistance(normalizedInput, normalizedCharacter);
+            const similarity = 1 - (distance / Math.max(normalizedInput.length, normalizedCharacter.length));
+            if (similarity >= 0.5) {
+                addScore(character, similarity * 0.5);
+            }
+        }
+    }
+
+    return [...scores.entries()]
+        .sort(([leftName, leftScore], [rightName, rightScore]) =>
+            rightScore - leftScore || leftName.localeCompare(rightName))
+        .slice(0, limit)
+        .map(([character]) => character);
+}
+
 // Test the search system
 function testSearch() {
     const testCases = [
@@ -272,6 +381,7 @@ function testSearch() {
         console.log(`Input: "${testCase}"`);
         if (result) {
             console.log(`  → Match: "${result.character}" (${result.matchType}, ${(result.confidence * 100).toFixed(1)}%)`);
+            console.log(`    ${result.explanation}`);
         } else {
             console.log(`  → No match found`);
             const suggestions = getCharacterSuggestions(testCase);
@@ -286,7 +396,12 @@ function testSearch() {
 module.exports = {
     findBestCharacterMatch,
     getCharacterSuggestions,
+    getAutocompleteSuggestions,
+    findCharacterCandidates,
+    isAmbiguousMatch,
+    MATCH_SCORES,
     formatDiscordInput,
+    normalizeText,
     testSearch,
     characterNames,
     communityAbbreviations
@@ -0,0 +1,42 @@
+const path = require('path');
+const HttpDataProvider = require('./http-data-provider');
+const FixtureDataProvider = require('./fixture-data-provider');
+
+/**
+ * Create the build/game data provider selected by DATA_PROVIDER.
+ *
+ * Every provider implements:
+ *   fetchBuilds(heroName)  -> Promise<{ data: Array, blocked?: boolean, reason?: string }>
+ *   fetchHeroData()        -> Promise<Object>
+ *   fetchArtifactData()    -> Promise<Object>
+ *   getHeroImageUrl(heroName, heroData) -> string (URL or data URL)
+ *   fetchArtifactImageUrl(artifactName) -> Promise<string>
+ *
+ * @param {Object} options
+ * @param {RateLimiter} options.rateLimiter - Required by the http provider
+ * @returns {HttpDataProvider|FixtureDataProvider}
+ */
+function createDataProvider(options = {}) {
+	const providerName = (process.env.DATA_PROVIDER || 'http').toLowerCase();
+
+	switch (providerName) {
+		case 'fixture': {
+			const fixtureDir = process.env.DATA_FIXTURE_DIR
+				? path.resolve(process.env.DATA_FIXTURE_DIR)
+				: undefined;
+			const provider = new FixtureDataProvider({ fixtureDir });
+			console.log(`Using fixture data provider (${provider.fixtureDir})`);
+			return provider;
+		}
+
+		case 'http':
+			return new HttpDataProvider({ rateLimiter: options.rateLimiter });
+
+		default:
+			throw new Error(`Unknown DATA_PROVIDER "${providerName}" (expected "http" or "fixture")`);
+	}
+}
+
+module.exports = {
+	createDataProvider
+};
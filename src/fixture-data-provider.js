@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+
+const PLACEHOLDER_ICON = path.join(__dirname, '..', 'assets', 'blank.png');
+
+/**
+ * Offline data provider serving recorded JSON fixtures from disk.
+ *
+ * Expected layout:
+ *   <fixtureDir>/herodata.json
+ *   <fixtureDir>/artifactdata.json
+ *   <fixtureDir>/builds/<hero_name>.json   (raw builds API response)
+ *   <fixtureDir>/icons/<hero_name>.png     (optional hero icon, a blank placeholder otherwise)
+ *
+ * Nothing is fetched from the network, images included.
+ */
+class FixtureDataProvider {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.fixtureDir - Directory holding the recorded fixtures
+	 */
+	constructor(options = {}) {
+		this.name = 'fixture';
+		this.fixtureDir = options.fixtureDir || path.join(__dirname, '..', 'tests', 'fixtures', 'game-data');
+	}
+
+	/**
+	 * Builds fixture filename for a hero, matching CacheManager's naming
+	 * @param {string} heroName
+	 * @returns {string}
+	 */
+	getBuildsPath(heroName) {
+		return path.join(this.fixtureDir, 'builds', `${this.getFixtureName(heroName)}.json`);
+	}
+
+	getFixtureName(heroName) {
+		return heroName
+			.toLowerCase()
+			.replace(/[^a-z0-9\s]/g, '')
+			.replace(/\s+/g, '_');
+	}
+
+	readJson(filePath) {
+		return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	}
+
+	/**
+	 * Fetch recorded builds for a hero. Unknown heroes behave like a 404 from the API.
+	 * @param {string} heroName
+	 * @returns {Promise<Object>} { data: Array }
+	 */
+	async fetchBuilds(heroName) {
+		const buildsPath = this.getBuildsPath(heroName);
+		if (!fs.existsSync(buildsPath)) {
+			console.warn(`   ⚠️ No build fixture for hero: ${heroName}`);
+			return { data: [] };
+		}
+
+		const recorded = this.readJson(buildsPath);
+		return { data: Array.isArray(recorded) ? recorded : recorded.data || [] };
+	}
+
+	async fetchHeroData() {
+		return this.readJson(path.join(this.fixtureDir, 'herodata.json'));
+	}
+
+	async fetchArtifactData() {
+		return this.readJson(path.join(this.fixtureDir, 'artifactdata.json'));
+	}
+
+	/**
+	 * Hero icon as a data URL, from the fixture icons or a blank placeholder
+	 * @param {string} heroName
+	 * @returns {string}
+	 */
+	getHeroImageUrl(heroName) {
+		const iconPath = path.join(this.fixtureDir, 'icons', `${this.getFixtureName(heroName)}.png`);
+		const imagePath = fs.existsSync(iconPath) ? iconPath : PLACEHOLDER_ICON;
+		return `data:image/png;base64,${fs.readFileSync(imagePath).toString('base64')}`;
+	}
+
+	/**
+	 * Artifact icons come from a remote API, so fixtures render without them
+	 * @returns {Promise<string>}
+	 */
+	async fetchArtifactImageUrl() {
+		return '';
+	}
+}
+
+module.exports = FixtureDataProvider;
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { characterNames, normalizeText } = require('./character-search');
+const { writeFileAtomic } = require('./atomic-file');
+
+// Every 6 hours by default
+const DEFAULT_REFRESH_CRON = '0 */6 * * *';
+const MAX_LISTED_NAMES = 25;
+
+// Display name for a herodata entry
+function getHeroDisplayName(key, hero) {
+    return hero?.name || key;
+}
+
+// Compare two game data loads and list what was added or removed
+function diffGameData(previous, next) {
+    const previousHeroes = new Set(Object.keys(previous.heroData || {}));
+    const nextHeroes = new Set(Object.keys(next.heroData || {}));
+    const previousArtifacts = new Set(Object.keys(previous.artifactData || {}));
+    const nextArtifacts = new Set(Object.keys(next.artifactData || {}));
+
+    return {
+        addedHeroes: [...nextHeroes].filter(key => !previousHeroes.has(key))
+            .map(key => getHeroDisplayName(key, next.heroData[key])),
+        removedHeroes: [...previousHeroes].filter(key => !nextHeroes.has(key))
+            .map(key => getHeroDisplayName(key, previous.heroData[key])),
+        addedArtifacts: [...nextArtifacts].filter(key => !previousArtifacts.has(key)),
+        removedArtifacts: [...previousArtifacts].filter(key => !nextArtifacts.has(key))
+    };
+}
+
+// Heroes present in herodata that character search does not know about
+function findHeroesMissingFromNames(heroData, names = characterNames) {
+    const knownNames = new Set(names.map(name => normalizeText(name)));
+
+    return Object.entries(heroData)
+        .map(([key, hero]) => getHeroDisplayName(key, hero))
+        .filter(name => !knownNames.has(normalizeText(name)))
+        .sort((left, right) => left.localeCompare(right));
+}
+
+function loadReportedMissingHeroes(filePath) {
+    try {
+        return new Set(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`[Game Data] Could not read ${filePath}, missing heroes will be reported again:`, error.message);
+        }
+        return new Set();
+    }
+}
+
+// Missing heroes not reported yet, remembered in filePath across restarts. Only heroes still
+// missing are remembered, so one that is added to character-names.json and later goes missing
+// again is reported again.
+function takeUnreportedMissingHeroes(heroData, filePath) {
+    const missingHeroes = findHeroesMissingFromNames(heroData);
+    const reported = loadReportedMissingHeroes(filePath);
+    const unreported = missingHeroes.filter(name => !reported.has(name));
+
+    if (unreported.length > 0 || missingHeroes.length !== reported.size) {
+        try {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            writeFileAtomic(filePath, JSON.stringify(missingHeroes, null, 2));
+        } catch (error) {
+            console.error(`[Game Data] Failed to save reported missing heroes to ${filePath}:`, error.message);
+        }
+    }
+
+    return unreported;
+}
+
+function hasChanges(diff) {
+    return Object.values(diff).some(list => list.length > 0);
+}
+
+function formatNameList(names) {
+    const listed = names.slice(0, MAX_LISTED_NAMES).join(', ');
+    const remaining = names.length - MAX_LISTED_NAMES;
+    return remaining > 0 ? `${listed} *(+${remaining} more)*` : listed;
+}
+
+// Build the admin report, or null when there is nothing new to say
+function buildRefreshReport(diff, missingHeroes, title = '📜 **Game data refreshed**') {
+    const lines = [];
+
+    if (diff.addedHeroes.length > 0) {
+        lines.push(`🌱 **New heroes:** ${formatNameList(diff.addedHeroes)}`);
+    }
+    if (diff.addedArtifacts.length > 0) {
+        lines.push(`🗡️ **New artifacts:** ${formatNameList(diff.addedArtifacts)}`);
+    }
+    if (diff.removedHeroes.length > 0 || diff.removedArtifacts.length > 0) {
+        lines.push(`🍂 **Removed:** ${formatNameList([...diff.removedHeroes, ...diff.removedArtifacts])}`);
+    }
+    if (missingHeroes.length > 0) {
+        lines.push(`🕸️ **Missing from character-names.json:** ${formatNameList(missingHeroes)}`);
+        lines.push('Add them with the Manage Character Data workflow so search and aliases can find them.');
+    }
+
+    if (lines.length === 0) {
+        return null;
+    }
+
+    return [title, ...lines].join('\n');
+}
+
+// Post a report to the configured admin channel
+async function postAdminReport(client, report) {
+    const channelId = process.env.GAME_DATA_ADMIN_CHANNEL?.trim();
+    if (!channelId) {
+        console.log('[Game Data] No GAME_DATA_ADMIN_CHANNEL configured, report only logged');
+        return;
+    }
+
+    try {
+        const channel = await client.channels.fetch(channelId);
+        if (channel && channel.isTextBased()) {
+            await channel.send({ content: report.substring(0, 2000), allowedMentions: { parse: [] } });
+        }
+    } catch (error) {
+        console.error(`[Game Data] Failed to send refresh report to ${channelId}:`, error.message);
+    }
+}
+
+// Reload game data once and report what changed
+async function refreshGameData(client, options) {
+    const { loadGameData, heroData, artifactData, onChanges } = options;
+    const previous = {
+        heroData: { ...heroData },
+        artifactData: { ...artifactData }
+    };
+
+    const loaded = await loadGameData();
+    if (!loaded) {
+        console.warn('[Game Data] Refresh failed, keeping previously loaded data');
+        return null;
+    }
+
+    const diff = diffGameData(previous, { heroData, artifactData });
+    const missingHeroes = takeUnreportedMissingHeroes(heroData, options.reportedMissingFile);
+
+    if (hasChanges(diff)) {
+        console.log(`[Game Data] Refresh found ${diff.addedHeroes.length} new hero(es), ${diff.addedArtifacts.length} new artifact(s)`);
+        if (onChanges) {
+            onChanges(diff);
+        }
+    }
+
+    const report = buildRefreshReport(diff, missingHeroes);
+    if (report) {
+        console.log(`[Game Data] ${report.replace(/\n/g, ' | ')}`);
+        await postAdminReport(client, report);
+    }
+
+    return { diff, missingHeroes };
+}
+
+// Report heroes missing from character-names.json right after startup instead of waiting for
+// the first refresh
+async function reportMissingHeroes(client, options) {
+    const missingHeroes = takeUnreportedMissingHeroes(options.heroData, options.reportedMissingFile);
+    const report = buildRefreshReport(diffGameData({}, {}), missingHeroes, '📜 **Game data loaded**');
+
+    if (report) {
+        console.log(`[Game Data] ${report.replace(/\n/g, ' | ')}`);
+        await postAdminReport(client, report);
+    }
+
+    return missingHeroes;
+}
+
+// Schedule periodic game data refreshes
+function scheduleGameDataRefresh(client, options) {
+    const cronExpression = process.env.GAME_DATA_REFRESH_CRON || DEFAULT_REFRESH_CRON;
+
+    if (!cron.validate(cronExpression)) {
+        console.error(`[Game Data] Invalid GAME_DATA_REFRESH_CRON "${cronExpression}", refresh disabled`);
+        return null;
+    }
+
+    const task = cron.schedule(cronExpression, async () => {
+        try {
+            await refreshGameData(client, options);
+        } catch (error) {
+            console.error('[Game Data] Refresh error:', error);
+        }
+    }, {
+        timezone: 'UTC'
+    });
+
+    console.log(`[Game Data] Refresh scheduled (${cronExpression} UTC)`);
+    return task;
+}
+
+module.exports = {
+    scheduleGameDataRefresh,
+    refreshGameData,
+    reportMissingHeroes,
+    takeUnreportedMissingHeroes,
+    diffGameData,
+    findHeroesMissingFromNames,
+    buildRefreshReport
+};
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./atomic-file');
+
+/**
+ * Persists herodata/artifactdata snapshots so the bot can boot when the game data CDN is down
+ */
+class GameDataSnapshotStore {
+    constructor(options = {}) {
+        this.snapshotDir = options.snapshotDir || path.join(process.cwd(), 'cache', 'gamedata');
+        this.maxSnapshots = options.maxSnapshots || 5;
+    }
+
+    ensureDir() {
+        if (!fs.existsSync(this.snapshotDir)) {
+            fs.mkdirSync(this.snapshotDir, { recursive: true });
+        }
+    }
+
+    /**
+     * Content hash identifying a game data version
+     * @param {Object} heroData
+     * @param {Object} artifactData
+     * @returns {string}
+     */
+    computeVersion(heroData, artifactData) {
+        return crypto.createHash('sha1')
+            .update(JSON.stringify(heroData))
+            .update(JSON.stringify(artifactData))
+            .digest('hex')
+            .substring(0, 12);
+    }
+
+    /**
+     * Snapshot files, newest first
+     * @returns {string[]}
+     */
+    listSnapshotFiles() {
+        if (!fs.existsSync(this.snapshotDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.snapshotDir)
+            .filter(file => file.startsWith('snapshot-') && file.endsWith('.json'))
+            .sort()
+            .reverse();
+    }
+
+    /**
+     * Write a snapshot of freshly loaded game data. Unchanged data is not written twice.
+     * @param {Object} heroData
+     * @param {Object} artifactData
+     * @param {string} source - Provider the data came from
+     * @returns {Object|null} Snapshot info { version, savedAt, source, heroCount, artifactCount, file }
+     */
+    saveSnapshot(heroData, artifactData, source = 'http') {
+        try {
+            this.ensureDir();
+            const version = this.computeVersion(heroData, artifactData);
+
+            const latest = this.readSnapshotInfo(this.listSnapshotFiles()[0]);
+            if (latest && latest.version === version) {
+                return latest;
+            }
+
+            const savedAt = new Date().toISOString();
+            const file = `snapshot-${savedAt.replace(/[:.]/g, '-')}-${version}.json`;
+            const snapshot = {
+                version,
+                savedAt,
+                source,
+                heroCount: Object.keys(heroData).length,
+                artifactCount: Object.keys(artifactData).length,
+                heroData,
+                artifactData
+            };
+
+            writeFileAtomic(path.join(this.snapshotDir, file), JSON.stringify(snapshot));
+            this.pruneSnapshots();
+
+            console.log(`Saved game data snapshot ${version} (${snapshot.heroCount} heroes, ${snapshot.artifactCount} artifacts)`);
+            return this.toInfo(snapshot, file);
+        } catch (error) {
+            console.error('Failed to save game data snapshot:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Load the newest readable snapshot, skipping corrupt files
+     * @returns {Object|null} Full snapshot including heroData and artifactData
+     */
+    loadLatestSnapshot() {
+        for (const file of this.listSnapshotFiles()) {
+            try {
+                const snapshot = JSON.parse(fs.readFileSync(path.join(this.snapshotDir, file), 'utf8'));
+                if (snapshot.heroData && snapshot.artifactData) {
+                    return { ...snapshot, file };
+                }
+            } catch (error) {
+                console.warn(`Skipping unreadable game data snapshot ${file}:`, error.message);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {string} file
+     * @returns {Object|null}
+     */
+    readSnapshotInfo(file) {
+        if (!file) {
+            return null;
+        }
+
+        try {
+            const snapshot = JSON.parse(fs.readFileSync(path.join(this.snapshotDir, file), 'utf8'));
+            return this.toInfo(snapshot, file);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    toInfo(snapshot, file) {
+        return {
+            version: snapshot.version,
+            savedAt: snapshot.savedAt,
+            source: snapshot.source,
+            heroCount: snapshot.heroCount,
+            artifactCount: snapshot.artifactCount,
+            file
+        };
+    }
+
+    /**
+     * Keep only the newest maxSnapshots files
+     */
+    pruneSnapshots() {
+        const files = this.listSnapshotFiles();
+        for (const file of files.slice(this.maxSnapshots)) {
+            try {
+                fs.unlinkSync(path.join(this.snapshotDir, file));
+            } catch (error) {
+                console.warn(`Failed to prune game data snapshot ${file}:`, error.message);
+            }
+        }
+    }
+}
+
+module.exports = GameDataSnapshotStore;
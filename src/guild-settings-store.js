@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic, moveCorruptFile } = require('./atomic-file');
+
+/**
+ * Per-guild settings (custom aliases and similar) persisted to a JSON file in the cache volume
+ */
+class GuildSettingsStore {
+    constructor(options = {}) {
+        this.settingsFile = options.settingsFile || path.join(process.cwd(), 'cache', 'guild-settings.json');
+        this.data = { version: '1.0', guilds: {} };
+
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.settingsFile)) {
+            return;
+        }
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.settingsFile, 'utf8'));
+            this.data = { ...this.data, ...stored, guilds: stored.guilds || {} };
+        } catch (error) {
+            // Keep the unreadable file instead of letting the next save overwrite it
+            console.warn('Failed to load guild settings, starting fresh (old file kept as .corrupt):', error.message);
+            moveCorruptFile(this.settingsFile);
+        }
+    }
+
+    save() {
+        const dir = path.dirname(this.settingsFile);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        writeFileAtomic(this.settingsFile, JSON.stringify(this.data, null, 2));
+    }
+
+    /**
+     * Settings for a guild (an empty object for guilds that never saved anything)
+     * @param {string} guildId
+     * @returns {Object}
+     */
+    getGuildSettings(guildId) {
+        return this.data.guilds[guildId] || {};
+    }
+
+    /**
+     * IDs of every guild with stored settings
+     * @returns {string[]}
+     */
+    listGuildIds() {
+        return Object.keys(this.data.guilds);
+    }
+
+    /**
+     * Apply changes to a guild's settings and persist them
+     * @param {string} guildId
+     * @param {Function} updater - Receives the mutable settings object
+     * @returns {Object} Updated settings
+     */
+    updateGuildSettings(guildId, updater) {
+        const settings = this.data.guilds[guildId] || {};
+        updater(settings);
+        this.data.guilds[guildId] = settings;
+        this.save();
+        return settings;
+    }
+
+    /**
+     * Custom aliases for a guild, keyed by normalized alias
+     * @param {string} guildId
+     * @returns {Object}
+     */
+    getAliases(guildId) {
+        if (!guildId) {
+            return {};
+        }
+
+        return this.getGuildSettings(guildId).aliases || {};
+    }
+
+    /**
+     * @param {string} guildId
+     * @param {string} alias - Normalized alias
+     * @param {string} character - Canonical hero name
+     */
+    setAlias(guildId, alias, character) {
+        this.updateGuildSettings(guildId, settings => {
+            settings.aliases = { ...settings.aliases, [alias]: character };
+        });
+    }
+
+    /**
+     * @param {string} guildId
+     * @param {string} alias - Normalized alias
+     * @returns {boolean} Whether the alias existed
+     */
+    removeAlias(guildId, alias) {
+        const aliases = this.getAliases(guildId);
+        if (!Object.prototype.hasOwnProperty.call(aliases, alias)) {
+            return false;
+        }
+
+        this.updateGuildSettings(guildId, settings => {
+            delete settings.aliases[alias];
+        });
+        return true;
+    }
+}
+
+module.exports = GuildSettingsStore;
@@ -0,0 +1,180 @@
+const {
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    GatewayIntentBits,
+    MessageFlags
+} = require('discord.js');
+
+const ATTENDANCE_BUTTON_PREFIX = 'guildwar-attendance';
+
+const ATTENDANCE_STATUSES = {
+    'attacked': { label: 'Attacked', emoji: '⚔️', style: ButtonStyle.Success },
+    'cant-attack': { label: 'Can\'t attack', emoji: '🕯️', style: ButtonStyle.Secondary }
+};
+
+// Check-in buttons attached to attack reminders. The war is identified by its end time.
+function buildAttendanceComponents(endsAt)
+{
+    const row = new ActionRowBuilder();
+
+    for (const [status, { label, emoji, style }] of Object.entries(ATTENDANCE_STATUSES))
+    {
+        row.addComponents(new ButtonBuilder()
+            .setCustomId(`${ATTENDANCE_BUTTON_PREFIX}:${status}:${endsAt.getTime()}`)
+            .setLabel(label)
+            .setEmoji(emoji)
+            .setStyle(style));
+    }
+
+    return [row];
+}
+
+function isAttendanceButton(interaction)
+{
+    return interaction.isButton() && interaction.customId.startsWith(`${ATTENDANCE_BUTTON_PREFIX}:`);
+}
+
+// Record a check-in button press and confirm it privately
+async function handleAttendanceButton(interaction, attendanceStore)
+{
+    const [, status, warKey] = interaction.customId.split(':');
+    const endsAt = new Date(Number(warKey));
+
+    if (!interaction.guildId || !ATTENDANCE_STATUSES[status] || Number.isNaN(endsAt.getTime()))
+    {
+        await interaction.reply({ content: '🕸️ This check-in has unraveled.', flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    attendanceStore.recordResponse(interaction.guildId, warKey, endsAt, interaction.user, status);
+
+    const { label, emoji } = ATTENDANCE_STATUSES[status];
+    const endsAtSeconds = Math.floor(endsAt.getTime() / 1000);
+    await interaction.reply({
+        content: `${emoji} Marked as **${label.toLowerCase()}** for the war ending <t:${endsAtSeconds}:f>.`,
+        flags: MessageFlags.Ephemeral
+    });
+}
+
+// Members to report on: the full member list when the GuildMembers intent is enabled,
+// otherwise everyone who has ever checked in
+async function getGuildRoster(guild, attendanceStore)
+{
+    if (guild.client.options.intents.has(GatewayIntentBits.GuildMembers))
+    {
+        try
+        {
+            const members = await guild.members.fetch();
+            const roster = {};
+            for (const member of members.values())
+            {
+                if (!member.user.bot)
+                {
+                    roster[member.id] = member.user.username;
+                }
+            }
+            return { roster, source: 'members' };
+        }
+        catch (error)
+        {
+            console.error('[Guild War] Failed to fetch guild members for attendance:', error.message);
+        }
+    }
+
+    const roster = {};
+    for (const [userId, { username }] of Object.entries(attendanceStore.getResponders(guild.id)))
+    {
+        roster[userId] = username;
+    }
+    return { roster, source: 'responders' };
+}
+
+// Per-member check-in counts across the given wars; members who never checked in come first
+function buildAttendanceReport(wars, roster)
+{
+    const rows = Object.entries(roster).map(([userId, username]) =>
+    {
+        const statuses = wars.map(war => war.responses[userId]?.status).filter(Boolean);
+        return {
+            userId,
+            username,
+            wars: wars.length,
+            checkedIn: statuses.length,
+            attacked: statuses.filter(status => status === 'attacked').length,
+            cantAttack: statuses.filter(status => status === 'cant-attack').length
+        };
+    });
+
+    rows.sort((a, b) => a.checkedIn - b.checkedIn || a.username.localeCompare(b.username));
+
+    return {
+        wars,
+        rows,
+        neverCheckedIn: rows.filter(row => row.checkedIn === 0)
+    };
+}
+
+function formatAttendanceReport(report, rosterSource)
+{
+    if (report.wars.length === 0)
+    {
+        return '📋 No guild wars have been announced with check-in buttons yet.';
+    }
+
+    const rosterNote = rosterSource === 'members'
+        ? `${report.rows.length} members`
+        : `${report.rows.length} members who have checked in before`;
+    const lines = [
+        `📋 **Guild war attendance - last ${report.wars.length} war(s)** (${rosterNote})`,
+        ''
+    ];
+
+    if (report.neverCheckedIn.length === 0)
+    {
+        lines.push('Everyone checked in at least once. 🕯️');
+    }
+    else
+    {
+        lines.push(`**Never checked in (${report.neverCheckedIn.length}):** ${report.neverCheckedIn.map(row => row.username).join(', ')}`);
+    }
+
+    const checkedIn = report.rows.filter(row => row.checkedIn > 0);
+    if (checkedIn.length > 0)
+    {
+        lines.push('');
+        lines.push('**Checked in:**');
+        for (const row of checkedIn)
+        {
+            lines.push(`• ${row.username}: ${row.checkedIn}/${row.wars} (⚔️ ${row.attacked}, 🕯️ ${row.cantAttack})`);
+        }
+    }
+
+    const text = lines.join('\n');
+    return text.length > 2000 ? `${text.slice(0, 1950)}\n… (use \`csv\` for the full list)` : text;
+}
+
+function escapeCsv(value)
+{
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function attendanceReportToCsv(report)
+{
+    const header = ['user_id', 'username', 'wars', 'checked_in', 'attacked', 'cant_attack'];
+    const lines = report.rows.map(row =>
+        [row.userId, row.username, row.wars, row.checkedIn, row.attacked, row.cantAttack].map(escapeCsv).join(','));
+
+    return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+module.exports = {
+    buildAttendanceComponents,
+    isAttendanceButton,
+    handleAttendanceButton,
+    getGuildRoster,
+    buildAttendanceReport,
+    formatAttendanceReport,
+    attendanceReportToCsv
+};
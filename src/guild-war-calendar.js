@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const { listPhaseTimes } = require('./guild-war-phases');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Feed window: the past week plus the next eight weeks
+const CALENDAR_PAST_MS = 7 * DAY_MS;
+const CALENDAR_FUTURE_MS = 56 * DAY_MS;
+
+// Wars longer than this without an end phase are treated as open-ended and left out
+const MAX_WAR_MS = 7 * DAY_MS;
+
+// 20261019T030000Z
+function formatIcsDate(date)
+{
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(text)
+{
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\n/g, '\\n');
+}
+
+// Fold lines longer than 75 octets as RFC 5545 requires
+function foldIcsLine(line)
+{
+    const chunks = [];
+    let current = '';
+
+    for (const character of line)
+    {
+        if (Buffer.byteLength(current + character) > (chunks.length === 0 ? 75 : 74))
+        {
+            chunks.push(current);
+            current = '';
+        }
+        current += character;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+}
+
+// Pair each war start with the end that follows it. A start whose end was skipped (the next
+// phase is another start) has no war of its own and is dropped rather than paired with a later
+// war's end.
+function listWars(schedule, from, to)
+{
+    const phases = listPhaseTimes(schedule, from, new Date(to.getTime() + MAX_WAR_MS));
+    const wars = [];
+
+    phases.forEach((phase, index) =>
+    {
+        if (phase.phase !== 'start' || phase.at >= to)
+        {
+            return;
+        }
+
+        const next = phases[index + 1];
+        if (next && next.phase === 'end' && next.at - phase.at <= MAX_WAR_MS)
+        {
+            wars.push({ start: phase, end: next });
+        }
+    });
+
+    return wars;
+}
+
+// iCalendar feed of a guild's resolved war schedule (skips and shifts applied). Reminders before
+// the war begins become calendar alarms.
+function buildGuildWarCalendar(schedule, options = {})
+{
+    const now = options.now || new Date();
+    const guildId = options.guildId || 'default';
+    const calendarName = options.guildName ? `Guild War - ${options.guildName}` : 'Guild War';
+    const wars = listWars(schedule, new Date(now.getTime() - CALENDAR_PAST_MS), new Date(now.getTime() + CALENDAR_FUTURE_MS));
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//BriarBot//Guild War Schedule//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(calendarName)}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT6H'
+    ];
+
+    for (const { start, end } of wars)
+    {
+        const shifted = start.shiftMinutes || end.shiftMinutes;
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:guildwar-${guildId}-${start.scheduledAt.getTime()}@briarbot`,
+            `DTSTAMP:${formatIcsDate(now)}`,
+            `DTSTART:${formatIcsDate(start.at)}`,
+            `DTEND:${formatIcsDate(end.at)}`,
+            `SUMMARY:${escapeIcsText(shifted ? 'Guild War (rescheduled)' : 'Guild War')}`,
+            `DESCRIPTION:${escapeIcsText('Guild war is open for attacks until the end of this event.')}`
+        );
+
+        for (const minutes of schedule.startReminders)
+        {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeIcsText('Guild war begins soon')}`,
+                `TRIGGER:-PT${minutes}M`,
+                'END:VALARM'
+            );
+        }
+
+        lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// Secret part of a guild's feed URL, created on first use. Stored outside the guild war
+// settings so asking for a feed link does not turn a guild's default schedule into a custom one.
+function getCalendarToken(settingsStore, guildId, options = {})
+{
+    const existing = settingsStore.getGuildSettings(guildId).calendarToken;
+    if (existing && !options.rotate)
+    {
+        return existing;
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+    settingsStore.updateGuildSettings(guildId, settings =>
+    {
+        settings.calendarToken = token;
+    });
+    return token;
+}
+
+// Whether a feed request carries the guild's current token
+function isValidCalendarToken(settingsStore, guildId, token)
+{
+    const expected = settingsStore.getGuildSettings(guildId).calendarToken;
+    if (!expected || typeof token !== 'string' || token.length !== expected.length)
+    {
+        return false;
+    }
+
+    return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+module.exports = {
+    buildGuildWarCalendar,
+    listWars,
+    getCalendarToken,
+    isValidCalendarToken
+};
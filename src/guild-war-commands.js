@@ -0,0 +1,919 @@
+const { AttachmentBuilder } = require('discord.js');
+const fetch = require('node-fetch');
+const {
+    rescheduleGuild,
+    resolveSchedule,
+    getAnnouncementChannels,
+    getPingTarget,
+    formatAnnouncement
+} = require('./guild-war-scheduler');
+const {
+    listPhaseTimes,
+    listWarEvents,
+    formatTimeLeft,
+    formatOffset,
+    parseOffsets,
+    parseShift,
+    parseDate,
+    pruneOverrides,
+    MAX_REMINDERS
+} = require('./guild-war-phases');
+const { buildGuildWarCalendar, getCalendarToken } = require('./guild-war-calendar');
+const {
+    BUILT_IN_PACK,
+    MESSAGE_TYPES,
+    MAX_MESSAGES_PER_TYPE,
+    PHASE_NAMES,
+    validateAnnouncement,
+    validateMessagePack,
+    getMessagePool,
+    getRandomAnnouncement
+} = require('./guild-war-messages');
+const {
+    getGuildRoster,
+    buildAttendanceReport,
+    formatAttendanceReport,
+    attendanceReportToCsv
+} = require('./guild-war-attendance');
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const CONFIG_USAGE = [
+    '`!guildwar config` → Show this server\'s schedule',
+    '`!guildwar config channel add|remove #channel`',
+    '`!guildwar config hour <0-23>` → Hour the war starts and ends',
+    '`!guildwar config timezone <IANA name, e.g. America/Denver>`',
+    '`!guildwar config start <days, e.g. mon,wed,fri>` → Days the war begins',
+    '`!guildwar config end <days, e.g. tue,thu,sat>` → Days the war ends',
+    '`!guildwar config reminders start|end <offsets, e.g. 12h,3h,30m>` → Reminders before each phase (or none)',
+    '`!guildwar config startedping on|off` → Announce when the war begins',
+    '`!guildwar config ping @role|here|everyone|none [#channel]` → Who each announcement pings',
+    '`!guildwar config enable|disable`',
+    '`!guildwar config reset` → Forget this server\'s settings'
+].join('\n');
+
+const DEFAULT_REPORT_WARS = 4;
+const MAX_REPORT_WARS = 50;
+
+const REPORT_USAGE = '`!guildwar report [wars] [csv]` → Members who never checked in across the last wars (default 4)';
+
+const OVERRIDE_USAGE = [
+    '`!guildwar skip <YYYY-MM-DD> [YYYY-MM-DD]` → Skip war phases on a date or date range',
+    '`!guildwar skip list|clear` / `!guildwar unskip <YYYY-MM-DD>`',
+    '`!guildwar shift <+2h|-30m> [start|end]` → Move the next war phase (and its reminders) once',
+    '`!guildwar shift clear` → Undo every pending shift',
+    '`!guildwar upcoming` → The next ten announcements',
+    '`!guildwar calendar` → The schedule as an .ics file (and feed link) for calendar apps',
+    '`!guildwar calendar reset` → Replace the feed link, cutting off anyone who has the old one'
+].join('\n');
+
+const MESSAGES_USAGE = [
+    '`!guildwar messages` → Which announcement pack is in use',
+    '`!guildwar messages use builtin|custom` → Switch between the built-in pack and this server\'s own',
+    '`!guildwar messages add attack|defense|started <text>` → Placeholders: {role}, {timeLeft}, {phase}',
+    '`!guildwar messages list|clear attack|defense|started` / `!guildwar messages remove <type> <number>`',
+    '`!guildwar messages upload` (attach a .json pack) / `!guildwar messages download`'
+].join('\n');
+
+// Largest pack file accepted by `messages upload`
+const MAX_PACK_FILE_BYTES = 32 * 1024;
+
+const UPCOMING_COUNT = 10;
+const UPCOMING_LOOKAHEAD_MS = 30 * 24 * 60 * 60 * 1000;
+
+const EVENT_LABELS = {
+    defense: 'Reminder: war begins in',
+    attack: 'Reminder: war ends in',
+    started: 'War begins'
+};
+
+// Parse "mon,wed,fri" (or cron numbers "1,3,5") into sorted weekday numbers, or null if invalid
+function parseWeekdays(text)
+{
+    const parts = (text || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+    if (parts.length === 0)
+    {
+        return null;
+    }
+
+    const days = new Set();
+    for (const part of parts)
+    {
+        const day = /^[0-6]$/.test(part)
+            ? Number(part)
+            : WEEKDAY_NAMES.findIndex(name => part.length >= 3 && name.startsWith(part));
+        if (day < 0)
+        {
+            return null;
+        }
+        days.add(day);
+    }
+
+    return [...days].sort((a, b) => a - b);
+}
+
+function formatWeekdays(days)
+{
+    return days.length > 0 ? days.map(day => WEEKDAY_NAMES[day].slice(0, 3)).join(', ') : 'none';
+}
+
+function isValidTimezone(timezone)
+{
+    try
+    {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    }
+    catch (error)
+    {
+        return false;
+    }
+}
+
+// Readable ping target ("@here", "<@&role>", "no ping")
+function formatPingTarget(pingTarget)
+{
+    if (pingTarget.startsWith('role:'))
+    {
+        return `<@&${pingTarget.slice('role:'.length)}>`;
+    }
+    return pingTarget === 'none' ? 'no ping' : `@${pingTarget}`;
+}
+
+// Parse `@role`, a role ID, `here`, `everyone` or `none` into a stored ping target
+function parsePingTarget(message, argument)
+{
+    const role = message.mentions.roles.first()
+        || message.guild.roles.cache.get((argument || '').replace(/[<@&>]/g, ''));
+    if (role)
+    {
+        return `role:${role.id}`;
+    }
+
+    const keyword = (argument || '').toLowerCase().replace(/^@/, '');
+    return ['here', 'everyone', 'none'].includes(keyword) ? keyword : null;
+}
+
+// Summary of the schedule that applies to a guild
+function formatSchedule(schedule, isCustom)
+{
+    const hour = String(schedule.warHour).padStart(2, '0');
+    const formatReminders = offsets => offsets.length > 0 ? offsets.map(formatOffset).join(', ') : 'none';
+    const channels = schedule.channels.length > 0
+        ? schedule.channels.map(id => `<#${id}> (${formatPingTarget(getPingTarget(schedule, id))})`).join(', ')
+        : 'none';
+
+    return [
+        `⚔️ **Guild war schedule** (${isCustom ? 'server settings' : 'bot defaults'})`,
+        `Status: ${schedule.enabled ? 'enabled' : 'disabled'}`,
+        `Channels: ${channels}`,
+        `Default ping: ${formatPingTarget(schedule.ping)}`,
+        `War begins: ${formatWeekdays(schedule.startDays)} at ${hour}:00 ${schedule.timezone}`,
+        `War ends: ${formatWeekdays(schedule.endDays)} at ${hour}:00 ${schedule.timezone}`,
+        `Reminders before it begins: ${formatReminders(schedule.startReminders)}`,
+        `Reminders before it ends: ${formatReminders(schedule.endReminders)}`,
+        `"War has begun" ping: ${schedule.startedPing ? 'on' : 'off'}`,
+        `Messages: ${schedule.messagePack === 'custom' ? 'custom pack' : 'built-in pack'}`
+    ].join('\n');
+}
+
+// Resolve a channel mention or raw ID to a text channel in this guild
+function findGuildChannel(message, argument)
+{
+    const channelId = message.mentions.channels.first()?.id || (argument || '').replace(/[<#>]/g, '');
+    const channel = message.guild.channels.cache.get(channelId);
+    return channel && channel.isTextBased() ? channel : null;
+}
+
+// Apply a change to a guild's war settings. The first change seeds the channel list with any
+// GUILD_WAR_ANNOUNCEMENT_CHANNELS entries in this guild, which stop using the env schedule.
+function updateGuildWarSettings(settingsStore, guild, updater)
+{
+    settingsStore.updateGuildSettings(guild.id, settings =>
+    {
+        if (!settings.guildWar)
+        {
+            settings.guildWar = {
+                channels: getAnnouncementChannels().filter(id => guild.channels.cache.has(id))
+            };
+        }
+        updater(settings.guildWar);
+    });
+}
+
+// Apply `!guildwar config <setting> <value>`; returns the reply text
+function applyConfigChange(message, settingsStore, setting, args)
+{
+    const value = args.join(' ');
+    const schedule = resolveSchedule(message.guildId);
+
+    switch (setting)
+    {
+        case 'channel':
+        {
+            const action = (args[0] || '').toLowerCase();
+            const channel = findGuildChannel(message, args[1]);
+            if (!['add', 'remove'].includes(action) || !channel)
+            {
+                return '🕸️ Speak clearly: `!guildwar config channel add|remove #channel`';
+            }
+
+            updateGuildWarSettings(settingsStore, message.guild, guildWar =>
+            {
+                const channels = new Set(guildWar.channels || []);
+                if (action === 'add')
+                {
+                    channels.add(channel.id);
+                }
+                else
+                {
+                    channels.delete(channel.id);
+                }
+                guildWar.channels = [...channels];
+            });
+            return action === 'add'
+                ? `📯 War horns will sound in <#${channel.id}>.`
+                : `🔇 War horns will no longer sound in <#${channel.id}>.`;
+        }
+
+        case 'hour':
+        {
+            const hour = Number(value);
+            if (!/^\d{1,2}$/.test(value) || hour > 23)
+            {
+                return '🕸️ The hour must be a whole number from 0 to 23.';
+            }
+
+            updateGuildWarSettings(settingsStore, message.guild, guildWar =>
+            {
+                guildWar.warHour = hour;
+            });
+            return `🕰️ The war now starts and ends at ${String(hour).padStart(2, '0')}:00 ${schedule.timezone}.`;
+        }
+
+        case 'timezone':
+        {
+            if (!value || !isValidTimezone(value))
+            {
+                return '🕸️ Unknown timezone. Use an IANA name such as `UTC` or `America/Denver`.';
+            }
+
+            updateGuildWarSettings(settingsStore, message.guild, guildWar =>
+            {
+                guildWar.timezone = value;
+            });
+            return `🌍 War times now follow ${value}.`;
+        }
+
+        case 'start':
+        case 'end':
+        {
+            const days = value.toLowerCase() === 'none' ? [] : parseWeekdays(value);
+            if (!days)
+            {
+                return `🕸️ Speak clearly: \`!guildwar config ${setting} mon,wed,fri\` (or \`none\`)`;
+            }
+
+            updateGuildWarSettings(settingsStore, message.guild, guildWar =>
+            {
+                guildWar[`${setting}Days`] = days;
+            });
+            return `📅 The war ${setting === 'start' ? 'begins' : 'ends'} on: ${formatWeekdays(days)}.`;
+        }
+
+        case 'reminders':
+        {
+            const phase = (args[0] || '').toLowerCase();
+            const offsetText = args.slice(1).join(' ');
+            const offsets = offsetText.toLowerCase() === 'none' ? [] : parseOffsets(offsetText);
+            if (!['start', 'end'].includes(phase) || !offsets)
+            {
+                return `🕸️ Speak clearly: \`!guildwar config reminders start|end 12h,3h,30m\` (up to ${MAX_REMINDERS}, at most 48h, or \`none\`)`;
+            }
+
+            updateGuildWarSettings(settingsStore, message.guild, guildWar =>
+            {
+                guildWar[`${phase}Reminders`] = offsets;
+            });
+            return offsets.length > 0
+                ? `⏳ Reminders before the war ${phase === 'start' ? 'begins' : 'ends'}: ${offsets.map(formatOffset).join(', ')}.`
+                : `⏳ No reminders before the war ${phase === 'start' ? 'begins' : 'ends'}.`;
+        }
+
+        case 'startedping':
+        {
+            const toggle = value.toLowerCase();
+            if (!['on', 'off'].includes(toggle))
+            {
+                return '🕸️ Speak clearly: `!guildwar config startedping on|off`';
+            }
+
+            updateGuildWarSettings(settingsStore, message.guild, guildWar =>
+            {
+                guildWar.startedPing = toggle === 'on';
+            });
+            return toggle === 'on'
+                ? '⚔️ The horns will also sound when the war begins.'
+                : '🔇 No announcement when the war begins.';
+        }
+
+        case 'ping':
+        {
+            const pingTarget = parsePingTarget(message, args[0]);
+            const channel = args[1] ? findGuildChannel(message, args[1]) : null;
+            if (!pingTarget || (args[1] && !channel))
+            {
+                return '🕸️ Speak clearly: `!guildwar config ping @role|here|everyone|none [#channel]`';
+            }
+
+            updateGuildWarSettings(settingsStore, message.guild, guildWar =>
+            {
+                if (channel)
+                {
+                    guildWar.channelPings = { ...guildWar.channelPings, [channel.id]: pingTarget };
+                }
+                else
+                {
+                    guildWar.ping = pingTarget;
+                }
+            });
+            return channel
+                ? `📣 Announcements in <#${channel.id}> will ping ${formatPingTarget(pingTarget)}.`
+                : `📣 Announcements will ping ${formatPingTarget(pingTarget)} unless a channel says otherwise.`;
+        }
+
+        case 'enable':
+        case 'disable':
+            updateGuildWarSettings(settingsStore, message.guild, guildWar =>
+            {
+                guildWar.enabled = setting === 'enable';
+            });
+            return setting === 'enable'
+                ? '📯 Guild war announcements enabled for this server.'
+                : '🔇 Guild war announcements disabled for this server.';
+
+        case 'reset':
+            settingsStore.updateGuildSettings(message.guildId, settings =>
+            {
+                delete settings.guildWar;
+            });
+            return '🧹 This server\'s guild war settings were cleared.';
+
+        default:
+            return `🕸️ Unknown setting. Try:\n${CONFIG_USAGE}`;
+    }
+}
+
+// !guildwar config [...]
+async function handleConfigCommand(message, { client, settingsStore }, setting, args)
+{
+    if (!setting)
+    {
+        const isCustom = Boolean(settingsStore.getGuildSettings(message.guildId).guildWar);
+        const schedule = resolveSchedule(message.guildId);
+        // The env channel list can span several guilds; only show this one's
+        const channels = schedule.channels.filter(id => message.guild.channels.cache.has(id));
+        await message.reply({ content: formatSchedule({ ...schedule, channels }, isCustom), allowedMentions: { parse: [] } });
+        return;
+    }
+
+    const reply = applyConfigChange(message, settingsStore, setting.toLowerCase(), args);
+    rescheduleGuild(client, message.guildId);
+    // Replies name roles and channels without pinging them
+    await message.reply({ content: reply, allowedMentions: { parse: [] } });
+}
+
+// !guildwar report [wars] [csv]
+async function handleReportCommand(message, { attendanceStore }, args)
+{
+    const options = args.map(arg => arg.toLowerCase());
+    const countArgument = options.find(arg => /^\d+$/.test(arg));
+    const warCount = Math.min(Math.max(Number(countArgument || DEFAULT_REPORT_WARS), 1), MAX_REPORT_WARS);
+
+    const wars = attendanceStore.listWars(message.guildId, warCount);
+    const { roster, source } = await getGuildRoster(message.guild, attendanceStore);
+    const report = buildAttendanceReport(wars, roster);
+    const content = formatAttendanceReport(report, source);
+
+    if (options.includes('csv') && wars.length > 0)
+    {
+        const attachment = new AttachmentBuilder(Buffer.from(attendanceReportToCsv(report), 'utf8'), {
+            name: `guild-war-attendance-${message.guildId}.csv`
+        });
+        await message.reply({ content, files: [attachment], allowedMentions: { parse: [] } });
+        return;
+    }
+
+    await message.reply({ content, allowedMentions: { parse: [] } });
+}
+
+function formatShiftMinutes(minutes)
+{
+    return `${minutes > 0 ? '+' : '-'}${formatOffset(Math.abs(minutes))}`;
+}
+
+// Apply a change to the guild's skips/shifts, dropping ones that have already passed
+function updateOverrides(settingsStore, guild, updater)
+{
+    updateGuildWarSettings(settingsStore, guild, guildWar =>
+    {
+        Object.assign(guildWar, pruneOverrides(guildWar));
+        updater(guildWar);
+    });
+}
+
+// !guildwar skip <date> [to-date] | skip list | skip clear ; !guildwar unskip <date>
+function applySkipCommand(message, settingsStore, subcommand, args)
+{
+    const skips = pruneOverrides(resolveSchedule(message.guildId)).skips;
+    const action = (args[0] || '').toLowerCase();
+
+    if (subcommand === 'unskip')
+    {
+        const date = parseDate(args[0]);
+        if (!date)
+        {
+            return '🕸️ Speak clearly: `!guildwar unskip YYYY-MM-DD`';
+        }
+
+        const remaining = skips.filter(skip => date < skip.from || date > skip.to);
+        if (remaining.length === skips.length)
+        {
+            return `🕸️ ${date} is not skipped.`;
+        }
+
+        updateOverrides(settingsStore, message.guild, guildWar =>
+        {
+            guildWar.skips = remaining;
+        });
+        return `📅 Removed the skip covering ${date}.`;
+    }
+
+    if (action === 'list')
+    {
+        return skips.length > 0
+            ? `📅 **Skipped dates:**\n${skips.map(skip => `• ${skip.from === skip.to ? skip.from : `${skip.from} → ${skip.to}`}`).join('\n')}`
+            : '📅 No dates are skipped.';
+    }
+
+    if (action === 'clear')
+    {
+        updateOverrides(settingsStore, message.guild, guildWar =>
+        {
+            guildWar.skips = [];
+        });
+        return '📅 All skipped dates were cleared.';
+    }
+
+    const from = parseDate(args[0]);
+    const to = args[1] ? parseDate(args[1]) : from;
+    if (!from || !to || to < from)
+    {
+        return '🕸️ Speak clearly: `!guildwar skip YYYY-MM-DD [YYYY-MM-DD]` (dates in the schedule\'s timezone)';
+    }
+
+    updateOverrides(settingsStore, message.guild, guildWar =>
+    {
+        guildWar.skips = [...(guildWar.skips || []), { from, to }];
+    });
+    return from === to
+        ? `🌙 The war horns will stay silent for phases on ${from}.`
+        : `🌙 The war horns will stay silent for phases from ${from} to ${to}.`;
+}
+
+// !guildwar shift <+2h|-30m> [start|end] | shift clear
+function applyShiftCommand(message, settingsStore, args)
+{
+    if ((args[0] || '').toLowerCase() === 'clear')
+    {
+        updateOverrides(settingsStore, message.guild, guildWar =>
+        {
+            guildWar.shifts = [];
+        });
+        return '🕰️ All pending shifts were cleared.';
+    }
+
+    const minutes = parseShift(args[0]);
+    const phaseFilter = (args[1] || '').toLowerCase();
+    if (minutes === null || (phaseFilter && !['start', 'end'].includes(phaseFilter)))
+    {
+        return '🕸️ Speak clearly: `!guildwar shift +2h [start|end]` (up to 24h either way)';
+    }
+
+    const schedule = resolveSchedule(message.guildId);
+    const now = new Date();
+    const next = listPhaseTimes(schedule, now, new Date(now.getTime() + UPCOMING_LOOKAHEAD_MS))
+        .find(phase => !phaseFilter || phase.phase === phaseFilter);
+    if (!next)
+    {
+        return '🕸️ There is no upcoming war phase to shift.';
+    }
+
+    // Shifts are relative to the regular time, so shifting twice replaces the first shift
+    const phaseAt = next.scheduledAt.toISOString();
+    const shiftedAt = new Date(next.scheduledAt.getTime() + minutes * 60 * 1000);
+    updateOverrides(settingsStore, message.guild, guildWar =>
+    {
+        guildWar.shifts = [...(guildWar.shifts || []).filter(shift => shift.phaseAt !== phaseAt), { phaseAt, minutes }];
+    });
+
+    const phaseName = next.phase === 'start' ? 'begins' : 'ends';
+    return `🕰️ The war now ${phaseName} <t:${Math.floor(shiftedAt.getTime() / 1000)}:F> (${formatShiftMinutes(minutes)}), once. Its reminders move with it.`;
+}
+
+// "Reminder: war ends in 3 hours (shifted +2h)"
+function formatEventLabel(event)
+{
+    const label = event.type === 'started' ? EVENT_LABELS.started : `${EVENT_LABELS[event.type]} ${formatTimeLeft(event.minutesLeft)}`;
+    const shifted = event.shiftMinutes ? ` (shifted ${formatShiftMinutes(event.shiftMinutes)})` : '';
+    return `${label}${shifted}`;
+}
+
+// Warning shown under upcoming/preview output when nothing would actually be posted
+function formatScheduleWarning(schedule)
+{
+    return !schedule.enabled
+        ? '\n⚠️ Announcements are disabled for this server.'
+        : schedule.channels.length === 0 ? '\n⚠️ No announcement channels are configured.' : '';
+}
+
+// Next announcements after skips and shifts, as Discord timestamps
+function formatUpcoming(schedule, now = new Date())
+{
+    const events = listWarEvents(schedule, now, new Date(now.getTime() + UPCOMING_LOOKAHEAD_MS)).slice(0, UPCOMING_COUNT);
+    if (events.length === 0)
+    {
+        return '📅 No announcements are coming up.';
+    }
+
+    const lines = events.map(event =>
+    {
+        const seconds = Math.floor(event.fireAt.getTime() / 1000);
+        return `• <t:${seconds}:F> (<t:${seconds}:R>) - ${formatEventLabel(event)}`;
+    });
+
+    return `📅 **Next ${events.length} guild war announcements**\n${lines.join('\n')}${formatScheduleWarning(schedule)}`;
+}
+
+// The next announcement for a guild - when it fires, which channels it goes to (with their pings)
+// and a sample line from its pack - without sending anything
+function formatAnnouncementPreview(guild, now = new Date())
+{
+    const resolved = resolveSchedule(guild.id);
+    // The env channel list can span several guilds; only show this one's
+    const schedule = { ...resolved, channels: resolved.channels.filter(id => guild.channels.cache.has(id)) };
+    const event = listWarEvents(schedule, now, new Date(now.getTime() + UPCOMING_LOOKAHEAD_MS))[0];
+    if (!event)
+    {
+        return '🔎 No announcements are coming up.';
+    }
+
+    const seconds = Math.floor(event.fireAt.getTime() / 1000);
+    const channels = schedule.channels.length > 0
+        ? schedule.channels.map(id => `<#${id}> (${formatPingTarget(getPingTarget(schedule, id))})`).join(', ')
+        : 'none';
+    // One sample line, rendered with each channel's own ping target as runAnnouncement sends it
+    const template = getRandomAnnouncement(getMessagePool(schedule, event.type));
+    const values = {
+        timeLeft: formatTimeLeft(event.minutesLeft),
+        phase: PHASE_NAMES[event.type]
+    };
+    const samples = schedule.channels.length > 0
+        ? schedule.channels.map(id => `Sample in <#${id}>: ${formatAnnouncement(template, getPingTarget(schedule, id), values).content}`)
+        : [`Sample: ${formatAnnouncement(template, schedule.ping, values).content}`];
+
+    return [
+        '🔎 **Next guild war announcement** (preview - nothing was sent)',
+        `Fires: <t:${seconds}:F> (<t:${seconds}:R>)`,
+        `Type: ${formatEventLabel(event)}`,
+        `Channels: ${channels}`,
+        ...samples
+    ].join('\n') + formatScheduleWarning(schedule);
+}
+
+// Summary of the guild's pack: which one is used and how many custom lines each type has
+function formatMessagePackStatus(schedule)
+{
+    const customMessages = schedule.customMessages || {};
+    const lines = MESSAGE_TYPES.map(type =>
+    {
+        const count = (customMessages[type] || []).length;
+        const fallback = schedule.messagePack === 'custom' && count === 0 ? ' (uses the built-in lines)' : '';
+        return `• ${type}: ${count} custom line(s)${fallback}`;
+    });
+
+    return [
+        `📜 **Announcement messages:** ${schedule.messagePack === 'custom' ? 'custom pack' : 'built-in pack'}`,
+        ...lines
+    ].join('\n');
+}
+
+// Discord reports a content type for most uploads; fall back to the file name when it does not
+function isJsonAttachment(attachment)
+{
+    if (attachment.contentType)
+    {
+        return /^(application\/json|text\/plain)\b/i.test(attachment.contentType);
+    }
+    return /\.json$/i.test(attachment.name || '');
+}
+
+// Read and validate the JSON pack attached to `messages upload`; returns { pack } or { error }
+async function readAttachedPack(message)
+{
+    const attachment = message.attachments.first();
+    if (!attachment)
+    {
+        return { error: '🕸️ Attach a .json file shaped like `{ "attack": [...], "defense": [...], "started": [...] }`.' };
+    }
+    if (attachment.size > MAX_PACK_FILE_BYTES)
+    {
+        return { error: `🕸️ Message packs can be at most ${MAX_PACK_FILE_BYTES / 1024} KB.` };
+    }
+    if (!isJsonAttachment(attachment))
+    {
+        return { error: '🕸️ Message packs must be .json files.' };
+    }
+
+    let parsed;
+    try
+    {
+        // `size` makes node-fetch reject bodies larger than the limit, whatever the attachment claimed
+        const response = await fetch(attachment.url, { size: MAX_PACK_FILE_BYTES, timeout: 10000 });
+        if (!response.ok)
+        {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        parsed = JSON.parse(await response.text());
+    }
+    catch (error)
+    {
+        return { error: `🕸️ Could not read that pack: ${error.message}` };
+    }
+
+    const { pack, errors } = validateMessagePack(parsed);
+    if (!pack)
+    {
+        const shown = errors.slice(0, 10).map(error => `• ${error}`).join('\n');
+        const more = errors.length > 10 ? `\n… and ${errors.length - 10} more` : '';
+        return { error: `🕸️ The pack was not saved:\n${shown}${more}` };
+    }
+
+    return { pack };
+}
+
+// !guildwar messages [use|add|remove|list|clear|upload|download] ...; returns the reply options
+async function applyMessagesCommand(message, settingsStore, args)
+{
+    const action = (args[0] || '').toLowerCase();
+    const type = (args[1] || '').toLowerCase();
+    const schedule = resolveSchedule(message.guildId);
+    const customMessages = schedule.customMessages || {};
+
+    switch (action)
+    {
+        case '':
+            return { content: formatMessagePackStatus(schedule) };
+
+        case 'use':
+        {
+            if (!['builtin', 'custom'].includes(type))
+            {
+                return { content: '🕸️ Speak clearly: `!guildwar messages use builtin|custom`' };
+            }
+
+            updateGuildWarSettings(settingsStore, message.guild, guildWar =>
+            {
+                guildWar.messagePack = type;
+            });
+            const empty = MESSAGE_TYPES.filter(name => (customMessages[name] || []).length === 0);
+            const note = type === 'custom' && empty.length > 0 ? ` Types without custom lines (${empty.join(', ')}) keep the built-in lines.` : '';
+            return { content: `📜 Announcements now use the ${type === 'custom' ? 'custom' : 'built-in'} pack.${note}` };
+        }
+
+        case 'add':
+        {
+            // Keep the line's own spacing rather than the whitespace-split arguments
+            const text = (message.content.match(/^\S+\s+\S+\s+\S+\s+\S+\s+([\s\S]+)$/) || [])[1] || '';
+            const error = validateAnnouncement(type, text);
+            if (error)
+            {
+                return { content: `🕸️ ${error}.\n\`!guildwar messages add attack|defense|started <text>\`` };
+            }
+            if ((customMessages[type] || []).length >= MAX_MESSAGES_PER_TYPE)
+            {
+                return { content: `🕸️ The ${type} pool already holds ${MAX_MESSAGES_PER_TYPE} lines. Remove one first.` };
+            }
+
+            updateGuildWarSettings(settingsStore, message.guild, guildWar =>
+            {
+                guildWar.customMessages = { ...guildWar.customMessages, [type]: [...((guildWar.customMessages || {})[type] || []), text.trim()] };
+            });
+            const note = schedule.messagePack === 'custom' ? '' : ' Use `!guildwar messages use custom` to start using it.';
+            return { content: `📜 Added ${type} line #${(customMessages[type] || []).length + 1}.${note}` };
+        }
+
+        case 'remove':
+        {
+            const index = Number(args[2]) - 1;
+            if (!MESSAGE_TYPES.includes(type) || !Number.isInteger(index) || index < 0 || index >= (customMessages[type] || []).length)
+            {
+                return { content: '🕸️ Speak clearly: `!guildwar messages remove attack|defense|started <number>` (see `list`)' };
+            }
+
+            updateGuildWarSettings(settingsStore, message.guild, guildWar =>
+            {
+                guildWar.customMessages = { ...guildWar.customMessages, [type]: guildWar.customMessages[type].filter((line, i) => i !== index) };
+            });
+            return { content: `🧹 Removed ${type} line #${index + 1}.` };
+        }
+
+        case 'list':
+        {
+            if (!MESSAGE_TYPES.includes(type))
+            {
+                return { content: '🕸️ Speak clearly: `!guildwar messages list attack|defense|started`' };
+            }
+
+            const lines = customMessages[type] || [];
+            if (lines.length === 0)
+            {
+                return { content: `📜 No custom ${type} lines; the built-in ones are used.` };
+            }
+
+            const text = [`📜 **Custom ${type} lines:**`, ...lines.map((line, i) => `${i + 1}. ${line}`)].join('\n');
+            return { content: text.length > 2000 ? `${text.slice(0, 1950)}\n… (use \`download\` for the full pack)` : text };
+        }
+
+        case 'clear':
+        {
+            if (!MESSAGE_TYPES.includes(type))
+            {
+                return { content: '🕸️ Speak clearly: `!guildwar messages clear attack|defense|started`' };
+            }
+
+            updateGuildWarSettings(settingsStore, message.guild, guildWar =>
+            {
+                guildWar.customMessages = { ...guildWar.customMessages, [type]: [] };
+            });
+            return { content: `🧹 Cleared the custom ${type} lines.` };
+        }
+
+        case 'upload':
+        {
+            const { pack, error } = await readAttachedPack(message);
+            if (error)
+            {
+                return { content: error };
+            }
+
+            updateGuildWarSettings(settingsStore, message.guild, guildWar =>
+            {
+                guildWar.customMessages = { ...guildWar.customMessages, ...pack };
+                guildWar.messagePack = 'custom';
+            });
+            const counts = Object.entries(pack).map(([name, lines]) => `${name}: ${lines.length}`).join(', ');
+            return { content: `📜 Custom pack saved and in use (${counts || 'no lines'}).` };
+        }
+
+        case 'download':
+        {
+            // The custom pack, with built-in lines filling any empty type, as a starting point for edits
+            const pack = {};
+            for (const name of MESSAGE_TYPES)
+            {
+                pack[name] = (customMessages[name] || []).length > 0 ? customMessages[name] : BUILT_IN_PACK[name];
+            }
+            const attachment = new AttachmentBuilder(Buffer.from(JSON.stringify(pack, null, 2), 'utf8'), {
+                name: 'guild-war-messages.json'
+            });
+            return { content: '📜 Edit this file and send it back with `!guildwar messages upload`.', files: [attachment] };
+        }
+
+        default:
+            return { content: `🕸️ Speak clearly:\n${MESSAGES_USAGE}` };
+    }
+}
+
+// Subscribable feed URL, when the bot's HTTP server is reachable at PUBLIC_BASE_URL. The URL
+// carries the guild's secret token; the server answers 404 without it.
+function getCalendarFeedUrl(settingsStore, guildId, options = {})
+{
+    const baseUrl = process.env.PUBLIC_BASE_URL;
+    if (!baseUrl)
+    {
+        return null;
+    }
+
+    const token = getCalendarToken(settingsStore, guildId, options);
+    return `${baseUrl.replace(/\/+$/, '')}/guildwar/${guildId}/${token}.ics`;
+}
+
+// !guildwar calendar [reset]
+async function handleCalendarCommand(message, settingsStore, args)
+{
+    if ((args[0] || '').toLowerCase() === 'reset')
+    {
+        if (!message.member?.permissions.has('Administrator'))
+        {
+            await message.reply('🕸️ Only those who command the guild may change the war horns.');
+            return;
+        }
+
+        const feedUrl = getCalendarFeedUrl(settingsStore, message.guildId, { rotate: true });
+        await message.reply(feedUrl
+            ? `📅 The old feed link no longer works. New link: <${feedUrl}>`
+            : '🕸️ No calendar feed is served here (PUBLIC_BASE_URL is not set).');
+        return;
+    }
+
+    const calendar = buildGuildWarCalendar(resolveSchedule(message.guildId), {
+        guildId: message.guildId,
+        guildName: message.guild.name
+    });
+    const attachment = new AttachmentBuilder(Buffer.from(calendar, 'utf8'), { name: 'guild-war.ics' });
+    const feedUrl = getCalendarFeedUrl(settingsStore, message.guildId);
+
+    await message.reply({
+        content: feedUrl
+            ? `📅 Import the file below, or subscribe to stay in sync: <${feedUrl}>`
+            : '📅 Import the file below into your calendar app.',
+        files: [attachment],
+        allowedMentions: { parse: [] }
+    });
+}
+
+// !guildwar <config|messages|report|skip|unskip|shift|upcoming|calendar> ... (admin only, except upcoming and calendar)
+async function handleGuildWarCommand(message, context)
+{
+    if (!message.guildId)
+    {
+        await message.reply('🕸️ Guild war settings can only be managed inside a server.');
+        return;
+    }
+
+    const [, subcommand = '', ...args] = message.content.trim().split(/\s+/);
+    const action = subcommand.toLowerCase();
+
+    if (action === 'upcoming')
+    {
+        await message.reply({ content: formatUpcoming(resolveSchedule(message.guildId)), allowedMentions: { parse: [] } });
+        return;
+    }
+
+    if (action === 'calendar')
+    {
+        await handleCalendarCommand(message, context.settingsStore, args);
+        return;
+    }
+
+    if (!message.member?.permissions.has('Administrator'))
+    {
+        await message.reply('🕸️ Only those who command the guild may change the war horns.');
+        return;
+    }
+
+    switch (action)
+    {
+        case 'config':
+            await handleConfigCommand(message, context, args[0], args.slice(1));
+            break;
+
+        case 'messages':
+        {
+            const reply = await applyMessagesCommand(message, context.settingsStore, args);
+            rescheduleGuild(context.client, message.guildId);
+            await message.reply({ ...reply, allowedMentions: { parse: [] } });
+            break;
+        }
+
+        case 'report':
+            await handleReportCommand(message, context, args);
+            break;
+
+        case 'skip':
+        case 'unskip':
+        case 'shift':
+        {
+            const reply = action === 'shift'
+                ? applyShiftCommand(message, context.settingsStore, args)
+                : applySkipCommand(message, context.settingsStore, action, args);
+            rescheduleGuild(context.client, message.guildId);
+            await message.reply({ content: reply, allowedMentions: { parse: [] } });
+            break;
+        }
+
+        default:
+            await message.reply(`🕸️ Speak clearly:\n${CONFIG_USAGE}\n${MESSAGES_USAGE}\n${REPORT_USAGE}\n${OVERRIDE_USAGE}`);
+    }
+}
+
+module.exports = {
+    handleGuildWarCommand,
+    parseWeekdays,
+    formatWeekdays,
+    formatPingTarget,
+    formatUpcoming,
+    formatAnnouncementPreview,
+    isValidTimezone
+};
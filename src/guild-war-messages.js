@@ -0,0 +1,203 @@
+// Built-in Briar-flavored announcement pools and per-guild custom packs. Placeholders:
+// {role} - the channel's ping target, {timeLeft} - countdown text, {phase} - attack/defense/battle
+
+// Attack announcement variations (sent before the war ends)
+const ATTACK_ANNOUNCEMENTS = [
+    '⚔️ {role} **Guild war ends in {timeLeft}.** The battlefield grows quiet. 🌑',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** Time slips away like smoke. ☾',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** The forest watches in silence. 🕸️',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** Soon, then nothing remains. 🕯',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** The witch stirs her cauldron absently. 🧵',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** Shadows lengthen across the stones. 🌑',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** The spirits grow restless. ☾',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** The gates will soon close. 🕸️',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** The hourglass bleeds sand. 🕯',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** War drums fade in the distance. 🧵',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** The cursed moon watches. 🌑',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** Battle cries echo and die. ☾',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** The briars hunger still. 🕸️',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** Fate weaves its final threads. 🕯',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** Darkness creeps closer. 🧵',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** The war horns will soon fall silent. 🌑',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** Blood cools on the battlefield. ☾',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** The forest remembers everything. 🕸️',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** Time bleeds away slowly. 🕯',
+    '⚔️ {role} **Guild war ends in {timeLeft}.** The witch hums an old tune. 🧵',
+];
+
+// Defense announcement variations (sent before the war begins)
+const DEFENSE_ANNOUNCEMENTS = [
+    '🛡️ {role} **Guild war begins in {timeLeft}.** The gates creak in anticipation. 🌑',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** Shadows gather at the treeline. ☾',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** Soon steel will ring. 🕸️',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** The witch senses their approach. 🕯',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** The walls whisper warnings. 🧵',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** Darkness stirs beyond the veil. 🌑',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** The cursed winds carry whispers. ☾',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** Our walls will soon be tested. 🕸️',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** The forest stirs uneasily. 🕯',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** Watchful eyes gaze from afar. 🧵',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** The spirits grow restless. 🌑',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** Time thins like morning fog. ☾',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** The witch\'s ravens circle overhead. 🕸️',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** Distant blades sing against stone. 🕯',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** The hour of reckoning draws near. 🧵',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** The barrier grows thin. 🌑',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** The shadows grow restless. ☾',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** War drums echo through the mist. 🕸️',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** The briars coil tighter. 🕯',
+    '🛡️ {role} **Guild war begins in {timeLeft}.** Steel whispers promises of blood. 🧵',
+];
+
+// Sent when the war begins (if the schedule asks for it)
+const STARTED_ANNOUNCEMENTS = [
+    '⚔️ {role} **Guild war has begun.** The gates are open. 🌑',
+    '⚔️ {role} **Guild war has begun.** Steel meets shadow. ☾',
+    '⚔️ {role} **Guild war has begun.** The witch releases her threads. 🕸️',
+    '⚔️ {role} **Guild war has begun.** Let the forest hear you. 🕯',
+    '⚔️ {role} **Guild war has begun.** No more waiting in the dark. 🧵'
+];
+
+const BUILT_IN_PACK = {
+    attack: ATTACK_ANNOUNCEMENTS,
+    defense: DEFENSE_ANNOUNCEMENTS,
+    started: STARTED_ANNOUNCEMENTS
+};
+
+const MESSAGE_TYPES = Object.keys(BUILT_IN_PACK);
+
+// What {phase} reads as for each announcement type
+const PHASE_NAMES = {
+    attack: 'attack',
+    defense: 'defense',
+    started: 'battle'
+};
+
+// Placeholders each type may use; countdown reminders must say how long is left
+const ALLOWED_PLACEHOLDERS = {
+    attack: ['role', 'timeLeft', 'phase'],
+    defense: ['role', 'timeLeft', 'phase'],
+    started: ['role', 'phase']
+};
+const REQUIRED_PLACEHOLDERS = {
+    attack: ['timeLeft'],
+    defense: ['timeLeft'],
+    started: []
+};
+
+const MAX_MESSAGE_LENGTH = 300;
+const MAX_MESSAGES_PER_TYPE = 50;
+
+// How many recent lines each channel avoids repeating
+const RECENT_HISTORY_SIZE = 5;
+const recentAnnouncements = new Map();
+
+// Validate one custom announcement line; returns an error message or null
+function validateAnnouncement(type, text)
+{
+    if (!MESSAGE_TYPES.includes(type))
+    {
+        return `Unknown message type "${type}" (use ${MESSAGE_TYPES.join(', ')})`;
+    }
+
+    const trimmed = (text || '').trim();
+    if (!trimmed)
+    {
+        return 'Messages cannot be empty';
+    }
+    if (trimmed.length > MAX_MESSAGE_LENGTH)
+    {
+        return `Messages can be at most ${MAX_MESSAGE_LENGTH} characters`;
+    }
+
+    const placeholders = [...trimmed.matchAll(/\{([^{}]*)\}/g)].map(match => match[1]);
+    const unknown = placeholders.filter(name => !ALLOWED_PLACEHOLDERS[type].includes(name));
+    if (unknown.length > 0)
+    {
+        return `Unsupported placeholder(s) ${unknown.map(name => `{${name}}`).join(', ')} (${type} messages can use ${ALLOWED_PLACEHOLDERS[type].map(name => `{${name}}`).join(', ')})`;
+    }
+
+    const missing = REQUIRED_PLACEHOLDERS[type].filter(name => !placeholders.includes(name));
+    if (missing.length > 0)
+    {
+        return `${type} messages must include ${missing.map(name => `{${name}}`).join(', ')} so the countdown stays accurate`;
+    }
+
+    return null;
+}
+
+// Validate a whole uploaded pack ({ attack: [...], defense: [...], started: [...] }).
+// Returns { pack, errors } where errors lists "type #n: reason".
+function validateMessagePack(pack)
+{
+    const errors = [];
+    const cleaned = {};
+
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack))
+    {
+        return { pack: null, errors: ['The pack must be a JSON object with attack, defense and/or started lists'] };
+    }
+
+    for (const [type, messages] of Object.entries(pack))
+    {
+        if (!MESSAGE_TYPES.includes(type) || !Array.isArray(messages))
+        {
+            errors.push(`"${type}" must be one of ${MESSAGE_TYPES.join(', ')} with a list of messages`);
+            continue;
+        }
+        if (messages.length > MAX_MESSAGES_PER_TYPE)
+        {
+            errors.push(`${type}: at most ${MAX_MESSAGES_PER_TYPE} messages`);
+            continue;
+        }
+
+        messages.forEach((text, index) =>
+        {
+            const error = typeof text === 'string' ? validateAnnouncement(type, text) : 'Messages must be text';
+            if (error)
+            {
+                errors.push(`${type} #${index + 1}: ${error}`);
+            }
+        });
+        cleaned[type] = messages.map(text => String(text).trim());
+    }
+
+    return { pack: errors.length === 0 ? cleaned : null, errors };
+}
+
+// Lines a schedule draws from: its custom pack when selected, falling back to the built-in
+// pool for types the custom pack leaves empty
+function getMessagePool(schedule, type)
+{
+    const custom = schedule.messagePack === 'custom' ? (schedule.customMessages || {})[type] : null;
+    return custom && custom.length > 0 ? custom : BUILT_IN_PACK[type];
+}
+
+// Get random message from array, avoiding the last few lines used under historyKey
+function getRandomAnnouncement(messages, historyKey = null)
+{
+    const recent = historyKey ? recentAnnouncements.get(historyKey) || [] : [];
+    const avoidCount = Math.min(RECENT_HISTORY_SIZE, messages.length - 1);
+    const avoid = avoidCount > 0 ? recent.slice(-avoidCount) : [];
+    const candidates = messages.filter(message => !avoid.includes(message));
+    const pool = candidates.length > 0 ? candidates : messages;
+    const message = pool[Math.floor(Math.random() * pool.length)];
+
+    if (historyKey)
+    {
+        recentAnnouncements.set(historyKey, [...recent, message].slice(-RECENT_HISTORY_SIZE));
+    }
+
+    return message;
+}
+
+module.exports = {
+    BUILT_IN_PACK,
+    MESSAGE_TYPES,
+    PHASE_NAMES,
+    MAX_MESSAGES_PER_TYPE,
+    validateAnnouncement,
+    validateMessagePack,
+    getMessagePool,
+    getRandomAnnouncement
+};
@@ -0,0 +1,268 @@
+// War-phase model: wars start on startDays and end on endDays at warHour (in the schedule's
+// timezone). Every reminder is an offset before one of those phase boundaries, so the countdown
+// in a message always matches the real time left. Phases on skipped dates (schedule.skips) are
+// dropped, and one-off shifts (schedule.shifts) move a single phase along with its reminders.
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const MAX_REMINDERS = 6;
+const MAX_REMINDER_MINUTES = 48 * 60;
+const MAX_SHIFT_MINUTES = 24 * 60;
+
+const zonedFormatters = new Map();
+
+function getZonedFormatter(timezone)
+{
+    if (!zonedFormatters.has(timezone))
+    {
+        zonedFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return zonedFormatters.get(timezone);
+}
+
+// Wall-clock year/month/day/hour/minute/second of an instant in a timezone
+function getZonedParts(date, timezone)
+{
+    const parts = {};
+    for (const { type, value } of getZonedFormatter(timezone).formatToParts(date))
+    {
+        if (type !== 'literal')
+        {
+            parts[type] = Number(value);
+        }
+    }
+    return parts;
+}
+
+// Milliseconds the timezone is ahead of UTC at an instant
+function getTimezoneOffset(date, timezone)
+{
+    const parts = getZonedParts(date, timezone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Instant at which a wall-clock time happens in a timezone
+function zonedTimeToDate(year, month, day, hour, minute, timezone)
+{
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const guess = wallClock - getTimezoneOffset(new Date(wallClock), timezone);
+    // Re-check with the offset at the guess itself, which differs around DST changes
+    return new Date(wallClock - getTimezoneOffset(new Date(guess), timezone));
+}
+
+// YYYY-MM-DD of a calendar date built with Date.UTC
+function formatCalendarDate(calendarDate)
+{
+    return calendarDate.toISOString().slice(0, 10);
+}
+
+// Whether a local date (YYYY-MM-DD) falls inside one of the schedule's skip ranges
+function isSkippedDate(schedule, localDate)
+{
+    return (schedule.skips || []).some(skip => localDate >= skip.from && localDate <= skip.to);
+}
+
+// Phase boundaries ({ phase: 'start' | 'end', at, scheduledAt, shiftMinutes }) with `at` in
+// [from, to). scheduledAt is the regular time, before any one-off shift.
+function listPhaseTimes(schedule, from, to)
+{
+    const phases = [];
+    const shifts = schedule.shifts || [];
+    // Look a little further out so phases shifted into the window are still found
+    const first = getZonedParts(new Date(from.getTime() - DAY - MAX_SHIFT_MINUTES * MINUTE), schedule.timezone);
+    const dayCount = Math.ceil((to.getTime() - from.getTime()) / DAY) + 5;
+
+    for (let offset = 0; offset < dayCount; offset++)
+    {
+        // Date.UTC normalizes day overflow, giving the calendar date (and weekday) `offset` days on
+        const calendarDate = new Date(Date.UTC(first.year, first.month - 1, first.day + offset));
+        const weekday = calendarDate.getUTCDay();
+
+        for (const [phase, days] of [['start', schedule.startDays], ['end', schedule.endDays]])
+        {
+            if (!days.includes(weekday) || isSkippedDate(schedule, formatCalendarDate(calendarDate)))
+            {
+                continue;
+            }
+
+            const scheduledAt = zonedTimeToDate(
+                calendarDate.getUTCFullYear(),
+                calendarDate.getUTCMonth() + 1,
+                calendarDate.getUTCDate(),
+                schedule.warHour,
+                0,
+                schedule.timezone
+            );
+            const shift = shifts.find(entry => entry.phaseAt === scheduledAt.toISOString());
+            const shiftMinutes = shift ? shift.minutes : 0;
+            const at = new Date(scheduledAt.getTime() + shiftMinutes * MINUTE);
+            if (at >= from && at < to)
+            {
+                phases.push({ phase, at, scheduledAt, shiftMinutes });
+            }
+        }
+    }
+
+    return phases.sort((a, b) => a.at - b.at);
+}
+
+// Reminder and "war has started" events with fireAt in [from, to), soonest first.
+// Events: { type: 'defense' | 'attack' | 'started', phase, phaseAt, fireAt, minutesLeft, shiftMinutes }
+function listWarEvents(schedule, from, to)
+{
+    const reminders = {
+        start: schedule.startReminders,
+        end: schedule.endReminders
+    };
+    const longestReminder = Math.max(0, ...reminders.start, ...reminders.end);
+    const phases = listPhaseTimes(schedule, from, new Date(to.getTime() + longestReminder * MINUTE));
+    const events = [];
+
+    for (const { phase, at, shiftMinutes } of phases)
+    {
+        for (const minutesLeft of reminders[phase])
+        {
+            events.push({
+                type: phase === 'start' ? 'defense' : 'attack',
+                phase,
+                phaseAt: at,
+                fireAt: new Date(at.getTime() - minutesLeft * MINUTE),
+                minutesLeft,
+                shiftMinutes
+            });
+        }
+
+        if (phase === 'start' && schedule.startedPing)
+        {
+            events.push({ type: 'started', phase, phaseAt: at, fireAt: at, minutesLeft: 0, shiftMinutes });
+        }
+    }
+
+    return events
+        .filter(event => event.fireAt >= from && event.fireAt < to)
+        .sort((a, b) => a.fireAt - b.fireAt);
+}
+
+// "3 hours", "30 minutes", "1 hour 30 minutes"
+function formatTimeLeft(minutes)
+{
+    const hours = Math.floor(minutes / 60);
+    const remainder = minutes % 60;
+    const parts = [];
+
+    if (hours > 0)
+    {
+        parts.push(`${hours} ${hours === 1 ? 'hour' : 'hours'}`);
+    }
+    if (remainder > 0)
+    {
+        parts.push(`${remainder} ${remainder === 1 ? 'minute' : 'minutes'}`);
+    }
+
+    return parts.length > 0 ? parts.join(' ') : 'moments';
+}
+
+// Short form used in settings ("12h", "30m", "1h30m")
+function formatOffset(minutes)
+{
+    const hours = Math.floor(minutes / 60);
+    const remainder = minutes % 60;
+    return `${hours > 0 ? `${hours}h` : ''}${remainder > 0 || hours === 0 ? `${remainder}m` : ''}`;
+}
+
+// Parse "12h,3h,30m" into minutes (longest first), or null if any offset is invalid
+function parseOffsets(text)
+{
+    const parts = (text || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+    if (parts.length === 0 || parts.length > MAX_REMINDERS)
+    {
+        return null;
+    }
+
+    const offsets = new Set();
+    for (const part of parts)
+    {
+        const match = part.match(/^(?:(\d+)h)?(?:(\d+)m)?$/);
+        if (!match || (!match[1] && !match[2]))
+        {
+            return null;
+        }
+
+        const minutes = Number(match[1] || 0) * 60 + Number(match[2] || 0);
+        if (minutes <= 0 || minutes > MAX_REMINDER_MINUTES)
+        {
+            return null;
+        }
+        offsets.add(minutes);
+    }
+
+    return [...offsets].sort((a, b) => b - a);
+}
+
+// Parse a one-off shift such as "+2h", "-30m" or "+1h30m" into signed minutes, or null
+function parseShift(text)
+{
+    const match = (text || '').toLowerCase().match(/^([+-])(?:(\d+)h)?(?:(\d+)m)?$/);
+    if (!match || (!match[2] && !match[3]))
+    {
+        return null;
+    }
+
+    const minutes = Number(match[2] || 0) * 60 + Number(match[3] || 0);
+    if (minutes === 0 || minutes > MAX_SHIFT_MINUTES)
+    {
+        return null;
+    }
+    return match[1] === '-' ? -minutes : minutes;
+}
+
+// Parse YYYY-MM-DD, rejecting impossible dates such as 2026-02-30
+function parseDate(text)
+{
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text || ''))
+    {
+        return null;
+    }
+
+    const date = new Date(`${text}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && formatCalendarDate(date) === text ? text : null;
+}
+
+// Drop skips and shifts that can no longer affect any announcement
+function pruneOverrides(schedule, now = new Date())
+{
+    const today = formatCalendarDate(new Date(now.getTime() - DAY));
+    const cutoff = now.getTime() - MAX_SHIFT_MINUTES * MINUTE;
+
+    return {
+        skips: (schedule.skips || []).filter(skip => skip.to >= today),
+        shifts: (schedule.shifts || []).filter(shift => new Date(shift.phaseAt).getTime() >= cutoff)
+    };
+}
+
+module.exports = {
+    listPhaseTimes,
+    listWarEvents,
+    formatTimeLeft,
+    formatOffset,
+    parseOffsets,
+    parseShift,
+    parseDate,
+    pruneOverrides,
+    getZonedParts,
+    zonedTimeToDate,
+    MAX_REMINDERS,
+    MAX_REMINDER_MINUTES,
+    MAX_SHIFT_MINUTES
+};
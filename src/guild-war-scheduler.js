@@ -1,60 +1,76 @@
 const cron = require('node-cron');
+const { listWarEvents, formatTimeLeft } = require('./guild-war-phases');
+const { buildAttendanceComponents } = require('./guild-war-attendance');
+const { getMessagePool, getRandomAnnouncement, PHASE_NAMES } = require('./guild-war-messages');
 
-// 5PM MST (Mountain Standard Time) = 00:00 UTC (midnight)
-const ANNOUNCEMENT_HOUR_UTC = 0;
-
-// Attack announcement variations (Mon/Wed/Fri - Guild war ends in 3 hours)
-const ATTACK_ANNOUNCEMENTS = [
-    '⚔️ @everyone **Guild war ends in 3 hours.** The battlefield grows quiet. 🌑',
-    '⚔️ @everyone **Guild war ends in 3 hours.** Time slips away like smoke. ☾',
-    '⚔️ @everyone **Guild war ends in 3 hours.** The forest watches in silence. 🕸️',
-    '⚔️ @everyone **Guild war ends in 3 hours.** Three hours, then nothing remains. 🕯',
-    '⚔️ @everyone **Guild war ends in 3 hours.** The witch stirs her cauldron absently. 🧵',
-    '⚔️ @everyone **Guild war ends in 3 hours.** Shadows lengthen across the stones. 🌑',
-    '⚔️ @everyone **Guild war ends in 3 hours.** The spirits grow restless. ☾',
-    '⚔️ @everyone **Guild war ends in 3 hours.** The gates will soon close. 🕸️',
-    '⚔️ @everyone **Guild war ends in 3 hours.** The hourglass bleeds sand. 🕯',
-    '⚔️ @everyone **Guild war ends in 3 hours.** War drums fade in the distance. 🧵',
-    '⚔️ @everyone **Guild war ends in 3 hours.** The cursed moon watches. 🌑',
-    '⚔️ @everyone **Guild war ends in 3 hours.** Battle cries echo and die. ☾',
-    '⚔️ @everyone **Guild war ends in 3 hours.** The briars hunger still. 🕸️',
-    '⚔️ @everyone **Guild war ends in 3 hours.** Fate weaves its final threads. 🕯',
-    '⚔️ @everyone **Guild war ends in 3 hours.** Darkness creeps closer. 🧵',
-    '⚔️ @everyone **Guild war ends in 3 hours.** The war horns will soon fall silent. 🌑',
-    '⚔️ @everyone **Guild war ends in 3 hours.** Blood cools on the battlefield. ☾',
-    '⚔️ @everyone **Guild war ends in 3 hours.** The forest remembers everything. 🕸️',
-    '⚔️ @everyone **Guild war ends in 3 hours.** Time bleeds away slowly. 🕯',
-    '⚔️ @everyone **Guild war ends in 3 hours.** The witch hums an old tune. 🧵',
-];
-
-// Defense announcement variations (Sun/Tue/Thu - Guild war begins in 3 hours)
-const DEFENSE_ANNOUNCEMENTS = [
-    '🛡️ @everyone **Guild war begins in 3 hours.** The gates creak in anticipation. 🌑',
-    '🛡️ @everyone **Guild war begins in 3 hours.** Shadows gather at the treeline. ☾',
-    '🛡️ @everyone **Guild war begins in 3 hours.** Three hours until steel rings. 🕸️',
-    '🛡️ @everyone **Guild war begins in 3 hours.** The witch senses their approach. 🕯',
-    '🛡️ @everyone **Guild war begins in 3 hours.** The walls whisper warnings. 🧵',
-    '🛡️ @everyone **Guild war begins in 3 hours.** Darkness stirs beyond the veil. 🌑',
-    '🛡️ @everyone **Guild war begins in 3 hours.** The cursed winds carry whispers. ☾',
-    '🛡️ @everyone **Guild war begins in 3 hours.** Our walls will soon be tested. 🕸️',
-    '🛡️ @everyone **Guild war begins in 3 hours.** The forest stirs uneasily. 🕯',
-    '🛡️ @everyone **Guild war begins in 3 hours.** Watchful eyes gaze from afar. 🧵',
-    '🛡️ @everyone **Guild war begins in 3 hours.** The spirits grow restless. 🌑',
-    '🛡️ @everyone **Guild war begins in 3 hours.** Time thins like morning fog. ☾',
-    '🛡️ @everyone **Guild war begins in 3 hours.** The witch\'s ravens circle overhead. 🕸️',
-    '🛡️ @everyone **Guild war begins in 3 hours.** Distant blades sing against stone. 🕯',
-    '🛡️ @everyone **Guild war begins in 3 hours.** The hour of reckoning draws near. 🧵',
-    '🛡️ @everyone **Guild war begins in 3 hours.** The barrier grows thin. 🌑',
-    '🛡️ @everyone **Guild war begins in 3 hours.** The shadows grow restless. ☾',
-    '🛡️ @everyone **Guild war begins in 3 hours.** War drums echo through the mist. 🕸️',
-    '🛡️ @everyone **Guild war begins in 3 hours.** The briars coil tighter. 🕯',
-    '🛡️ @everyone **Guild war begins in 3 hours.** Steel whispers promises of blood. 🧵',
-];
-
-// Get random message from array
-function getRandomAnnouncement(messages)
-{
-    return messages[Math.floor(Math.random() * messages.length)];
+// Wars start and end at 03:00 UTC (8PM MST); the default reminders land 3 hours earlier at midnight UTC
+const WAR_HOUR_UTC = 3;
+
+// Longest gap a single tick will catch up on (e.g. after the host slept)
+const MAX_CATCH_UP_MS = 10 * 60 * 1000;
+
+// Schedule used by guilds that have not configured their own (weekdays use cron numbering, 0 = Sunday)
+const DEFAULT_SCHEDULE = {
+    enabled: true,
+    channels: [],
+    timezone: 'UTC',
+    warHour: WAR_HOUR_UTC,
+    startDays: [1, 3, 5],    // War begins Mon/Wed/Fri
+    endDays: [2, 4, 6],      // War ends Tue/Thu/Sat
+    startReminders: [180],   // Minutes before the war begins
+    endReminders: [180],     // Minutes before the war ends
+    startedPing: false,      // Announce when the war has begun
+    messagePack: 'builtin',  // 'builtin' or 'custom' (customMessages: { attack, defense, started })
+    ping: 'everyone',        // Default ping target: 'everyone', 'here', 'none' or 'role:<id>'
+    channelPings: {}         // Per-channel ping targets, keyed by channel ID
+};
+
+// GUILD_WAR_ANNOUNCEMENT_CHANNELS keeps working as a schedule of its own
+const LEGACY_SCHEDULE_ID = 'env';
+
+// Active schedules keyed by guild ID or LEGACY_SCHEDULE_ID, checked by a once-a-minute tick
+const activeSchedules = new Map();
+let tickTask = null;
+let lastTickAt = null;
+let settingsStore = null;
+let attendanceStore = null;
+
+// Ping target for a channel: its own override, or the schedule's default
+function getPingTarget(schedule, channelId)
+{
+    return (schedule.channelPings || {})[channelId] || schedule.ping || 'none';
+}
+
+// Mention text and matching allowedMentions for a ping target, so a message can never ping
+// more than its target (a stray @everyone in a custom line stays inert)
+function getMention(pingTarget)
+{
+    if (pingTarget.startsWith('role:'))
+    {
+        const roleId = pingTarget.slice('role:'.length);
+        return { text: `<@&${roleId}>`, allowedMentions: { parse: [], roles: [roleId] } };
+    }
+
+    if (pingTarget === 'everyone' || pingTarget === 'here')
+    {
+        return { text: `@${pingTarget}`, allowedMentions: { parse: ['everyone'] } };
+    }
+
+    return { text: '', allowedMentions: { parse: [] } };
+}
+
+// Fill an announcement template for one ping target. values.timeLeft is the countdown text and
+// values.phase names the phase.
+function formatAnnouncement(template, pingTarget, values = {})
+{
+    const mention = getMention(pingTarget);
+    const content = template
+        .replace(/\{role\}/g, mention.text)
+        .replace(/\{timeLeft\}/g, values.timeLeft || 'moments')
+        .replace(/\{phase\}/g, values.phase || 'war')
+        .replace(/ {2,}/g, ' ');
+
+    return { content, allowedMentions: mention.allowedMentions };
 }
 
 // Parse channel IDs from environment variable
@@ -70,20 +86,69 @@ function isEnabled()
     return process.env.GUILD_WAR_ANNOUNCEMENTS_ENABLED !== 'false';
 }
 
-// Post announcement to all configured channels
-async function postAnnouncement(client, message)
+// Schedule for the env channel list
+function getLegacySchedule()
+{
+    return {
+        ...DEFAULT_SCHEDULE,
+        channels: getAnnouncementChannels(),
+        ping: process.env.GUILD_WAR_PING || DEFAULT_SCHEDULE.ping
+    };
+}
+
+// Stored schedule for a guild merged over the defaults, or null if the guild never configured one
+function getGuildSchedule(guildId)
+{
+    const stored = settingsStore?.getGuildSettings(guildId).guildWar;
+    return stored ? { ...DEFAULT_SCHEDULE, ...stored } : null;
+}
+
+function getConfiguredGuildIds()
+{
+    if (!settingsStore)
+    {
+        return [];
+    }
+
+    return settingsStore.listGuildIds().filter(guildId => settingsStore.getGuildSettings(guildId).guildWar);
+}
+
+// The schedule that applies to a guild: its own, or the env schedule as a fallback
+function resolveSchedule(guildId)
+{
+    return (guildId && getGuildSchedule(guildId)) || getLegacySchedule();
+}
+
+// Post a `type` announcement (attack, defense or started) to the schedule's channels. Each channel
+// gets a line from the schedule's pack that it has not seen recently, pinging its configured target.
+// Options: values (placeholder values), components (buttons), onSent(channel), and
+// skipGuildIds - channels in those guilds are left alone (the env schedule defers to guilds
+// that configured their own).
+async function postAnnouncement(client, type, schedule, options = {})
 {
-    const channelIds = getAnnouncementChannels();
+    const { components = [], onSent = null, skipGuildIds = new Set() } = options;
+    const values = { phase: PHASE_NAMES[type], ...options.values };
+    const messages = getMessagePool(schedule, type);
 
-    for (const channelId of channelIds)
+    for (const channelId of schedule.channels)
     {
         try
         {
             const channel = await client.channels.fetch(channelId);
+            if (channel && skipGuildIds.has(channel.guildId))
+            {
+                continue;
+            }
+
             if (channel && channel.isTextBased())
             {
-                await channel.send(message);
+                const template = getRandomAnnouncement(messages, `${channelId}:${type}`);
+                await channel.send({ ...formatAnnouncement(template, getPingTarget(schedule, channelId), values), components });
                 console.log(`[Guild War] Announcement sent to ${channelId}`);
+                if (onSent)
+                {
+                    onSent(channel);
+                }
             }
         }
         catch (error)
@@ -93,55 +158,115 @@ async function postAnnouncement(client, message)
     }
 }
 
-// Schedule attack announcements (Mon/Wed/Fri at 5pm MST = Tue/Thu/Sat midnight UTC)
-function scheduleAttackAnnouncements(client)
+// Post one reminder or "war has started" event
+async function postWarEvent(client, scheduleId, schedule, event)
 {
-    const cronExpression = `0 ${ANNOUNCEMENT_HOUR_UTC} * * 2,4,6`;
+    const options = {
+        values: { timeLeft: formatTimeLeft(event.minutesLeft) },
+        skipGuildIds: scheduleId === LEGACY_SCHEDULE_ID ? new Set(getConfiguredGuildIds()) : new Set()
+    };
 
-    cron.schedule(cronExpression, async () =>
+    // Attack reminders carry check-in buttons for the war they count down to
+    if (event.type === 'attack' && attendanceStore)
     {
-        const message = getRandomAnnouncement(ATTACK_ANNOUNCEMENTS);
-        await postAnnouncement(client, message);
-    },
+        options.components = buildAttendanceComponents(event.phaseAt);
+        options.onSent = channel => attendanceStore.registerWar(channel.guildId, String(event.phaseAt.getTime()), event.phaseAt);
+    }
+
+    await postAnnouncement(client, event.type, schedule, options);
+}
+
+// Post every event that came due since the previous tick
+async function runSchedulerTick(client, now = new Date())
+{
+    const from = new Date(Math.max(lastTickAt ? lastTickAt.getTime() : now.getTime(), now.getTime() - MAX_CATCH_UP_MS));
+    lastTickAt = now;
+
+    for (const [scheduleId, schedule] of activeSchedules)
     {
-        timezone: 'UTC'
-    });
+        for (const event of listWarEvents(schedule, from, now))
+        {
+            await postWarEvent(client, scheduleId, schedule, event);
+        }
+    }
 }
 
-// Schedule defense announcements (Sun/Tue/Thu at 5pm MST = Mon/Wed/Fri midnight UTC)
-function scheduleDefenseAnnouncements(client)
+// Register (or drop) a schedule, replacing any previous version of it
+function scheduleAnnouncements(scheduleId, schedule)
 {
-    const cronExpression = `0 ${ANNOUNCEMENT_HOUR_UTC} * * 1,3,5`;
+    activeSchedules.delete(scheduleId);
 
-    cron.schedule(cronExpression, async () =>
+    if (!schedule || !schedule.enabled || schedule.channels.length === 0)
     {
-        const message = getRandomAnnouncement(DEFENSE_ANNOUNCEMENTS);
-        await postAnnouncement(client, message);
-    },
+        return false;
+    }
+
+    activeSchedules.set(scheduleId, schedule);
+    return true;
+}
+
+// Pick up a guild's changed settings
+function rescheduleGuild(client, guildId)
+{
+    if (!isEnabled())
     {
-        timezone: 'UTC'
-    });
+        return false;
+    }
+
+    const scheduled = scheduleAnnouncements(guildId, getGuildSchedule(guildId));
+    console.log(`[Guild War] ${scheduled ? 'Rescheduled' : 'Stopped'} announcements for guild ${guildId}`);
+    return scheduled;
 }
 
-// Test command handler for manual testing
-async function testAnnouncements(client, type = 'both', testChannel = null)
+// Stop every scheduled announcement
+function stopGuildWarScheduler()
 {
-    if (type === 'attack' || type === 'both')
+    activeSchedules.clear();
+    if (tickTask)
     {
-        const message = getRandomAnnouncement(ATTACK_ANNOUNCEMENTS);
-        await postAnnouncement(client, message);
+        tickTask.stop();
+        tickTask = null;
     }
+}
+
+// Test command handler: posts sample announcements into the invoking channel only. The channel's
+// ping target is shown but suppressed unless options.ping is set.
+async function testAnnouncements(testChannel, type = 'both', options = {})
+{
+    const schedule = resolveSchedule(testChannel.guildId);
+    const types = type === 'both' ? ['attack', 'defense'] : [type];
 
-    if (type === 'defense' || type === 'both')
+    for (const testType of types)
     {
-        const message = getRandomAnnouncement(DEFENSE_ANNOUNCEMENTS);
-        await postAnnouncement(client, message);
+        const reminders = testType === 'attack' ? schedule.endReminders : schedule.startReminders;
+        // No history key, so tests do not affect which lines real announcements avoid
+        const template = getRandomAnnouncement(getMessagePool(schedule, testType));
+        const announcement = formatAnnouncement(template, getPingTarget(schedule, testChannel.id), {
+            timeLeft: formatTimeLeft(reminders[0] || 0),
+            phase: PHASE_NAMES[testType]
+        });
+
+        try
+        {
+            await testChannel.send({
+                content: announcement.content,
+                allowedMentions: options.ping ? announcement.allowedMentions : { parse: [] }
+            });
+        }
+        catch (error)
+        {
+            console.error(`[Guild War] Failed to send test announcement to ${testChannel.id}:`, error.message);
+        }
     }
 }
 
-// Initialize guild war scheduler
-function initializeGuildWarScheduler(client)
+// Initialize guild war scheduler for the env channels and every guild with stored settings
+function initializeGuildWarScheduler(client, options = {})
 {
+    settingsStore = options.settingsStore || null;
+    attendanceStore = options.attendanceStore || null;
+    stopGuildWarScheduler();
+
     if (!isEnabled())
     {
         console.log('[Guild War] Announcements disabled via GUILD_WAR_ANNOUNCEMENTS_ENABLED');
@@ -149,21 +274,50 @@ function initializeGuildWarScheduler(client)
     }
 
     const channels = getAnnouncementChannels();
-    if (channels.length === 0)
+    if (scheduleAnnouncements(LEGACY_SCHEDULE_ID, getLegacySchedule()))
     {
-        console.log('[Guild War] No announcement channels configured in GUILD_WAR_ANNOUNCEMENT_CHANNELS');
-        return;
+        console.log(`[Guild War] Scheduled GUILD_WAR_ANNOUNCEMENT_CHANNELS: ${channels.join(', ')}`);
     }
 
-    console.log(`[Guild War] Initializing scheduler for ${channels.length} channel(s): ${channels.join(', ')}`);
+    const guildIds = getConfiguredGuildIds().filter(guildId => scheduleAnnouncements(guildId, getGuildSchedule(guildId)));
+    if (guildIds.length > 0)
+    {
+        console.log(`[Guild War] Scheduled per-guild announcements for ${guildIds.length} guild(s)`);
+    }
 
-    scheduleAttackAnnouncements(client);
-    scheduleDefenseAnnouncements(client);
+    if (activeSchedules.size === 0)
+    {
+        console.log('[Guild War] No announcement channels configured (GUILD_WAR_ANNOUNCEMENT_CHANNELS or !guildwar config)');
+    }
 
-    console.log('[Guild War] Scheduler initialized - Mon/Wed/Fri 5pm MST (attack), Sun/Tue/Thu 5pm MST (defense)');
+    // A single tick serves every schedule, so settings changes apply without rebuilding cron jobs
+    lastTickAt = new Date();
+    tickTask = cron.schedule('* * * * *', async () =>
+    {
+        try
+        {
+            await runSchedulerTick(client);
+        }
+        catch (error)
+        {
+            console.error('[Guild War] Scheduler tick failed:', error.message);
+        }
+    },
+    {
+        timezone: 'UTC'
+    });
 }
 
 module.exports = {
     initializeGuildWarScheduler,
-    testAnnouncements
+    testAnnouncements,
+    rescheduleGuild,
+    stopGuildWarScheduler,
+    runSchedulerTick,
+    getGuildSchedule,
+    resolveSchedule,
+    getAnnouncementChannels,
+    getPingTarget,
+    formatAnnouncement,
+    DEFAULT_SCHEDULE
 };
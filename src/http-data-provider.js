@@ -0,0 +1,508 @@
+const fetch = require('node-fetch');
+const axios = require('axios');
+const getArtifactImage = require('./fetch-artifact');
+const getHeroImageUrl = require('./fetch-hero');
+
+const HERO_CACHE = "https://e7-optimizer-game-data.s3-accelerate.amazonaws.com/herodata.json";
+const ARTIFACT_CACHE = "https://e7-optimizer-game-data.s3-accelerate.amazonaws.com/artifactdata.json";
+const BUILDS_API = "https://krivpfvxi0.execute-api.us-west-2.amazonaws.com/dev/getBuilds";
+const BUILDS_API_ALTERNATIVES = [
+	"https://krivpfvxi0.execute-api.us-west-2.amazonaws.com/dev/getBuilds",
+	"https://krivpfvxi0.execute-api.us-west-2.amazonaws.com/prod/getBuilds",
+	"https://krivpfvxi0.execute-api.us-west-2.amazonaws.com/stage/getBuilds",
+	"https://krivpfvxi0.execute-api.us-west-2.amazonaws.com/beta/getBuilds",
+	"https://krivpfvxi0.execute-api.us-west-2.amazonaws.com/v1/getBuilds",
+	"https://krivpfvxi0.execute-api.us-west-2.amazonaws.com/api/getBuilds"
+];
+
+// HARDCORE BYPASS CONFIGURATION - Maximum Aggression
+const USER_AGENTS = [
+	// Modern Chrome variations with different builds
+	'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+	'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36',
+	'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+	'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+	// Firefox variations
+	'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:120.0) Gecko/20100101 Firefox/120.0',
+	'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:120.0) Gecko/20100101 Firefox/120.0',
+	// Safari variations
+	'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15',
+	'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.6 Safari/605.1.15',
+	// Edge variations
+	'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.0.0',
+	// Mobile browsers
+	'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1',
+	'Mozilla/5.0 (Linux; Android 10; SM-G975F) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+	// Curl/wget to appear as different tool types
+	'curl/7.68.0',
+	'Wget/1.20.3 (linux-gnu)',
+	// Bot-like but legitimate
+	'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+	'facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)'
+];
+
+const FORWARDED_IPS = [
+	// Major DNS providers
+	'1.1.1.1', '1.0.0.1', '8.8.8.8', '8.8.4.4', '4.4.4.4', '4.4.8.8',
+	'208.67.222.222', '208.67.220.220', '9.9.9.9', '149.112.112.112',
+	'76.76.19.19', '76.223.100.101', '94.140.14.14', '94.140.15.15',
+	// Major cloud provider IPs
+	'54.239.28.85', '52.95.110.1', '13.107.42.14', '40.90.4.200',
+	'104.16.249.249', '104.16.248.249', '172.67.221.168', '104.21.2.70',
+	// Corporate/University IPs that look legitimate
+	'129.250.35.250', '198.6.1.4', '192.5.6.30', '199.7.83.42',
+	'128.8.126.63', '171.67.193.20', '192.36.148.17', '199.232.41.5'
+];
+
+// Geographic IP ranges for more realistic spoofing
+const IP_RANGES = {
+	US: ['173.252.0.0/16', '31.13.24.0/21', '66.220.144.0/20', '69.63.176.0/20'],
+	EU: ['185.60.216.0/22', '185.89.218.0/23', '31.13.64.0/18', '31.13.72.0/21'],
+	ASIA: ['103.4.96.0/22', '179.60.192.0/22', '185.89.216.0/22', '199.201.64.0/22']
+};
+
+// Common corporate/educational domains for referrer diversity
+const REFERRER_DOMAINS = [
+	'https://github.com/fribbels/',
+	'https://epic7x.com/',
+	'https://reddit.com/r/EpicSeven',
+	'https://gamepress.gg/epicseven',
+	'https://google.com/search',
+	'https://bing.com/search',
+	'https://duckduckgo.com/',
+	'https://yandex.com/search',
+	'https://baidu.com/s',
+	'https://fribbels.github.io',
+	'https://fribbels.github.io/e7',
+	'https://fribbels.github.io/e7/hero-library.html'
+];
+
+let requestCounter = 0;
+
+function getRandomElement(arr) {
+	return arr[Math.floor(Math.random() * arr.length)];
+}
+
+function generateRandomIP() {
+	return Array.from({ length: 4 }, () => Math.floor(Math.random() * 256)).join('.');
+}
+
+// Generate realistic IP from CIDR ranges
+function generateRealisticIP(region = 'US') {
+	const ranges = IP_RANGES[region] || IP_RANGES.US;
+	const range = getRandomElement(ranges);
+	const [network, mask] = range.split('/');
+	const [a, b, c, d] = network.split('.').map(Number);
+	const maskBits = parseInt(mask);
+	const hostBits = 32 - maskBits;
+	const maxHosts = Math.pow(2, hostBits) - 2;
+	const randomHost = Math.floor(Math.random() * maxHosts) + 1;
+
+	// Simple CIDR generation (not perfect but good enough for spoofing)
+	const newD = (d + randomHost) % 256;
+	const newC = (c + Math.floor((d + randomHost) / 256)) % 256;
+	return `${a}.${b}.${newC}.${newD}`;
+}
+
+// Generate session tokens to appear as different authenticated users
+function generateSessionToken() {
+	const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+	return Array.from({ length: 32 }, () => chars.charAt(Math.floor(Math.random() * chars.length))).join('');
+}
+
+// Generate request ID to appear as different requests
+function generateRequestId() {
+	return 'req_' + Math.random().toString(36).substr(2, 16) + '_' + Date.now();
+}
+
+// Advanced encoding and parameter manipulation functions
+function urlEncodeRandom(str) {
+	// Partially encode the string to create mismatch between rate limiting and processing
+	const chars = str.split('');
+	const encodableChars = /[a-zA-Z0-9]/;
+
+	return chars.map((char, index) => {
+		if (encodableChars.test(char) && Math.random() < 0.3) { // 30% chance to encode
+			return '%' + char.charCodeAt(0).toString(16).padStart(2, '0');
+		}
+		return char;
+	}).join('');
+}
+
+function addNullByteVariation(str) {
+	// Add null bytes or other special characters to create processing mismatch
+	const variations = ['%00', '%20', '%09', '%0d', '%0a'];
+	const variation = getRandomElement(variations);
+
+	// Add at random position
+	if (Math.random() < 0.5) {
+		return str + variation; // Append
+	} else {
+		return variation + str; // Prepend
+	}
+}
+
+function addRandomParameters(url) {
+	// Add random parameters to make requests appear unique
+	const separator = url.includes('?') ? '&' : '?';
+	const randomParams = [
+		`_t=${Date.now()}`,
+		`_r=${Math.random().toString(36).substr(2, 9)}`,
+		`cache=${Math.floor(Math.random() * 1000)}`,
+		`v=${Math.floor(Math.random() * 100)}`
+	];
+
+	const numParams = Math.floor(Math.random() * 3) + 1; // 1-3 random params
+	const selectedParams = randomParams.sort(() => 0.5 - Math.random()).slice(0, numParams);
+
+	return url + separator + selectedParams.join('&');
+}
+
+// HARDCORE AGGRESSIVE RATE LIMIT DESTROYER
+async function getPopularBuilds(rateLimiter, heroName, retryCount = 0) {
+	try {
+		// Check if we should attempt the request
+		const requestCheck = rateLimiter.shouldAttemptRequest();
+		if (!requestCheck.allowed) {
+			console.log(`⚠️  Circuit breaker blocked request for ${heroName}: ${requestCheck.reason}`);
+			return {
+				data: [],
+				blocked: true,
+				reason: requestCheck.reason
+			};
+		}
+
+		if (requestCheck.reason !== 'healthy') {
+			console.log(`ℹ️  Request for ${heroName} allowed: ${requestCheck.reason}`);
+		}
+
+
+		// Use intelligent backoff delay if this is a retry
+		if (retryCount > 0) {
+			const delay = rateLimiter.calculateDelay(retryCount - 1);
+			const explanation = rateLimiter.getStrategyExplanation(retryCount - 1, delay);
+			await new Promise(resolve => setTimeout(resolve, delay));
+		}
+
+		requestCounter++;
+
+		// Vary browser fingerprints for natural traffic patterns
+		const region = getRandomElement(['US', 'EU', 'ASIA', 'OCEANIA', 'AFRICA', 'SOUTH_AMERICA']);
+
+		// Advanced fingerprint randomization
+		const browserFingerprint = {
+			chrome: getRandomElement(['119.0.0.0', '120.0.0.0', '121.0.0.0', '122.0.0.0']),
+			firefox: getRandomElement(['109.0', '110.0', '111.0', '112.0']),
+			safari: getRandomElement(['16.6', '17.0', '17.1', '17.2']),
+			edge: getRandomElement(['119.0.0.0', '120.0.0.0', '121.0.0.0'])
+		};
+
+		// Clean, reliable URL - no manipulation needed
+		let requestUrl = BUILDS_API;
+
+		// Clean hero name - no corruption
+		let processedHeroName = heroName;
+
+		// ULTIMATE HEADER ARSENAL - Advanced browser simulation + ML evasion
+		const selectedBrowser = getRandomElement(['chrome', 'firefox', 'safari', 'edge']);
+		const browserVersion = browserFingerprint[selectedBrowser];
+
+		// Generate realistic User-Agent based on selected browser
+		const generateBrowserUA = (browser, version) => {
+			const osVariants = {
+				chrome: [
+					`Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${version} Safari/537.36`,
+					`Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${version} Safari/537.36`,
+					`Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${version} Safari/537.36`
+				],
+				firefox: [
+					`Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:${version}) Gecko/20100101 Firefox/${version}`,
+					`Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:${version}) Gecko/20100101 Firefox/${version}`,
+					`Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:${version}) Gecko/20100101 Firefox/${version}`
+				],
+				safari: [
+					`Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/${version} Safari/605.1.15`,
+					`Mozilla/5.0 (iPhone; CPU iPhone OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/${version} Mobile/15E148 Safari/604.1`
+				],
+				edge: [
+					`Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${version} Safari/537.36 Edg/${version}`,
+					`Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${version} Safari/537.36 Edg/${version}`
+				]
+			};
+			return getRandomElement(osVariants[browser]);
+		};
+
+		const aggressiveHeaders = {
+			'Content-Type': getRandomElement([
+				'text/plain',
+				'application/x-www-form-urlencoded',
+				'text/plain; charset=utf-8',
+				'application/json; charset=utf-8',
+				'multipart/form-data'
+			]),
+			'Accept': getRandomElement([
+				'application/json, text/plain, */*',
+				'application/json',
+				'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
+				'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+				'*/*'
+			]),
+			'Accept-Language': getRandomElement([
+				'en-US,en;q=0.9',
+				'en-US,en;q=0.8,fr;q=0.6,de;q=0.4',
+				'en-GB,en;q=0.9,fr;q=0.8',
+				'zh-CN,zh;q=0.9,en;q=0.8',
+				'ja,en-US;q=0.9,en;q=0.8',
+				'ko,en-US;q=0.9,en;q=0.8',
+				'es-ES,es;q=0.9,en;q=0.8'
+			]),
+			'Accept-Encoding': getRandomElement(['gzip, deflate, br', 'gzip, deflate', 'br, gzip, deflate']),
+			'Origin': getRandomElement([
+				'https://fribbels.github.io',
+				'https://github.com',
+				'https://epic7x.com',
+				'https://gamepress.gg',
+				'null'
+			]),
+			'User-Agent': generateBrowserUA(selectedBrowser, browserVersion),
+			'Referer': getRandomElement([
+				'https://fribbels.github.io/e7-gear-optimizer/',
+				'https://epic7x.com/characters/',
+				'https://gamepress.gg/epic7/',
+				'https://github.com/fribbels/e7-gear-optimizer',
+				'https://www.google.com/',
+				'https://duckduckgo.com/'
+			]),
+			'Cache-Control': getRandomElement(['no-cache', 'max-age=0', 'no-store', 'must-revalidate', 'public, max-age=0']),
+			'Pragma': getRandomElement(['no-cache', 'cache']),
+			'DNT': getRandomElement(['1', '0']),
+
+			// Enhanced browser fingerprinting headers
+			'Sec-Fetch-Dest': getRandomElement(['empty', 'document', 'script', 'fetch']),
+			'Sec-Fetch-Mode': getRandomElement(['cors', 'navigate', 'no-cors', 'same-origin']),
+			'Sec-Fetch-Site': getRandomElement(['cross-site', 'same-origin', 'same-site', 'none']),
+			'Sec-Fetch-User': getRandomElement(['?1', undefined]),
+			'Sec-Ch-Ua': `"${selectedBrowser}";v="${browserVersion.split('.')[0]}", "Chromium";v="${browserVersion.split('.')[0]}", "Not_A Brand";v="8"`,
+			'Sec-Ch-Ua-Mobile': getRandomElement(['?0', '?1']),
+			'Sec-Ch-Ua-Platform': getRandomElement(['"Windows"', '"macOS"', '"Linux"', '"Android"', '"iOS"']),
+
+			// Session and auth spoofing
+			'X-Requested-With': getRandomElement(['XMLHttpRequest', 'fetch', undefined]),
+			'X-Browser-Version': browserVersion,
+			'X-Client-Version': getRandomElement(['1.0.0', '1.1.0', '2.0.0', '2.1.0']),
+			'X-Request-ID': generateRequestId(),
+			'X-Session-Token': generateSessionToken(),
+			'X-CSRF-Token': Math.random().toString(36).substr(2, 32),
+
+			// Timing headers to appear more legitimate
+			'X-Timestamp': Date.now().toString(),
+			'X-Client-Time': new Date().toISOString(),
+
+			// Device fingerprinting
+			'X-Device-ID': Math.random().toString(36).substr(2, 16),
+			'X-Screen-Resolution': getRandomElement(['1920x1080', '1366x768', '1440x900', '2560x1440']),
+			'X-Timezone': getRandomElement(['America/New_York', 'Europe/London', 'Asia/Tokyo', 'America/Los_Angeles']),
+		};
+
+		// EXTREME IP SPOOFING - All possible headers + realistic geographic IPs
+		const ALL_IP_HEADERS = [
+			'X-Forwarded-For', 'X-Real-IP', 'X-Originating-IP', 'Client-IP', 'X-Client-IP',
+			'X-Cluster-Client-IP', 'X-Remote-IP', 'X-Remote-Addr', 'X-ProxyUser-Ip',
+			'CF-Connecting-IP', 'True-Client-IP', 'X-Azure-ClientIP', 'X-Forwarded-Host',
+			'Forwarded', 'Via', 'X-Coming-From', 'X-Sucuri-ClientIP', 'X-Sucuri-Country'
+		];
+
+		// Apply 3-8 random IP headers for maximum confusion
+		const numIpHeaders = Math.floor(Math.random() * 6) + 3; // 3-8 headers
+		const selectedIpHeaders = ALL_IP_HEADERS.sort(() => 0.5 - Math.random()).slice(0, numIpHeaders);
+
+		selectedIpHeaders.forEach((header, index) => {
+			let ip;
+			if (index === 0) {
+				// First header gets a highly legitimate IP
+				ip = getRandomElement(FORWARDED_IPS);
+			} else if (Math.random() < 0.6) {
+				// 60% chance of realistic regional IP
+				ip = generateRealisticIP(region);
+			} else {
+				// 40% chance of random IP
+				ip = generateRandomIP();
+			}
+
+			// Some headers need special formatting
+			if (header === 'Forwarded') {
+				aggressiveHeaders[header] = `for=${ip};proto=https;by=${generateRandomIP()}`;
+			} else if (header === 'Via') {
+				aggressiveHeaders[header] = `1.1 ${ip} (CloudFront)`;
+			} else {
+				aggressiveHeaders[header] = ip;
+			}
+		});
+
+		// Standard HTTP method - reliable
+		const method = 'POST';
+
+
+		// Clean, reliable axios configuration
+		const axiosConfig = {
+			method: method,
+			url: requestUrl,
+			data: processedHeroName,
+			headers: aggressiveHeaders,
+			timeout: 25000,
+			maxRedirects: 10,
+
+			// Standard connection management
+			httpAgent: new (require('http').Agent)({
+				keepAlive: true,
+				maxSockets: 5,
+				timeout: 25000
+			}),
+			httpsAgent: new (require('https').Agent)({
+				keepAlive: true,
+				maxSockets: 5,
+				timeout: 25000
+			}),
+
+			// Response handling
+			validateStatus: (status) => status >= 200 && status < 500,
+			transformResponse: [(data) => {
+				try {
+					return typeof data === 'string' ? JSON.parse(data) : data;
+				} catch {
+					return data;
+				}
+			}]
+		};
+
+		const response = await axios(axiosConfig);
+
+		// Enhanced response data handling with better validation
+		let data;
+		if (response.data && typeof response.data === 'object') {
+			if (Array.isArray(response.data)) {
+				// Response is directly an array
+				data = { data: response.data };
+			} else if (response.data.data && Array.isArray(response.data.data)) {
+				// Response has nested data property
+				data = response.data;
+			} else if (response.data.builds && Array.isArray(response.data.builds)) {
+				// Alternative structure with 'builds' property
+				data = { data: response.data.builds };
+			} else {
+				// Fallback: try to extract any array-like property
+				const arrayProp = Object.values(response.data).find(val => Array.isArray(val));
+				data = arrayProp ? { data: arrayProp } : { data: [] };
+			}
+		} else {
+			data = { data: [] };
+		}
+
+
+		// Update rate limiter with success
+		rateLimiter.updateApiHealth(200);
+
+		return data;
+
+	} catch (error) {
+		const status = error.response?.status;
+		console.error(`API fetch failed for ${heroName}:`, {
+			status,
+			message: error.message,
+			code: error.code,
+			timeout: error.code === 'ECONNABORTED',
+			retryCount
+		});
+
+		// Update rate limiter with the error status
+		rateLimiter.updateApiHealth(status);
+
+		if (status === 404) {
+			console.warn(`   ⚠️ No build data available for hero: ${heroName}`);
+			return { data: [] };
+		}
+
+		// Use intelligent retry logic for all error types
+		if ((status === 403 || status === 429 || !status) && retryCount < rateLimiter.config.maxRetries) {
+			const errorType = status === 403 ? 'FORBIDDEN' : status === 429 ? 'RATE LIMITED' : 'NETWORK ERROR';
+			console.warn(`   🚫 ${errorType} ${heroName} (attempt ${retryCount + 1}/${rateLimiter.config.maxRetries})`);
+
+			return getPopularBuilds(rateLimiter, heroName, retryCount + 1);
+		} else {
+			console.warn(`   💀 MAX RETRIES REACHED for ${heroName} after ${retryCount + 1} attempts`);
+
+			// Log current rate limiter health for debugging
+			const health = rateLimiter.getHealthStats();
+
+			return { data: [] };
+		}
+	}
+}
+
+// Fetch a JSON game data file from the optimizer CDN
+async function fetchGameDataFile(url, label) {
+	const response = await fetch(url, {
+		timeout: 10000,
+		headers: {
+			'User-Agent': 'BriarBot/1.0'
+		}
+	});
+	if (!response.ok) throw new Error(`${label} data fetch failed: ${response.status}`);
+	return response.json();
+}
+
+/**
+ * Live data provider: builds from the optimizer builds API, hero and artifact data from the S3 CDN
+ */
+class HttpDataProvider {
+	/**
+	 * @param {Object} options
+	 * @param {RateLimiter} options.rateLimiter - Shared limiter guarding the builds API
+	 */
+	constructor(options = {}) {
+		this.name = 'http';
+		this.rateLimiter = options.rateLimiter;
+	}
+
+	/**
+	 * Fetch popular builds for a hero
+	 * @param {string} heroName
+	 * @returns {Promise<Object>} { data: Array, blocked?: boolean, reason?: string }
+	 */
+	fetchBuilds(heroName) {
+		return getPopularBuilds(this.rateLimiter, heroName);
+	}
+
+	/**
+	 * @returns {Promise<Object>} herodata keyed by hero name
+	 */
+	fetchHeroData() {
+		return fetchGameDataFile(HERO_CACHE, 'Hero');
+	}
+
+	/**
+	 * @returns {Promise<Object>} artifactdata keyed by artifact name
+	 */
+	fetchArtifactData() {
+		return fetchGameDataFile(ARTIFACT_CACHE, 'Artifact');
+	}
+
+	/**
+	 * @param {string} heroName
+	 * @param {Object} heroData - Loaded herodata, keyed by hero name
+	 * @returns {string} Hero icon URL, or '' for unknown heroes
+	 */
+	getHeroImageUrl(heroName, heroData) {
+		return getHeroImageUrl(heroName, heroData);
+	}
+
+	/**
+	 * @param {string} artifactName
+	 * @returns {Promise<string>} Artifact icon URL
+	 */
+	fetchArtifactImageUrl(artifactName) {
+		return getArtifactImage(artifactName);
+	}
+}
+
+module.exports = HttpDataProvider;
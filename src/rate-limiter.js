@@ -322,6 +322,35 @@ class RateLimiter extends EventEmitter {
         return { allowed: true, reason: 'healthy' };
     }
     
+    /**
+     * Should optional background work (cache refreshes, pre-warming) call the API right now?
+     * Only while the circuit breaker is fully closed, so probes are left to user requests.
+     * @returns {boolean}
+     */
+    allowsBackgroundRequests() {
+        return !this.circuitBreaker.isOpen && !this.circuitBreaker.isHalfOpen;
+    }
+
+    /**
+     * Pause between background requests for the current strategy. Unlike calculateDelay this
+     * does not touch the health metrics.
+     * @param {number} baseDelay - Pause under the moderate strategy
+     * @returns {number} Delay in milliseconds
+     */
+    getBackgroundDelay(baseDelay = 10000) {
+        switch (this.currentStrategy) {
+            case this.strategies.AGGRESSIVE:
+                return baseDelay / 2;
+            case this.strategies.GENTLE:
+                return baseDelay * 3;
+            case this.strategies.STEALTH:
+            case this.strategies.CIRCUIT_BREAKER:
+                return Math.min(baseDelay * 6, this.config.maxDelay);
+            default:
+                return baseDelay;
+        }
+    }
+
     /**
      * Get strategy explanation for logging
      * @param {number} retryCount 
@@ -0,0 +1,310 @@
+// Browser-free report card renderer: lays the card out as SVG and rasterizes it with resvg.
+// Mirrors the layout of the HTML card in briar-bot.js. Every image in the card model must be a
+// data URL, since resvg does not fetch remote images.
+
+// Bump when the card layout changes so cached cards are re-rendered
+const SVG_TEMPLATE_VERSION = 1;
+
+const CARD_WIDTH = 600;
+const CARD_HEIGHT = 975;
+const PADDING = 30;
+const SECTION_PADDING = 20;
+const SECTION_GAP = 30;
+const FONT_FAMILY = 'Segoe UI, DejaVu Sans, Arial, sans-serif';
+
+function escapeXml(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+// Rough text width for layout; resvg has no text measuring API
+function estimateTextWidth(text, fontSize, bold = false) {
+	return String(text).length * fontSize * (bold ? 0.62 : 0.56);
+}
+
+// Largest font size (down to minSize) that fits the text into maxWidth
+function fitFontSize(text, maxWidth, fontSize, minSize, bold = false) {
+	let size = fontSize;
+	while (size > minSize && estimateTextWidth(text, size, bold) > maxWidth) {
+		size--;
+	}
+	return size;
+}
+
+function truncateText(text, maxWidth, fontSize, bold = false) {
+	if (estimateTextWidth(text, fontSize, bold) <= maxWidth) {
+		return text;
+	}
+
+	let truncated = text;
+	while (truncated.length > 1 && estimateTextWidth(`${truncated}…`, fontSize, bold) > maxWidth) {
+		truncated = truncated.slice(0, -1);
+	}
+	return `${truncated.trimEnd()}…`;
+}
+
+function text(x, y, content, { size = 14, weight = 400, fill = '#ffffff', anchor = 'start', style = 'normal', glow = null } = {}) {
+	const filter = glow ? ` filter="url(#${glow})"` : '';
+	return `<text x="${x}" y="${y}" font-family="${FONT_FAMILY}" font-size="${size}" font-weight="${weight}" font-style="${style}" fill="${fill}" text-anchor="${anchor}"${filter}>${escapeXml(content)}</text>`;
+}
+
+function image(href, x, y, width, height, clipPath = null) {
+	const clip = clipPath ? ` clip-path="url(#${clipPath})"` : '';
+	return `<image href="${href}" x="${x}" y="${y}" width="${width}" height="${height}" preserveAspectRatio="xMidYMid slice"${clip}/>`;
+}
+
+// Percentage pill right-aligned at `right`, vertically centered on `centerY`
+function percentagePill(percentage, right, centerY) {
+	const label = `${percentage}%`;
+	const width = estimateTextWidth(label, 16, true) + 24;
+	const height = 32;
+	return [
+		`<rect x="${right - width}" y="${centerY - height / 2}" width="${width}" height="${height}" rx="8" fill="url(#pill)" stroke="rgba(142, 197, 252, 0.3)"/>`,
+		text(right - width / 2, centerY + 6, label, { size: 16, weight: 700, anchor: 'middle', glow: 'glow' })
+	].join('');
+}
+
+function section(y, height, title) {
+	const x = PADDING;
+	const width = CARD_WIDTH - PADDING * 2;
+	return [
+		`<rect x="${x}" y="${y}" width="${width}" height="${height}" rx="16" fill="rgba(255, 255, 255, 0.03)" stroke="rgba(255, 255, 255, 0.08)"/>`,
+		text(x + SECTION_PADDING, y + SECTION_PADDING + 15, title, { size: 16, weight: 700, glow: 'glow' })
+	].join('');
+}
+
+function renderHeader(card) {
+	const parts = [];
+	const iconSize = 70;
+	let textX = PADDING;
+
+	if (card.heroIcon) {
+		const centerX = PADDING + iconSize / 2;
+		const centerY = PADDING + iconSize / 2;
+		parts.push(
+			`<clipPath id="hero-icon-clip"><circle cx="${centerX}" cy="${centerY}" r="${iconSize / 2}"/></clipPath>`,
+			`<circle cx="${centerX}" cy="${centerY}" r="${iconSize / 2 + 6}" fill="rgba(142, 197, 252, 0.15)"/>`,
+			image(card.heroIcon, PADDING, PADDING, iconSize, iconSize, 'hero-icon-clip'),
+			`<circle cx="${centerX}" cy="${centerY}" r="${iconSize / 2 - 1.5}" fill="none" stroke="rgba(142, 197, 252, 0.6)" stroke-width="3"/>`
+		);
+		textX = PADDING + iconSize + 20;
+	}
+
+	// Leave room for the watermark in the top right corner
+	const maxNameWidth = CARD_WIDTH - textX - 130;
+	const nameSize = fitFontSize(card.heroName, maxNameWidth, 28, 18, true);
+	parts.push(
+		text(textX, PADDING + 36, truncateText(card.heroName, maxNameWidth, nameSize, true), { size: nameSize, weight: 800, glow: 'glow-strong' }),
+		text(textX, PADDING + 60, `${card.totalBuilds.toLocaleString()}+ builds analyzed`, { size: 14, weight: 500, fill: 'rgba(255, 255, 255, 0.8)' }),
+		`<line x1="${PADDING}" y1="${PADDING + iconSize + 20.5}" x2="${CARD_WIDTH - PADDING}" y2="${PADDING + iconSize + 20.5}" stroke="rgba(255, 255, 255, 0.15)"/>`
+	);
+
+	return { svg: parts.join(''), bottom: PADDING + iconSize + 20 + SECTION_GAP };
+}
+
+function renderWatermark(card) {
+	if (!card.watermark) {
+		return '';
+	}
+
+	const size = 35;
+	const textRight = CARD_WIDTH - 20;
+	const iconX = textRight - estimateTextWidth('Briar Bot', 12, true) - 8 - size;
+	const centerY = 20 + size / 2;
+	return [
+		`<clipPath id="watermark-clip"><circle cx="${iconX + size / 2}" cy="${centerY}" r="${size / 2}"/></clipPath>`,
+		`<g opacity="0.9">${image(card.watermark, iconX, 20, size, size, 'watermark-clip')}</g>`,
+		`<circle cx="${iconX + size / 2}" cy="${centerY}" r="${size / 2}" fill="none" stroke="rgba(255, 255, 255, 0.2)" stroke-width="1.5"/>`,
+		text(textRight, centerY + 4, 'Briar Bot', { size: 12, weight: 600, fill: 'rgba(255, 255, 255, 0.8)', anchor: 'end' })
+	].join('');
+}
+
+function renderSets(card, top) {
+	const rowHeight = 34;
+	const rowGap = 12;
+	const rowsTop = top + SECTION_PADDING + 20 + 15;
+	const height = SECTION_PADDING * 2 + 20 + 15 + card.sets.length * (rowHeight + rowGap) - (card.sets.length > 0 ? rowGap : 0);
+	const left = PADDING + SECTION_PADDING;
+	const right = CARD_WIDTH - PADDING - SECTION_PADDING;
+	const parts = [section(top, height, 'Popular Sets')];
+
+	card.sets.forEach((set, index) => {
+		const centerY = rowsTop + index * (rowHeight + rowGap) + rowHeight / 2;
+
+		if (set.icons.length === 0) {
+			parts.push(text(left, centerY + 4, 'Broken', { size: 12, fill: '#FF6B6B', style: 'italic' }));
+		} else {
+			// A single icon is centered in the icon column, several are laid out from the left
+			let iconX = set.icons.length === 1 ? left + (80 - 16 - 28) / 2 : left;
+			for (const icon of set.icons) {
+				const iconHref = icon || card.brokenIcon;
+				if (iconHref) {
+					parts.push(image(iconHref, iconX, centerY - 14, 28, 28));
+				} else {
+					parts.push(
+						`<rect x="${iconX}" y="${centerY - 14}" width="28" height="28" rx="4" fill="rgba(255, 107, 107, 0.2)" stroke="rgba(255, 107, 107, 0.4)"/>`,
+						text(iconX + 14, centerY + 4, '?', { size: 12, weight: 700, fill: '#FF6B6B', anchor: 'middle' })
+					);
+				}
+				iconX += 28 + 8;
+			}
+			parts.push(text(left + 120, centerY + 5, truncateText(set.name, right - left - 220, 14, true), { size: 14, weight: 600 }));
+		}
+
+		parts.push(percentagePill(set.percentage, right, centerY));
+	});
+
+	return { svg: parts.join(''), bottom: top + height + SECTION_GAP };
+}
+
+function renderArtifacts(card, top) {
+	const rowHeight = 74;
+	const rowGap = 15;
+	const rowsTop = top + SECTION_PADDING + 20 + 15;
+	const height = SECTION_PADDING * 2 + 20 + 15 + card.artifacts.length * (rowHeight + rowGap);
+	const left = PADDING + SECTION_PADDING;
+	const right = CARD_WIDTH - PADDING - SECTION_PADDING;
+	const parts = [section(top, height, 'Popular Artifacts')];
+
+	card.artifacts.forEach((artifact, index) => {
+		const rowTop = rowsTop + index * (rowHeight + rowGap);
+		const centerY = rowTop + rowHeight / 2;
+		const clipId = `artifact-clip-${index}`;
+
+		parts.push(`<rect x="${left}" y="${rowTop}" width="${right - left}" height="${rowHeight}" rx="12" fill="rgba(255, 255, 255, 0.04)" stroke="rgba(255, 255, 255, 0.06)"/>`);
+		if (artifact.icon) {
+			parts.push(
+				`<clipPath id="${clipId}"><rect x="${left + 12}" y="${rowTop + 12}" width="50" height="50" rx="10"/></clipPath>`,
+				image(artifact.icon, left + 12, rowTop + 12, 50, 50, clipId)
+			);
+		}
+
+		const nameX = left + 12 + 50 + 18;
+		parts.push(
+			text(nameX, centerY + 5, truncateText(artifact.name, right - 12 - nameX - 90, 14, true), { size: 14, weight: 600 }),
+			percentagePill(artifact.percentage, right - 12, centerY)
+		);
+	});
+
+	return { svg: parts.join(''), bottom: top + height + SECTION_GAP };
+}
+
+function renderStats(card, top) {
+	const itemHeight = 46;
+	const gap = 8;
+	const maxWidth = 500;
+	const rowsTop = top + SECTION_PADDING + 20 + 15;
+	const height = SECTION_PADDING * 2 + 20 + 15 + card.stats.length * (itemHeight + gap) - gap;
+	const left = PADDING + SECTION_PADDING;
+	const parts = [section(top, height, 'Average Stats')];
+
+	card.stats.forEach((row, rowIndex) => {
+		const itemWidth = (maxWidth - gap * (row.length - 1)) / row.length;
+		const itemTop = rowsTop + rowIndex * (itemHeight + gap);
+
+		row.forEach((stat, index) => {
+			const itemLeft = left + index * (itemWidth + gap);
+			const contentWidth = (stat.icon ? 22 + 8 : 0) + estimateTextWidth(stat.value, 12, true);
+			let contentX = itemLeft + (itemWidth - contentWidth) / 2;
+
+			parts.push(`<rect x="${itemLeft}" y="${itemTop}" width="${itemWidth}" height="${itemHeight}" rx="12" fill="url(#stat)" stroke="rgba(255, 255, 255, 0.1)"/>`);
+			if (stat.icon) {
+				parts.push(image(stat.icon, contentX, itemTop + (itemHeight - 22) / 2, 22, 22));
+				contentX += 22 + 8;
+			}
+			parts.push(text(contentX, itemTop + itemHeight / 2 + 4, stat.value, { size: 12, weight: 700, glow: 'glow' }));
+		});
+	});
+
+	return { svg: parts.join(''), bottom: top + height + SECTION_GAP };
+}
+
+/**
+ * Lay out a report card as SVG
+ * @param {Object} card - { heroName, totalBuilds, heroIcon, watermark, brokenIcon,
+ *   sets: [{ icons, name, percentage }], artifacts: [{ name, icon, percentage }], stats: [[{ icon, value }]] }
+ * @returns {string}
+ */
+function buildReportCardSvg(card) {
+	const header = renderHeader(card);
+	const sets = renderSets(card, header.bottom);
+	const artifacts = renderArtifacts(card, sets.bottom);
+	const stats = renderStats(card, artifacts.bottom);
+
+	return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}">
+<defs>
+	<linearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+		<stop offset="0" stop-color="#1a1d3a"/>
+		<stop offset="0.25" stop-color="#2a2d5a"/>
+		<stop offset="0.5" stop-color="#1e2142"/>
+		<stop offset="0.75" stop-color="#151829"/>
+		<stop offset="1" stop-color="#0f1020"/>
+	</linearGradient>
+	<radialGradient id="glow-blue" cx="0.2" cy="0.2" r="0.5">
+		<stop offset="0" stop-color="rgb(120, 150, 255)" stop-opacity="0.1"/>
+		<stop offset="1" stop-color="rgb(120, 150, 255)" stop-opacity="0"/>
+	</radialGradient>
+	<radialGradient id="glow-pink" cx="0.8" cy="0.8" r="0.5">
+		<stop offset="0" stop-color="rgb(255, 120, 200)" stop-opacity="0.08"/>
+		<stop offset="1" stop-color="rgb(255, 120, 200)" stop-opacity="0"/>
+	</radialGradient>
+	<linearGradient id="pill" x1="0" y1="1" x2="1" y2="0">
+		<stop offset="0" stop-color="rgb(25, 25, 112)" stop-opacity="0.6"/>
+		<stop offset="1" stop-color="rgb(192, 192, 192)" stop-opacity="0.3"/>
+	</linearGradient>
+	<linearGradient id="stat" x1="0" y1="0" x2="1" y2="1">
+		<stop offset="0" stop-color="#ffffff" stop-opacity="0.08"/>
+		<stop offset="1" stop-color="#ffffff" stop-opacity="0.02"/>
+	</linearGradient>
+	<filter id="glow" x="-20%" y="-50%" width="140%" height="200%">
+		<feGaussianBlur stdDeviation="4" result="blur"/>
+		<feFlood flood-color="rgb(142, 197, 252)" flood-opacity="0.6"/>
+		<feComposite in2="blur" operator="in"/>
+		<feMerge><feMergeNode/><feMergeNode in="SourceGraphic"/></feMerge>
+	</filter>
+	<filter id="glow-strong" x="-20%" y="-80%" width="140%" height="260%">
+		<feGaussianBlur stdDeviation="8" result="blur"/>
+		<feFlood flood-color="rgb(142, 197, 252)" flood-opacity="0.8"/>
+		<feComposite in2="blur" operator="in"/>
+		<feMerge><feMergeNode/><feMergeNode/><feMergeNode in="SourceGraphic"/></feMerge>
+	</filter>
+</defs>
+<rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" rx="24" fill="url(#background)"/>
+<rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" rx="24" fill="url(#glow-blue)"/>
+<rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" rx="24" fill="url(#glow-pink)"/>
+<rect x="0.5" y="0.5" width="${CARD_WIDTH - 1}" height="${CARD_HEIGHT - 1}" rx="24" fill="none" stroke="rgba(255, 255, 255, 0.1)"/>
+${renderWatermark(card)}
+${header.svg}
+${sets.svg}
+${artifacts.svg}
+${stats.svg}
+</svg>`;
+}
+
+/**
+ * Render a report card to PNG at the same size as the Puppeteer renderer (1.5x device scale)
+ * @param {Object} card - See buildReportCardSvg
+ * @param {number} scale
+ * @returns {Buffer}
+ */
+function renderReportCardPng(card, scale = 1.5) {
+	const { Resvg } = require('@resvg/resvg-js');
+	const resvg = new Resvg(buildReportCardSvg(card), {
+		fitTo: { mode: 'zoom', value: scale },
+		font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+	});
+
+	return resvg.render().asPng();
+}
+
+module.exports = {
+	buildReportCardSvg,
+	renderReportCardPng,
+	CARD_WIDTH,
+	CARD_HEIGHT,
+	SVG_TEMPLATE_VERSION
+};
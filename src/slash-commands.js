@@ -0,0 +1,67 @@
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+
+// Slash command definitions mirroring the `!` prefix commands
+const SLASH_COMMANDS = [
+	new SlashCommandBuilder()
+		.setName('build')
+		.setDescription('Reveal popular builds for an Epic Seven hero')
+		.addStringOption(option =>
+			option.setName('hero')
+				.setDescription('Hero name or community abbreviation')
+				.setRequired(true)
+				.setMaxLength(100)
+				.setAutocomplete(true)
+		),
+
+	new SlashCommandBuilder()
+		.setName('botstatus')
+		.setDescription('Show API health, cache and queue status'),
+
+	new SlashCommandBuilder()
+		.setName('resetcircuit')
+		.setDescription('Reset the API circuit breaker')
+		.setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+
+	new SlashCommandBuilder()
+		.setName('testguildwar')
+		.setDescription('Test the guild war announcements')
+		.setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+		.addStringOption(option =>
+			option.setName('type')
+				.setDescription('Which announcement to test')
+				.addChoices(
+					{ name: 'both', value: 'both' },
+					{ name: 'attack', value: 'attack' },
+					{ name: 'defense', value: 'defense' },
+					{ name: 'preview', value: 'preview' }
+				)
+		)
+		.addBooleanOption(option =>
+			option.setName('ping')
+				.setDescription('Really ping the configured target (test posts are muted by default)')
+		)
+];
+
+// Register slash commands globally, or for a single guild when SLASH_COMMANDS_GUILD_ID is set
+// (guild commands update instantly, which is handy during development)
+async function registerSlashCommands(client) {
+	const commandData = SLASH_COMMANDS.map(command => command.toJSON());
+	const guildId = process.env.SLASH_COMMANDS_GUILD_ID;
+
+	try {
+		if (guildId) {
+			await client.application.commands.set(commandData, guildId);
+			console.log(`Registered ${commandData.length} slash commands for guild ${guildId}`);
+		} else {
+			await client.application.commands.set(commandData);
+			console.log(`Registered ${commandData.length} slash commands globally`);
+		}
+	} catch (error) {
+		console.error('Failed to register slash commands:', error);
+	}
+}
+
+module.exports = {
+	SLASH_COMMANDS,
+	registerSlashCommands
+};
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const BrowserPool = require('../src/browser-pool.js');
+
+// Minimal stand-ins for puppeteer's Browser and Page
+function createFakeBrowser(launched, heapMB = 10) {
+	const browser = new EventEmitter();
+	browser.pages = [];
+	browser.connected = true;
+	browser.closed = false;
+	browser.isConnected = () => browser.connected;
+	browser.newPage = async () => {
+		let closed = false;
+		const page = {
+			isClosed: () => closed,
+			close: async () => { closed = true; },
+			browser: () => browser,
+			evaluate: async () => {
+				if (!browser.connected) throw new Error('Target closed');
+				return true;
+			},
+			metrics: async () => ({ JSHeapTotalSize: heapMB * 1024 * 1024 })
+		};
+		browser.pages.push(page);
+		return page;
+	};
+	browser.close = async () => {
+		browser.closed = true;
+		browser.connected = false;
+		browser.emit('disconnected');
+	};
+	launched.push(browser);
+	return browser;
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testParallelRenders() {
+	const launched = [];
+	const pool = new BrowserPool({ size: 2, launch: async () => createFakeBrowser(launched) });
+	let running = 0;
+	let maxRunning = 0;
+
+	const render = () => pool.withPage(async () => {
+		running++;
+		maxRunning = Math.max(maxRunning, running);
+		await delay(20);
+		running--;
+		return 'png';
+	});
+
+	const results = await Promise.all([render(), render(), render(), render(), render()]);
+	assert.deepStrictEqual(results, ['png', 'png', 'png', 'png', 'png']);
+	assert.strictEqual(maxRunning, 2, 'Renders should run in parallel up to the pool size');
+	assert.strictEqual(launched.length, 1, 'All renders should share one browser');
+	assert.strictEqual(launched[0].pages.length, 2, 'Pages should be reused between renders');
+	assert.strictEqual(pool.getStats().renders, 5);
+
+	await pool.close();
+	assert(launched[0].closed, 'Closing the pool should close the browser');
+	await assert.rejects(pool.withPage(async () => 'png'), /closed/);
+}
+
+async function testRecycling() {
+	const launched = [];
+	const pool = new BrowserPool({ size: 2, maxRendersPerBrowser: 3, launch: async () => createFakeBrowser(launched) });
+
+	for (let i = 0; i < 4; i++) {
+		await pool.withPage(async () => 'png');
+	}
+	assert.strictEqual(launched.length, 2, 'The browser should be replaced after maxRendersPerBrowser renders');
+	assert(launched[0].closed);
+	assert.strictEqual(pool.getStats().recycles, 1);
+	await pool.close();
+
+	const heavy = [];
+	const heavyPool = new BrowserPool({ size: 1, maxPageHeapMB: 50, launch: async () => createFakeBrowser(heavy, 80) });
+	await heavyPool.withPage(async () => 'png');
+	await heavyPool.withPage(async () => 'png');
+	assert.strictEqual(heavy.length, 2, 'A page over the heap threshold should recycle the browser');
+	await heavyPool.close();
+}
+
+async function testHealthChecks() {
+	const launched = [];
+	const pool = new BrowserPool({ size: 1, launch: async () => createFakeBrowser(launched) });
+
+	await assert.rejects(pool.withPage(async () => { throw new Error('render failed'); }), /render failed/);
+	assert(launched[0].pages[0].isClosed(), 'Pages from failed renders should be discarded');
+	assert.strictEqual(pool.getStats().failedRenders, 1);
+
+	await pool.withPage(async () => 'png');
+	assert.strictEqual(launched[0].pages.length, 2);
+
+	// The browser dies while idle: the next render launches a new one
+	launched[0].connected = false;
+	launched[0].emit('disconnected');
+	assert.strictEqual(await pool.withPage(async page => page.browser() === launched[1]), true);
+	assert.strictEqual(pool.getStats().crashes, 1);
+
+	// A page that stops answering is replaced
+	const stalePage = launched[1].pages[0];
+	stalePage.evaluate = async () => { throw new Error('Target closed'); };
+	assert.strictEqual(await pool.withPage(async page => page !== stalePage), true);
+	assert(stalePage.isClosed());
+
+	await pool.close();
+}
+
+async function run() {
+	await testParallelRenders();
+	await testRecycling();
+	await testHealthChecks();
+
+	console.log('Browser pool test suite passed.');
+}
+
+run().catch(error => {
+	console.error(error);
+	process.exit(1);
+});
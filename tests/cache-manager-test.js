@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CacheManager = require('../src/cache-manager.js');
+const CacheWarmer = require('../src/cache-warmer.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createAnalysis(overrides = {}) {
+	return {
+		heroName: 'Arbiter Vildred',
+		fetchedAt: new Date().toISOString(),
+		totalBuilds: 1234,
+		topSets: [{ sets: { set_speed: 4, set_cri: 2 }, percentage: '41.2' }],
+		topArtifacts: [{ name: 'Alexa\'s Basket', percentage: '30.1', code: '' }],
+		avgStats: { atk: 3900, def: 1100, hp: 12000, spd: 250, chc: 100, chd: 280, eff: 0, efr: 40, gs: 290 },
+		...overrides
+	};
+}
+
+async function testStoredAnalysis() {
+	const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'briar-cache-'));
+	const image = Buffer.from('fake png');
+
+	try {
+		const cache = new CacheManager({ cacheDir, ttl: 30 * DAY_MS });
+		const fetchedAt = new Date(Date.now() - 2 * DAY_MS).toISOString();
+		const analysis = createAnalysis({ fetchedAt });
+
+		assert.strictEqual(await cache.cacheHeroImage('Arbiter Vildred', image, analysis), true);
+		assert(fs.existsSync(path.join(cacheDir, 'heroes', 'arbiter_vildred.json')), 'The analysis should be stored next to the image');
+
+		const stored = cache.getCachedAnalysis('Arbiter Vildred');
+		assert.deepStrictEqual(stored.analysis, analysis);
+		assert.strictEqual(stored.fetchedAt, fetchedAt);
+		assert.strictEqual(stored.isStale, false);
+		assert(stored.age >= 2 * DAY_MS);
+
+		// The entry ages from when the data was fetched, not when the card was rendered
+		const entry = cache.getMetadata().heroes['Arbiter Vildred'];
+		assert.strictEqual(entry.lastUpdated, fetchedAt);
+		assert.strictEqual(entry.hasAnalysis, true);
+		assert.deepStrictEqual(cache.listCachedAnalyses(), ['Arbiter Vildred']);
+
+		// Images cached without an analysis do not get one
+		await cache.cacheHeroImage('Ras', image);
+		assert.strictEqual(cache.getCachedAnalysis('Ras'), null);
+		assert.deepStrictEqual(cache.listCachedAnalyses(), ['Arbiter Vildred']);
+
+		const old = createAnalysis({ heroName: 'Ken', fetchedAt: new Date(Date.now() - 40 * DAY_MS).toISOString() });
+		await cache.cacheHeroImage('Ken', image, old);
+		assert.strictEqual(cache.getCachedAnalysis('Ken').isStale, true, 'Old analyses should be readable but stale');
+
+		// Metadata rebuilt from disk recovers the real hero name from the analysis
+		cache.rebuildMetadata();
+		const rebuilt = cache.getMetadata().heroes['Arbiter Vildred'];
+		assert(rebuilt, 'The stored analysis should name the hero');
+		assert.strictEqual(rebuilt.totalBuilds, 1234);
+		assert.strictEqual(rebuilt.lastUpdated, fetchedAt);
+
+		assert.strictEqual(cache.removeCachedHero('Arbiter Vildred'), true);
+		assert(!fs.existsSync(path.join(cacheDir, 'heroes', 'arbiter_vildred.json')), 'Removing a hero should remove its analysis');
+		assert.strictEqual(cache.getCachedAnalysis('Arbiter Vildred'), null);
+	} finally {
+		fs.rmSync(cacheDir, { recursive: true, force: true });
+	}
+}
+
+async function testStaleEntries() {
+	const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'briar-cache-stale-'));
+	const image = Buffer.from('fake png');
+
+	try {
+		const cache = new CacheManager({ cacheDir, ttl: 30 * DAY_MS, maxStaleAge: 90 * DAY_MS });
+		const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString();
+
+		await cache.cacheHeroImage('Fresh', image, createAnalysis({ heroName: 'Fresh', fetchedAt: daysAgo(1) }));
+		await cache.cacheHeroImage('Stale', image, createAnalysis({ heroName: 'Stale', fetchedAt: daysAgo(40) }));
+		await cache.cacheHeroImage('Ancient', image, createAnalysis({ heroName: 'Ancient', fetchedAt: daysAgo(120) }));
+
+		assert(cache.getCachedHeroImage('Fresh'), 'Fresh entries should be served');
+		assert.strictEqual(cache.getCachedHeroImage('Stale'), null, 'Expired entries are not fresh hits');
+
+		// Checking freshness must not delete the expired entry: it is still served stale
+		const stale = cache.getStaleCachedHeroImage('Stale');
+		assert(stale && stale.imageBuffer.equals(image), 'Expired entries should still be served stale');
+		assert.strictEqual(stale.isStale, true);
+		assert.strictEqual(cache.getStaleCachedHeroImage('Fresh').isStale, false);
+		assert.strictEqual(cache.getCacheStats().staleImages, 2);
+
+		// Only entries past maxStaleAge are cleaned up
+		assert.strictEqual(cache.cleanupExpiredEntries(), 1);
+		assert.deepStrictEqual(Object.keys(cache.getMetadata().heroes).sort(), ['Fresh', 'Stale']);
+
+		// A refresh replaces the stale entry with a fresh one
+		await cache.cacheHeroImage('Stale', image, createAnalysis({ heroName: 'Stale' }));
+		assert(cache.getCachedHeroImage('Stale'), 'A refreshed entry should be fresh again');
+	} finally {
+		fs.rmSync(cacheDir, { recursive: true, force: true });
+	}
+}
+
+async function testVersionedEntries() {
+	const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'briar-cache-versions-'));
+	const image = Buffer.from('fake png');
+
+	try {
+		// Entries cached before versions were recorded
+		const legacy = new CacheManager({ cacheDir });
+		await legacy.cacheHeroImage('Legacy', image, createAnalysis({ heroName: 'Legacy' }));
+		assert(legacy.getCachedHeroImage('Legacy'), 'Without versions set nothing is outdated');
+
+		// Per-hero game data, hashed the way the bot does it: the hero's entry plus its card's artifacts
+		const gameData = {
+			heroes: { Current: { icon: 'a' }, Other: { icon: 'b' } },
+			artifacts: { 'Alexa\'s Basket': { icon: 'x' }, 'Elbris Ritual Sword': { icon: 'y' } }
+		};
+		const getDataVersion = (heroName, artifactNames) => gameData.heroes[heroName]
+			? JSON.stringify([gameData.heroes[heroName], artifactNames.map(name => gameData.artifacts[name])])
+			: null;
+
+		const cache = new CacheManager({ cacheDir, templateVersion: 'html-1', getDataVersion });
+		assert.strictEqual(cache.getCachedHeroImage('Legacy'), null, 'Entries without a recorded template are outdated');
+
+		await cache.cacheHeroImage('Current', image, createAnalysis({ heroName: 'Current' }));
+		await cache.cacheHeroImage('Other', image, createAnalysis({ heroName: 'Other', topArtifacts: [] }));
+		const entry = cache.getMetadata().heroes['Current'];
+		assert.strictEqual(entry.templateVersion, 'html-1');
+		assert.deepStrictEqual(entry.artifacts, ['Alexa\'s Basket']);
+		assert.strictEqual(entry.gameDataVersion, getDataVersion('Current', ['Alexa\'s Basket']));
+		assert(cache.getCachedHeroImage('Current'));
+
+		// Data the card doesn't use can change without outdating it
+		gameData.artifacts['Elbris Ritual Sword'].icon = 'z';
+		gameData.heroes.Other.icon = 'c';
+		assert(cache.getCachedHeroImage('Current'), 'Unrelated game data changes keep the card current');
+		assert.strictEqual(cache.getCachedHeroImage('Other'), null, 'The changed hero\'s own card is outdated');
+
+		// A change to one of its artifacts leaves the card servable, but stale
+		gameData.artifacts['Alexa\'s Basket'].icon = 'w';
+		assert.strictEqual(cache.getCachedHeroImage('Current'), null);
+		const stale = cache.getStaleCachedHeroImage('Current');
+		assert.strictEqual(stale.isStale, true);
+		assert.strictEqual(stale.isOutdated, true);
+		assert.strictEqual(stale.isExpired, false, 'Outdated entries are not expired');
+		assert.strictEqual(cache.getCachedAnalysis('Current').isStale, false, 'The stored analysis stays usable for a re-render');
+		await cache.cacheHeroImage('Current', image, cache.getCachedAnalysis('Current').analysis);
+		assert(cache.getCachedHeroImage('Current'), 'Re-rendering records the new data version');
+
+		// A new template does the same; re-rendering brings the entry up to date
+		cache.setTemplateVersion('html-2');
+		assert.strictEqual(cache.getCachedHeroImage('Current'), null);
+		await cache.cacheHeroImage('Current', image, cache.getCachedAnalysis('Current').analysis);
+		assert(cache.getCachedHeroImage('Current'));
+		assert.strictEqual(cache.getCacheStats().staleImages, 2, 'Legacy and Other are still stale');
+	} finally {
+		fs.rmSync(cacheDir, { recursive: true, force: true });
+	}
+}
+
+async function testMetadataPersistence() {
+	const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'briar-cache-metadata-'));
+	const metadataFile = path.join(cacheDir, 'metadata.json');
+	const image = Buffer.from('fake png');
+	const readAccessCount = heroName => JSON.parse(fs.readFileSync(metadataFile, 'utf8')).heroes[heroName].accessCount;
+
+	try {
+		const cache = new CacheManager({ cacheDir, metadataSaveDelay: 60000 });
+		await cache.cacheHeroImage('Arbiter Vildred', image, createAnalysis());
+		assert.strictEqual(readAccessCount('Arbiter Vildred'), 0);
+		assert(!fs.readdirSync(cacheDir).some(file => file.endsWith('.tmp')), 'Temp files should be renamed into place');
+
+		// Cache hits are batched instead of rewriting the metadata each time
+		cache.getCachedHeroImage('Arbiter Vildred');
+		cache.getCachedHeroImage('Arbiter Vildred');
+		assert.strictEqual(readAccessCount('Arbiter Vildred'), 0, 'Access counts should not be written on every hit');
+		cache.flushMetadata();
+		assert.strictEqual(readAccessCount('Arbiter Vildred'), 2);
+		assert.strictEqual(cache.metadataSaveTimer, null);
+
+		// An unreadable index is set aside and rebuilt from the cached files
+		fs.writeFileSync(metadataFile, '{"heroes": {"Arbiter Vild');
+		const recovered = new CacheManager({ cacheDir });
+		assert(fs.existsSync(`${metadataFile}.corrupt`), 'The corrupt metadata should be kept for inspection');
+		const entry = recovered.getMetadata().heroes['Arbiter Vildred'];
+		assert(entry, 'The hero should be recovered from its files');
+		assert.strictEqual(entry.totalBuilds, 1234);
+		assert(recovered.getCachedHeroImage('Arbiter Vildred'), 'Recovered entries should be served');
+		assert.doesNotThrow(() => JSON.parse(fs.readFileSync(metadataFile, 'utf8')), 'The rebuilt metadata should be saved');
+		recovered.flushMetadata();
+
+		// Recovery still rebuilds when the corrupt file cannot be moved aside
+		fs.rmSync(`${metadataFile}.corrupt`);
+		fs.mkdirSync(path.join(`${metadataFile}.corrupt`, 'blocked'), { recursive: true });
+		fs.writeFileSync(metadataFile, 'not json');
+		const rebuilt = new CacheManager({ cacheDir });
+		assert(rebuilt.getMetadata().heroes['Arbiter Vildred'], 'A failed move should not stop the rebuild');
+		assert(!fs.readdirSync(path.join(cacheDir, 'heroes')).some(file => file.endsWith('.tmp')));
+	} finally {
+		fs.rmSync(cacheDir, { recursive: true, force: true });
+	}
+}
+
+async function testCacheWarmer() {
+	const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'briar-cache-warm-'));
+	const image = Buffer.from('fake png');
+
+	try {
+		const cache = new CacheManager({ cacheDir });
+		const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString();
+		const cacheHero = async (heroName, fetchedDaysAgo, accessCount, accessedDaysAgo) => {
+			await cache.cacheHeroImage(heroName, image, createAnalysis({ heroName, fetchedAt: daysAgo(fetchedDaysAgo) }));
+			Object.assign(cache.metadata.heroes[heroName], { accessCount, lastAccessed: daysAgo(accessedDaysAgo) });
+		};
+
+		await cacheHero('Popular', 5, 50, 0);
+		await cacheHero('Liked', 5, 10, 1);
+		await cacheHero('Forgotten', 5, 90, 60); // Popular once, not requested lately
+		await cacheHero('Just Fetched', 0, 80, 0); // Refreshed within minRefreshAge
+		await cacheHero('Never Asked', 5, 0, 0);
+
+		const health = { open: false, strategyDelay: 7 };
+		const rateLimiter = {
+			allowsBackgroundRequests: () => !health.open,
+			getBackgroundDelay: () => health.strategyDelay
+		};
+		const refreshed = [];
+		const pauses = [];
+		const warmer = new CacheWarmer({
+			cacheManager: cache,
+			rateLimiter,
+			topN: 3,
+			sleep: async ms => { pauses.push(ms); },
+			refreshHero: async heroName => {
+				refreshed.push(heroName);
+				return heroName !== 'Brand New Hero';
+			}
+		});
+
+		warmer.addNewHeroes(['Brand New Hero']);
+		assert.deepStrictEqual(warmer.selectHeroes(), ['Brand New Hero', 'Popular', 'Liked'],
+			'New heroes come first, then the top heroes by recent requests that are due a refresh');
+
+		const run = await warmer.run();
+		assert.deepStrictEqual(refreshed, ['Brand New Hero', 'Popular', 'Liked']);
+		assert.deepStrictEqual(run.refreshed, ['Popular', 'Liked']);
+		assert.deepStrictEqual(run.failed, ['Brand New Hero']);
+		assert.deepStrictEqual(pauses, [7, 7], 'Heroes should be paced by the rate limiter');
+		assert.strictEqual(warmer.getStatus().lastRun, run);
+		assert.deepStrictEqual(warmer.getStatus().pendingNewHeroes, ['Brand New Hero'], 'New heroes without data are retried');
+
+		// An open circuit breaker stops the run
+		health.open = true;
+		refreshed.length = 0;
+		const stopped = await warmer.run();
+		assert.deepStrictEqual(refreshed, []);
+		assert(stopped.stoppedReason);
+
+		// New heroes are given up on after a few runs
+		health.open = false;
+		await warmer.run();
+		await warmer.run();
+		assert.deepStrictEqual(warmer.getStatus().pendingNewHeroes, []);
+	} finally {
+		fs.rmSync(cacheDir, { recursive: true, force: true });
+	}
+}
+
+async function run() {
+	await testStoredAnalysis();
+	await testStaleEntries();
+	await testVersionedEntries();
+	await testMetadataPersistence();
+	await testCacheWarmer();
+
+	console.log('Cache manager test suite passed.');
+}
+
+run().catch(error => {
+	console.error(error);
+	process.exit(1);
+});
@@ -1,12 +1,26 @@
 #!/usr/bin/env node
 
 const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 const {
 	findBestCharacterMatch,
+	getAutocompleteSuggestions,
+	findCharacterCandidates,
+	isAmbiguousMatch,
 	characterNames,
 	communityAbbreviations
 } = require('../src/character-search.js');
+const { analyzeAliases } = require('../src/alias-analyzer.js');
+const GuildSettingsStore = require('../src/guild-settings-store.js');
+const {
+	parseArgs,
+	splitAliases,
+	generateAliasProposals,
+	syncFromHeroData
+} = require('../scripts/upsert-character-data.js');
 
 function expectExactMatch(input, expectedCharacter) {
 	const result = findBestCharacterMatch(input);
@@ -14,6 +28,90 @@ function expectExactMatch(input, expectedCharacter) {
 	assert.strictEqual(result.character, expectedCharacter, `Expected "${input}" to resolve to "${expectedCharacter}"`);
 }
 
+function testGuildAliases() {
+	const settingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'briar-guild-settings-'));
+	const settingsFile = path.join(settingsDir, 'guild-settings.json');
+
+	try {
+		const store = new GuildSettingsStore({ settingsFile });
+		store.setAlias('guild-a', 'bestgirl', 'Seaside Bellona');
+		assert.deepStrictEqual(new GuildSettingsStore({ settingsFile }).getAliases('guild-a'), { bestgirl: 'Seaside Bellona' }, 'Guild aliases should persist');
+		assert.deepStrictEqual(store.getAliases('guild-b'), {}, 'Guild aliases should not leak between guilds');
+		assert.deepStrictEqual(store.getAliases(null), {}, 'Direct messages have no guild aliases');
+
+		const guildAliases = store.getAliases('guild-a');
+		const guildMatch = findBestCharacterMatch('bestgirl', { guildAliases });
+		assert.strictEqual(guildMatch.character, 'Seaside Bellona', 'Guild aliases should resolve');
+		assert.strictEqual(guildMatch.matchType, 'guild-alias');
+		assert.strictEqual(findBestCharacterMatch('bestgirl'), null, 'Guild aliases should not apply without the guild');
+
+		store.setAlias('guild-a', 'arby', 'Seaside Bellona');
+		assert.strictEqual(
+			findBestCharacterMatch('arby', { guildAliases: store.getAliases('guild-a') }).character,
+			'Seaside Bellona',
+			'Guild aliases should be consulted before the global table'
+		);
+		assert(getAutocompleteSuggestions('bestg', 25, { guildAliases }).includes('Seaside Bellona'), 'Autocomplete should include guild aliases');
+
+		assert.strictEqual(store.removeAlias('guild-a', 'bestgirl'), true);
+		assert.strictEqual(store.removeAlias('guild-a', 'bestgirl'), false, 'Removing a missing alias should report false');
+
+		// A corrupt settings file is moved aside, not overwritten by the next save
+		fs.writeFileSync(settingsFile, '{"guilds": {"guild-a"');
+		const recovered = new GuildSettingsStore({ settingsFile });
+		recovered.setAlias('guild-b', 'ml', 'Seaside Bellona');
+		assert.strictEqual(fs.readFileSync(`${settingsFile}.corrupt`, 'utf8'), '{"guilds": {"guild-a"', 'The unreadable file should be kept');
+		assert.deepStrictEqual(new GuildSettingsStore({ settingsFile }).getAliases('guild-b'), { ml: 'Seaside Bellona' });
+		assert(!fs.readdirSync(settingsDir).some(file => file.endsWith('.tmp')), 'Saves should leave no temp files');
+	} finally {
+		fs.rmSync(settingsDir, { recursive: true, force: true });
+	}
+}
+
+function testHeroDataSync() {
+	const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'briar-character-sync-'));
+	const files = {
+		characterDataPath: path.join(dataDir, 'character-names.json'),
+		characterAliasDataPath: path.join(dataDir, 'character-aliases.json')
+	};
+	const heroDataPath = path.join(dataDir, 'herodata.json');
+	const heroData = {
+		Vildred: { name: 'Vildred', code: 'c1007' },
+		'Arbiter Vildred': { name: 'Arbiter Vildred', code: 'c2007' },
+		'Seaside Bellona': { name: 'Seaside Bellona', code: 'c5071' }
+	};
+
+	assert.deepStrictEqual(parseArgs(['--sync-herodata', 'latest', '--dry-run']), { 'sync-herodata': 'latest', 'dry-run': true });
+	assert.deepStrictEqual(splitAliases('SSB, Sea-Bell\nbeach'), ['ssb', 'seabell', 'beach']);
+
+	assert.deepStrictEqual(generateAliasProposals('Seaside Bellona'), ['sb', 'sbellona', 'sea bellona']);
+	assert.deepStrictEqual(generateAliasProposals('Vildred', heroData), [], 'Single names have nothing to abbreviate');
+	assert(generateAliasProposals('Arbiter Vildred', heroData).includes('mlvildred'), 'Moonlight heroes should get an "ml" alias');
+	assert(!generateAliasProposals('Seaside Bellona', heroData).some(alias => alias.startsWith('ml')), 'Only c2xxx heroes are Moonlight');
+
+	try {
+		fs.writeFileSync(files.characterDataPath, JSON.stringify({ characters: ['Vildred', 'Retired Hero'] }));
+		fs.writeFileSync(files.characterAliasDataPath, JSON.stringify({ aliases: { sb: 'Someone Else' } }));
+		fs.writeFileSync(heroDataPath, JSON.stringify(heroData));
+
+		const dryRun = syncFromHeroData({ 'sync-herodata': heroDataPath, 'dry-run': true }, files);
+		assert.deepStrictEqual(dryRun.missingHeroes, ['Arbiter Vildred', 'Seaside Bellona']);
+		assert.deepStrictEqual(dryRun.staleNames, ['Retired Hero'], 'Names gone upstream should be reported');
+		assert(!dryRun.proposals.find(proposal => proposal.character === 'Seaside Bellona').aliases.includes('sb'), 'Taken aliases should not be proposed');
+		assert.deepStrictEqual(JSON.parse(fs.readFileSync(files.characterDataPath, 'utf8')).characters, ['Vildred', 'Retired Hero'], 'A dry run should not write');
+
+		syncFromHeroData({ 'sync-herodata': heroDataPath }, files);
+		assert.deepStrictEqual(
+			JSON.parse(fs.readFileSync(files.characterDataPath, 'utf8')).characters,
+			['Arbiter Vildred', 'Retired Hero', 'Seaside Bellona', 'Vildred'],
+			'Missing heroes should be added and stale names kept'
+		);
+		assert.deepStrictEqual(JSON.parse(fs.readFileSync(files.characterAliasDataPath, 'utf8')).aliases, { sb: 'Someone Else' }, 'Aliases are never written by a sync');
+	} finally {
+		fs.rmSync(dataDir, { recursive: true, force: true });
+	}
+}
+
 function run() {
 	assert(Array.isArray(characterNames), 'characterNames should load as an array');
 	assert(characterNames.length > 0, 'characterNames should not be empty');
@@ -24,15 +122,49 @@ function run() {
 	expectExactMatch('ssb', 'Seaside Bellona');
 	expectExactMatch('summer charlotte', 'Summer Break Charlotte');
 
-	const ambiguousMlTenebria = new Set();
-	for (let index = 0; index < 25; index += 1) {
-		const result = findBestCharacterMatch('mltenebria');
-		assert(result, 'Expected mltenebria to resolve to a character');
-		ambiguousMlTenebria.add(result.character);
+	const autocomplete = getAutocompleteSuggestions('ssb');
+	assert.strictEqual(autocomplete[0], 'Seaside Bellona', 'Autocomplete should resolve aliases to canonical names');
+	assert(getAutocompleteSuggestions('seasid bel').includes('Seaside Bellona'), 'Autocomplete should tolerate partial input');
+	assert(getAutocompleteSuggestions('').length <= 25, 'Autocomplete should respect the Discord choice limit');
+	for (const suggestion of getAutocompleteSuggestions('a')) {
+		assert(characterNames.includes(suggestion), `Autocomplete suggestion "${suggestion}" should be a canonical name`);
 	}
 
-	assert(ambiguousMlTenebria.has('Specter Tenebria'), 'mltenebria should still be able to resolve to Specter Tenebria');
-	assert(ambiguousMlTenebria.has('Witch of the Mere Tenebria'), 'mltenebria should still be able to resolve to Witch of the Mere Tenebria');
+	const tenebriaCandidates = findCharacterCandidates('ml tenebria');
+	assert(tenebriaCandidates.length > 1, 'ml tenebria should produce several candidates');
+	assert(isAmbiguousMatch(tenebriaCandidates), 'ml tenebria should be treated as ambiguous');
+	assert(!isAmbiguousMatch(findCharacterCandidates('ken')), 'Exact matches should never be ambiguous');
+	assert.strictEqual(findCharacterCandidates('tene')[0].character, 'Tenebria', 'Substring candidates should favor the closest name');
+
+	const mlTenebria = findBestCharacterMatch('mltenebria');
+	assert(mlTenebria, 'Expected mltenebria to resolve to a character');
+	for (let index = 0; index < 10; index += 1) {
+		assert.deepStrictEqual(findBestCharacterMatch('mltenebria'), mlTenebria, 'Search results should be deterministic');
+	}
+	assert.deepStrictEqual(
+		[mlTenebria.character, ...mlTenebria.alternatives].sort(),
+		['Specter Tenebria', 'Witch of the Mere Tenebria'],
+		'mltenebria should surface both heroes it aliases'
+	);
+	assert(isAmbiguousMatch(findCharacterCandidates('mltenebria')), 'Array aliases should be offered as an explicit choice');
+	assert(findBestCharacterMatch('arbter vildred').explanation, 'Matches should explain their score');
+
+	const aliasReport = analyzeAliases();
+	assert.deepStrictEqual(aliasReport.misroutedAliases, [], 'Every alias should resolve to the heroes it declares');
+	assert.deepStrictEqual(aliasReport.unreachableNames, [], 'Every canonical name should resolve to itself');
+
+	const conflictReport = analyzeAliases({
+		aliases: { ...communityAbbreviations, violet: 'Arbiter Vildred', zzz: 'Not A Hero' }
+	});
+	assert(conflictReport.misroutedAliases.some(entry => entry.alias === 'violet'), 'Aliases spelled like a canonical name should be reported');
+	assert(conflictReport.misroutedAliases.some(entry => entry.alias === 'zzz'), 'Aliases for unknown heroes should be reported');
+	assert(
+		conflictReport.shadowingAliases.some(entry => entry.alias === 'violet' && entry.shadowedCharacter === 'Violet'),
+		'Aliases that capture another hero\'s common input should be reported'
+	);
+
+	testGuildAliases();
+	testHeroDataSync();
 
 	console.log('Character data test suite passed.');
 }
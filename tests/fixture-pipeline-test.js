@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+
+// Serve game data and builds from tests/fixtures/game-data instead of the network
+process.env.DATA_PROVIDER = 'fixture';
+
+const {
+	loadGameData,
+	analyzeHeroData,
+	generateHTML,
+	generateReportImage,
+	buildReportCard,
+	renderPool,
+	heroData,
+	artifactData
+} = require('../src/briar-bot.js');
+const { buildReportCardSvg, renderReportCardPng } = require('../src/report-card-svg.js');
+
+async function run() {
+	await loadGameData();
+	assert(Object.keys(heroData).length > 0, 'Fixture hero data should load');
+	assert(Object.keys(artifactData).length > 0, 'Fixture artifact data should load');
+
+	const analysis = await analyzeHeroData('Arbiter Vildred');
+	assert(analysis, 'Arbiter Vildred should be analyzed from fixtures');
+	assert.strictEqual(analysis.heroName, 'Arbiter Vildred');
+	assert.strictEqual(analysis.totalBuilds, 40);
+	assert(analysis.topSets.length > 0, 'Analysis should include popular sets');
+	assert(analysis.topArtifacts.length > 0, 'Analysis should include popular artifacts');
+	assert(analysis.topArtifacts.every(artifact => artifact.name !== 'Unknown'), 'Artifact codes should map through fixture artifact data');
+	assert(analysis.avgStats.spd > 0, 'Analysis should include average stats');
+
+	const html = await generateHTML(analysis);
+	assert(html.includes('Arbiter Vildred'), 'Report HTML should name the hero');
+	assert(!/https?:\/\//.test(html), 'Fixture report HTML should not reference remote images');
+
+	// The browser-free renderer draws the same card from an inlined card model
+	const card = await buildReportCard(analysis);
+	assert.strictEqual(card.sets.length, analysis.topSets.length);
+	assert(card.heroIcon && card.heroIcon.startsWith('data:image/png'), 'Fixture hero icon should be a local placeholder');
+	assert(card.sets.every(set => set.icons.every(icon => icon === null || icon.startsWith('data:image/png'))), 'Set icons should be inlined');
+	assert(card.stats.flat().every(stat => stat.icon && stat.icon.startsWith('data:image/png')), 'Stat icons should be inlined');
+
+	const svg = buildReportCardSvg({ ...card, heroName: 'Arbiter <Vildred> & co' });
+	assert(svg.includes('Arbiter &lt;Vildred&gt; &amp; co'), 'Card text should be escaped');
+	assert(svg.includes(card.sets[0].name) && svg.includes(`${card.artifacts[0].percentage}%`));
+
+	const svgImage = renderReportCardPng(card);
+	assert.strictEqual(svgImage.toString('ascii', 1, 4), 'PNG');
+	assert.deepStrictEqual([svgImage.readUInt32BE(16), svgImage.readUInt32BE(20)], [900, 1463], 'SVG cards should match the Puppeteer card size');
+
+	try {
+		const image = await generateReportImage(analysis);
+		assert(image && image.length > 0, 'Report image should render');
+
+		// A second render reuses the pooled browser instead of launching another
+		const again = await generateReportImage(analysis);
+		assert(again && again.length > 0, 'Report image should render again');
+		assert.strictEqual(renderPool.getStats().launches, 1, 'Renders should share one browser');
+	} catch (error) {
+		if (!/Could not find (Chrome|Chromium|browser)/i.test(error.message)) {
+			throw error;
+		}
+		console.warn(`Skipping image render, no browser available: ${error.message.split('\n')[0]}`);
+	} finally {
+		await renderPool.close();
+	}
+
+	console.log('Fixture pipeline test suite passed.');
+}
+
+run().catch(error => {
+	console.error(error);
+	process.exit(1);
+});
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const GameDataSnapshotStore = require('../src/game-data-snapshots.js');
+const {
+	diffGameData,
+	findHeroesMissingFromNames,
+	takeUnreportedMissingHeroes,
+	reportMissingHeroes,
+	refreshGameData,
+	buildRefreshReport
+} = require('../src/game-data-refresh.js');
+
+function testSnapshots() {
+	const snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'briar-snapshots-'));
+	const store = new GameDataSnapshotStore({ snapshotDir, maxSnapshots: 2 });
+
+	try {
+		assert.strictEqual(store.loadLatestSnapshot(), null, 'An empty store should have no snapshot');
+
+		const heroData = { Violet: { name: 'Violet', code: 'c1074' } };
+		const artifactData = { 'Sigurd Scythe': { code: 'efw08' } };
+		const first = store.saveSnapshot(heroData, artifactData, 'http');
+		assert(first && first.version, 'Saving should return snapshot info');
+		assert.strictEqual(first.heroCount, 1);
+
+		const duplicate = store.saveSnapshot(heroData, artifactData, 'http');
+		assert.strictEqual(duplicate.file, first.file, 'Unchanged data should not create a new snapshot');
+
+		const updatedHeroData = { ...heroData, Ken: { name: 'Ken', code: 'c1072' } };
+		const second = store.saveSnapshot(updatedHeroData, artifactData, 'http');
+		assert.notStrictEqual(second.version, first.version, 'Changed data should get a new version');
+
+		const latest = store.loadLatestSnapshot();
+		assert.strictEqual(latest.version, second.version, 'The newest snapshot should be loaded');
+		assert.deepStrictEqual(latest.heroData, updatedHeroData);
+		assert(!fs.readdirSync(snapshotDir).some(file => file.endsWith('.tmp')), 'Saves should leave no temp files');
+
+		// A write interrupted by a crash leaves only a temp file, never a truncated snapshot
+		fs.writeFileSync(path.join(snapshotDir, 'snapshot-9999-interrupted.json.123.1.tmp'), '{"version": "tru');
+		assert.strictEqual(store.loadLatestSnapshot().version, second.version, 'Temp files should not be loaded as snapshots');
+
+		// A corrupt newest file falls back to the previous snapshot
+		fs.writeFileSync(path.join(snapshotDir, 'snapshot-9999-corrupt.json'), '{ not json');
+		assert.strictEqual(store.loadLatestSnapshot().version, second.version, 'Corrupt snapshots should be skipped');
+
+		store.saveSnapshot({ Ras: { name: 'Ras' } }, artifactData, 'http');
+		assert(store.listSnapshotFiles().length <= 2, 'Old snapshots should be pruned');
+	} finally {
+		fs.rmSync(snapshotDir, { recursive: true, force: true });
+	}
+}
+
+function testRefreshDiff() {
+	const previous = {
+		heroData: { Violet: { name: 'Violet' }, Ken: { name: 'Ken' } },
+		artifactData: { 'Sigurd Scythe': { code: 'efw08' } }
+	};
+	const next = {
+		heroData: { Violet: { name: 'Violet' }, 'Brand New Hero': { name: 'Brand New Hero' } },
+		artifactData: { 'Sigurd Scythe': { code: 'efw08' }, 'Shiny Relic': { code: 'efa99' } }
+	};
+
+	const diff = diffGameData(previous, next);
+	assert.deepStrictEqual(diff.addedHeroes, ['Brand New Hero']);
+	assert.deepStrictEqual(diff.removedHeroes, ['Ken']);
+	assert.deepStrictEqual(diff.addedArtifacts, ['Shiny Relic']);
+	assert.deepStrictEqual(diff.removedArtifacts, []);
+
+	const missing = findHeroesMissingFromNames(next.heroData, ['Violet']);
+	assert.deepStrictEqual(missing, ['Brand New Hero'], 'Heroes absent from character names should be flagged');
+
+	const report = buildRefreshReport(diff, missing);
+	assert(report.includes('Brand New Hero') && report.includes('Shiny Relic'), 'Report should list new heroes and artifacts');
+
+	const noChanges = diffGameData(previous, previous);
+	assert.strictEqual(buildRefreshReport(noChanges, []), null, 'Nothing new should produce no report');
+}
+
+async function testMissingHeroReports() {
+	const reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'briar-missing-heroes-'));
+	const reportedMissingFile = path.join(reportDir, 'gamedata', 'reported-missing-heroes.json');
+	const heroData = { Violet: { name: 'Violet' }, 'Brand New Hero': { name: 'Brand New Hero' } };
+	const client = { channels: { fetch: async () => null } };
+
+	try {
+		// Reported at startup, and remembered on disk for the next process
+		assert.deepStrictEqual(await reportMissingHeroes(client, { heroData, reportedMissingFile }), ['Brand New Hero']);
+		assert.deepStrictEqual(JSON.parse(fs.readFileSync(reportedMissingFile, 'utf8')), ['Brand New Hero']);
+		assert.deepStrictEqual(takeUnreportedMissingHeroes(heroData, reportedMissingFile), [], 'A restart should not report it again');
+
+		// The first scheduled refresh doesn't repeat it either
+		const result = await refreshGameData(client, {
+			loadGameData: async () => true,
+			heroData,
+			artifactData: {},
+			reportedMissingFile
+		});
+		assert.deepStrictEqual(result.missingHeroes, []);
+
+		// Once added to character names it is forgotten, so going missing again is reported again
+		assert.deepStrictEqual(takeUnreportedMissingHeroes({ Violet: { name: 'Violet' } }, reportedMissingFile), []);
+		assert.deepStrictEqual(JSON.parse(fs.readFileSync(reportedMissingFile, 'utf8')), []);
+		assert.deepStrictEqual(takeUnreportedMissingHeroes(heroData, reportedMissingFile), ['Brand New Hero']);
+
+		// An unreadable file only means reporting again
+		fs.writeFileSync(reportedMissingFile, '{ not json');
+		assert.deepStrictEqual(takeUnreportedMissingHeroes(heroData, reportedMissingFile), ['Brand New Hero']);
+	} finally {
+		fs.rmSync(reportDir, { recursive: true, force: true });
+	}
+}
+
+async function run() {
+	testSnapshots();
+	testRefreshDiff();
+	await testMissingHeroReports();
+
+	console.log('Game data test suite passed.');
+}
+
+run().catch(error => {
+	console.error(error);
+	process.exit(1);
+});
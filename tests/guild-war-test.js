@@ -0,0 +1,527 @@
+#!/usr/bin/env node
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const GuildSettingsStore = require('../src/guild-settings-store.js');
+const AttendanceStore = require('../src/attendance-store.js');
+const { buildGuildWarCalendar, listWars, getCalendarToken, isValidCalendarToken } = require('../src/guild-war-calendar.js');
+const { IntentsBitField, GatewayIntentBits } = require('discord.js');
+const {
+	getGuildRoster,
+	buildAttendanceReport,
+	formatAttendanceReport,
+	attendanceReportToCsv
+} = require('../src/guild-war-attendance.js');
+const {
+	initializeGuildWarScheduler,
+	rescheduleGuild,
+	stopGuildWarScheduler,
+	resolveSchedule,
+	runSchedulerTick,
+	testAnnouncements,
+	getPingTarget,
+	formatAnnouncement,
+	DEFAULT_SCHEDULE
+} = require('../src/guild-war-scheduler.js');
+const {
+	listPhaseTimes,
+	listWarEvents,
+	formatTimeLeft,
+	parseOffsets,
+	parseShift,
+	parseDate,
+	pruneOverrides
+} = require('../src/guild-war-phases.js');
+const {
+	parseWeekdays,
+	formatWeekdays,
+	formatPingTarget,
+	formatUpcoming,
+	formatAnnouncementPreview,
+	isValidTimezone,
+	handleGuildWarCommand
+} = require('../src/guild-war-commands.js');
+const {
+	BUILT_IN_PACK,
+	validateAnnouncement,
+	validateMessagePack,
+	getMessagePool,
+	getRandomAnnouncement
+} = require('../src/guild-war-messages.js');
+
+const fakeClient = { channels: { fetch: async () => null } };
+
+function testConfigParsing() {
+	assert.deepStrictEqual(parseWeekdays('mon,wed,fri'), [1, 3, 5]);
+	assert.deepStrictEqual(parseWeekdays('Saturday tues thu'), [2, 4, 6], 'Weekdays should accept full names in any order');
+	assert.deepStrictEqual(parseWeekdays('1,3,5'), [1, 3, 5], 'Weekdays should accept cron numbers');
+	assert.strictEqual(parseWeekdays('funday'), null);
+	assert.strictEqual(parseWeekdays('7'), null);
+	assert.strictEqual(formatWeekdays([2, 4, 6]), 'tue, thu, sat');
+
+	assert(isValidTimezone('America/Denver'));
+	assert(!isValidTimezone('Mars/Olympus_Mons'));
+}
+
+function testPingTargets() {
+	const template = '⚔️ {role} **Guild war ends in 3 hours.** The battlefield grows quiet. 🌑';
+
+	const rolePing = formatAnnouncement(template, 'role:123');
+	assert.strictEqual(rolePing.content, '⚔️ <@&123> **Guild war ends in 3 hours.** The battlefield grows quiet. 🌑');
+	assert.deepStrictEqual(rolePing.allowedMentions, { parse: [], roles: ['123'] }, 'Role pings should only allow that role');
+
+	const noPing = formatAnnouncement(template, 'none');
+	assert.strictEqual(noPing.content, '⚔️ **Guild war ends in 3 hours.** The battlefield grows quiet. 🌑');
+	assert.deepStrictEqual(noPing.allowedMentions, { parse: [] }, 'No ping should allow no mentions');
+
+	assert.strictEqual(formatAnnouncement(template, 'here').content.includes('@here'), true);
+	assert.deepStrictEqual(formatAnnouncement('@everyone {role} hi', 'role:1').allowedMentions.parse, [], 'Stray @everyone text should stay inert');
+
+	const schedule = { ...DEFAULT_SCHEDULE, ping: 'here', channelPings: { 222: 'role:9' } };
+	assert.strictEqual(getPingTarget(schedule, '111'), 'here', 'Channels should fall back to the schedule ping');
+	assert.strictEqual(getPingTarget(schedule, '222'), 'role:9', 'Channel overrides should win');
+	assert.strictEqual(formatPingTarget('role:9'), '<@&9>');
+	assert.strictEqual(formatPingTarget('none'), 'no ping');
+}
+
+function testMessagePacks() {
+	assert.strictEqual(validateAnnouncement('attack', '{role} War ends in {timeLeft}, {phase} now!'), null);
+	assert.strictEqual(validateAnnouncement('started', '{role} The {phase} has begun.'), null);
+	assert(validateAnnouncement('attack', '{role} Attack soon!').includes('{timeLeft}'), 'Countdown lines need {timeLeft}');
+	assert(validateAnnouncement('started', 'Begun, {timeLeft} left').includes('{timeLeft}'), 'Started lines have no countdown');
+	assert(validateAnnouncement('defense', 'In {timeleft} {user}').includes('{timeleft}, {user}'), 'Unknown placeholders should be named');
+	assert(validateAnnouncement('defense', '   '));
+	assert(validateAnnouncement('defense', `{timeLeft} ${'x'.repeat(300)}`));
+	assert(validateAnnouncement('victory', '{timeLeft}'));
+
+	const uploaded = validateMessagePack({ attack: [' Ends in {timeLeft} '], started: ['Go!'] });
+	assert.deepStrictEqual(uploaded, { pack: { attack: ['Ends in {timeLeft}'], started: ['Go!'] }, errors: [] });
+	const rejected = validateMessagePack({ attack: ['Ends soon', 'Ends in {timeLeft}'], defense: 'nope' });
+	assert.strictEqual(rejected.pack, null);
+	assert.strictEqual(rejected.errors.length, 2);
+	assert(rejected.errors[0].startsWith('attack #1'));
+	assert.strictEqual(validateMessagePack([]).pack, null);
+
+	const schedule = { messagePack: 'custom', customMessages: { attack: ['Mine in {timeLeft}'], defense: [] } };
+	assert.deepStrictEqual(getMessagePool(schedule, 'attack'), ['Mine in {timeLeft}']);
+	assert.strictEqual(getMessagePool(schedule, 'defense'), BUILT_IN_PACK.defense, 'Empty custom types fall back to the built-in lines');
+	assert.strictEqual(getMessagePool({ ...schedule, messagePack: 'builtin' }, 'attack'), BUILT_IN_PACK.attack);
+
+	const pool = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
+	const picked = Array.from({ length: 60 }, () => getRandomAnnouncement(pool, 'channel-1:attack'));
+	for (let i = 1; i < picked.length; i++) {
+		const window = picked.slice(Math.max(0, i - 5), i);
+		assert(!window.includes(picked[i]), 'A channel should not hear any of its last five lines again');
+	}
+	assert.strictEqual(getRandomAnnouncement(['only'], 'channel-1:started'), 'only');
+	assert.strictEqual(getRandomAnnouncement(['only'], 'channel-1:started'), 'only', 'A single-line pool can repeat');
+
+	assert.strictEqual(
+		formatAnnouncement('{role} The {phase} ends in {timeLeft}.', 'here', { timeLeft: '1 hour', phase: 'attack' }).content,
+		'@here The attack ends in 1 hour.'
+	);
+}
+
+function testWarPhases() {
+	// The default schedule reproduces the original midnight UTC announcements
+	const defaults = listWarEvents(DEFAULT_SCHEDULE, new Date('2026-10-19T00:00:00Z'), new Date('2026-10-26T00:00:00Z'));
+	assert.deepStrictEqual(
+		defaults.map(event => `${event.type} ${event.fireAt.toISOString()}`),
+		[
+			'defense 2026-10-19T00:00:00.000Z',
+			'attack 2026-10-20T00:00:00.000Z',
+			'defense 2026-10-21T00:00:00.000Z',
+			'attack 2026-10-22T00:00:00.000Z',
+			'defense 2026-10-23T00:00:00.000Z',
+			'attack 2026-10-24T00:00:00.000Z'
+		]
+	);
+	assert(defaults.every(event => event.minutesLeft === 180));
+
+	// Phase times follow the schedule's timezone across DST changes (US DST starts 2026-03-08)
+	const denver = { ...DEFAULT_SCHEDULE, timezone: 'America/Denver', warHour: 20, startDays: [6], endDays: [0] };
+	assert.deepStrictEqual(
+		listPhaseTimes(denver, new Date('2026-03-06T00:00:00Z'), new Date('2026-03-10T00:00:00Z')).map(phase => `${phase.phase} ${phase.at.toISOString()}`),
+		['start 2026-03-08T03:00:00.000Z', 'end 2026-03-09T02:00:00.000Z']
+	);
+
+	// Several reminders plus the "war has begun" ping, each with a matching countdown
+	const multiStage = { ...DEFAULT_SCHEDULE, endReminders: [720, 180, 30], startedPing: true };
+	const events = listWarEvents(multiStage, new Date('2026-10-19T00:00:00Z'), new Date('2026-10-20T03:00:00Z'));
+	assert.deepStrictEqual(
+		events.map(event => `${event.type} ${event.fireAt.toISOString()} ${formatTimeLeft(event.minutesLeft)}`),
+		[
+			'defense 2026-10-19T00:00:00.000Z 3 hours',
+			'started 2026-10-19T03:00:00.000Z moments',
+			'attack 2026-10-19T15:00:00.000Z 12 hours',
+			'attack 2026-10-20T00:00:00.000Z 3 hours',
+			'attack 2026-10-20T02:30:00.000Z 30 minutes'
+		]
+	);
+
+	assert.deepStrictEqual(parseOffsets('12h, 3h,30m,1h30m'), [720, 180, 90, 30]);
+	assert.strictEqual(parseOffsets('0m'), null);
+	assert.strictEqual(parseOffsets('49h'), null, 'Reminders should stay within 48 hours');
+	assert.strictEqual(parseOffsets('soon'), null);
+	assert.strictEqual(formatTimeLeft(90), '1 hour 30 minutes');
+
+	const announcement = formatAnnouncement('⚔️ {role} **Guild war ends in {timeLeft}.**', 'none', { timeLeft: formatTimeLeft(30) });
+	assert.strictEqual(announcement.content, '⚔️ **Guild war ends in 30 minutes.**');
+}
+
+function testScheduleOverrides() {
+	const from = new Date('2026-10-19T00:00:00Z');
+	const to = new Date('2026-10-26T00:00:00Z');
+	const describe = schedule => listWarEvents(schedule, from, to).map(event => `${event.type} ${event.fireAt.toISOString()}`);
+
+	// Skipping Tue 2026-10-20 drops that phase (and its reminder); ranges cover every day inside them
+	assert.deepStrictEqual(describe({ ...DEFAULT_SCHEDULE, skips: [{ from: '2026-10-20', to: '2026-10-20' }] }), [
+		'defense 2026-10-19T00:00:00.000Z',
+		'defense 2026-10-21T00:00:00.000Z',
+		'attack 2026-10-22T00:00:00.000Z',
+		'defense 2026-10-23T00:00:00.000Z',
+		'attack 2026-10-24T00:00:00.000Z'
+	]);
+	assert.deepStrictEqual(describe({ ...DEFAULT_SCHEDULE, skips: [{ from: '2026-10-19', to: '2026-10-25' }] }), []);
+
+	// A one-off shift moves a single phase with its reminders
+	const shifted = listWarEvents({ ...DEFAULT_SCHEDULE, shifts: [{ phaseAt: '2026-10-21T03:00:00.000Z', minutes: 120 }] }, from, to);
+	assert.deepStrictEqual(
+		shifted.filter(event => event.shiftMinutes).map(event => `${event.type} ${event.fireAt.toISOString()}`),
+		['defense 2026-10-21T02:00:00.000Z']
+	);
+	assert.strictEqual(shifted.length, 6, 'Other phases should keep their regular times');
+
+	assert.strictEqual(parseShift('+2h'), 120);
+	assert.strictEqual(parseShift('-1h30m'), -90);
+	assert.strictEqual(parseShift('2h'), null, 'Shifts need an explicit direction');
+	assert.strictEqual(parseShift('+25h'), null);
+	assert.strictEqual(parseDate('2026-11-02'), '2026-11-02');
+	assert.strictEqual(parseDate('2026-02-30'), null);
+	assert.strictEqual(parseDate('11/02/2026'), null);
+
+	const pruned = pruneOverrides({
+		skips: [{ from: '2026-10-01', to: '2026-10-02' }, { from: '2026-11-02', to: '2026-11-02' }],
+		shifts: [{ phaseAt: '2026-10-01T03:00:00.000Z', minutes: 60 }, { phaseAt: '2026-10-21T03:00:00.000Z', minutes: 60 }]
+	}, from);
+	assert.deepStrictEqual(pruned.skips, [{ from: '2026-11-02', to: '2026-11-02' }], 'Past skips should be pruned');
+	assert.deepStrictEqual(pruned.shifts.map(shift => shift.phaseAt), ['2026-10-21T03:00:00.000Z'], 'Past shifts should be pruned');
+
+	const upcoming = formatUpcoming({ ...DEFAULT_SCHEDULE, channels: ['1'], shifts: [{ phaseAt: '2026-10-21T03:00:00.000Z', minutes: 120 }] }, from);
+	const upcomingLines = upcoming.split('\n').filter(line => line.startsWith('•'));
+	assert.strictEqual(upcomingLines.length, 10, 'Upcoming should list the next ten announcements');
+	assert(upcomingLines[0].includes(`<t:${Date.parse('2026-10-19T00:00:00Z') / 1000}:F>`));
+	assert(upcomingLines[2].includes('(shifted +2h)'));
+	assert(formatUpcoming({ ...DEFAULT_SCHEDULE, startDays: [], endDays: [] }, from).includes('No announcements'));
+}
+
+function testCalendar() {
+	const now = new Date('2026-10-19T12:00:00Z');
+	const schedule = {
+		...DEFAULT_SCHEDULE,
+		skips: [{ from: '2026-10-23', to: '2026-10-24' }],
+		shifts: [{ phaseAt: '2026-10-21T03:00:00.000Z', minutes: 120 }]
+	};
+
+	const wars = listWars(schedule, new Date('2026-10-19T00:00:00Z'), new Date('2026-10-26T00:00:00Z'));
+	assert.deepStrictEqual(
+		wars.map(war => `${war.start.at.toISOString()} ${war.end.at.toISOString()}`),
+		['2026-10-19T03:00:00.000Z 2026-10-20T03:00:00.000Z', '2026-10-21T05:00:00.000Z 2026-10-22T03:00:00.000Z'],
+		'Wars should pair each start with the next end, honoring skips and shifts'
+	);
+
+	// Skipping only an end leaves its start unpaired instead of stretching it into the next war
+	const endSkipped = listWars({ ...DEFAULT_SCHEDULE, skips: [{ from: '2026-10-20', to: '2026-10-20' }] },
+		new Date('2026-10-19T00:00:00Z'), new Date('2026-10-26T00:00:00Z'));
+	assert.deepStrictEqual(
+		endSkipped.map(war => war.start.at.toISOString()),
+		['2026-10-21T03:00:00.000Z', '2026-10-23T03:00:00.000Z'],
+		'A start whose end was skipped should be dropped'
+	);
+	assert(endSkipped.every(war => war.end.at - war.start.at === 24 * 60 * 60 * 1000));
+
+	const calendar = buildGuildWarCalendar(schedule, { guildId: '42', guildName: 'Briar, Witches', now });
+	const lines = calendar.split('\r\n');
+	assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+	assert(calendar.endsWith('END:VCALENDAR\r\n'), 'Calendars should use CRLF line endings');
+	assert(lines.includes('X-WR-CALNAME:Guild War - Briar\\, Witches'), 'Text values should be escaped');
+	assert(lines.includes('DTSTART:20261021T050000Z'), 'Shifted wars should use the shifted time');
+	assert(lines.includes('SUMMARY:Guild War (rescheduled)'));
+	assert(!lines.includes('DTSTART:20261023T030000Z'), 'Skipped wars should be left out');
+	assert(lines.includes('TRIGGER:-PT180M'), 'Start reminders should become alarms');
+	assert(lines.every(line => Buffer.byteLength(line) <= 75), 'Lines should be folded to 75 octets');
+	assert.strictEqual(
+		buildGuildWarCalendar(schedule, { guildId: '42', now }),
+		buildGuildWarCalendar(schedule, { guildId: '42', now }),
+		'Feeds should be stable for the same schedule'
+	);
+}
+
+function testCalendarTokens() {
+	const settingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'briar-calendar-token-'));
+	const settingsStore = new GuildSettingsStore({ settingsFile: path.join(settingsDir, 'guild-settings.json') });
+
+	try {
+		assert.strictEqual(isValidCalendarToken(settingsStore, '42', 'abc'), false, 'Guilds without a token serve no feed');
+
+		const token = getCalendarToken(settingsStore, '42');
+		assert.match(token, /^[a-f0-9]{32}$/);
+		assert.strictEqual(getCalendarToken(settingsStore, '42'), token, 'The token should be stable');
+		assert.strictEqual(isValidCalendarToken(settingsStore, '42', token), true);
+		assert.strictEqual(isValidCalendarToken(settingsStore, '43', token), false, 'Tokens belong to one guild');
+		assert.strictEqual(isValidCalendarToken(settingsStore, '42', null), false);
+		assert.strictEqual(settingsStore.getGuildSettings('42').guildWar, undefined, 'A feed token should not make the schedule custom');
+
+		const rotated = getCalendarToken(settingsStore, '42', { rotate: true });
+		assert.notStrictEqual(rotated, token);
+		assert.strictEqual(isValidCalendarToken(settingsStore, '42', token), false, 'Rotating should revoke the old token');
+	} finally {
+		fs.rmSync(settingsDir, { recursive: true, force: true });
+	}
+}
+
+async function testSchedulerTick() {
+	const sent = [];
+	const channel = { guildId: 'guild-t', isTextBased: () => true, send: async (payload) => sent.push(payload) };
+	const client = { channels: { fetch: async () => channel } };
+	const settingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'briar-guild-war-tick-'));
+	const settingsStore = new GuildSettingsStore({ settingsFile: path.join(settingsDir, 'guild-settings.json') });
+	const attendanceStore = new AttendanceStore({ attendanceFile: path.join(settingsDir, 'attendance.json') });
+
+	try {
+		settingsStore.updateGuildSettings('guild-t', settings => {
+			settings.guildWar = { channels: ['444'], ping: 'none', endReminders: [180, 30] };
+		});
+		initializeGuildWarScheduler(client, { settingsStore, attendanceStore });
+
+		await runSchedulerTick(client, new Date('2026-10-19T23:59:30Z'));
+		await runSchedulerTick(client, new Date('2026-10-20T00:00:01Z'));
+		assert.strictEqual(sent.length, 1, 'A tick should post events that came due since the last one');
+		assert(sent[0].content.includes('ends in 3 hours'));
+		assert.strictEqual(sent[0].components.length, 1, 'Attack reminders should carry check-in buttons');
+		assert.deepStrictEqual(
+			attendanceStore.listWars('guild-t').map(war => war.endsAt),
+			['2026-10-20T03:00:00.000Z'],
+			'Announced wars should be registered for attendance'
+		);
+
+		await runSchedulerTick(client, new Date('2026-10-20T00:01:00Z'));
+		assert.strictEqual(sent.length, 1, 'Events should only be posted once');
+
+		await runSchedulerTick(client, new Date('2026-10-20T02:30:05Z'));
+		assert.strictEqual(sent.length, 2, 'Missed minutes should be caught up within the limit');
+		assert(sent[1].content.includes('ends in 30 minutes'));
+	} finally {
+		stopGuildWarScheduler();
+		fs.rmSync(settingsDir, { recursive: true, force: true });
+	}
+}
+
+async function testTestAnnouncements() {
+	const posted = [];
+	const client = { channels: { fetch: async () => { throw new Error('Test runs must not touch production channels'); } } };
+	const testChannel = { id: '555', guildId: 'guild-p', send: async (payload) => posted.push(payload) };
+	const guild = { id: 'guild-p', channels: { cache: new Map([['444', {}], ['445', {}]]) } };
+	const settingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'briar-guild-war-preview-'));
+	const settingsStore = new GuildSettingsStore({ settingsFile: path.join(settingsDir, 'guild-settings.json') });
+
+	try {
+		settingsStore.updateGuildSettings('guild-p', settings => {
+			settings.guildWar = { channels: ['444', '445'], ping: 'role:77', channelPings: { 445: 'none' }, startedPing: true };
+		});
+		initializeGuildWarScheduler(client, { settingsStore });
+
+		await testAnnouncements(testChannel, 'both');
+		assert.strictEqual(posted.length, 2, 'Both types should be posted to the invoking channel');
+		assert(posted.every(payload => payload.content.includes('<@&77>')), 'Test posts should show the ping target');
+		assert(posted.every(payload => payload.allowedMentions.parse.length === 0 && !payload.allowedMentions.roles), 'Test posts should not ping by default');
+
+		await testAnnouncements(testChannel, 'attack', { ping: true });
+		assert.deepStrictEqual(posted[2].allowedMentions, { parse: [], roles: ['77'] }, 'The ping option should ping the real target');
+
+		const preview = formatAnnouncementPreview(guild, new Date('2026-10-19T12:00:00Z'));
+		assert(preview.includes(`<t:${Date.parse('2026-10-20T00:00:00Z') / 1000}:F>`), 'Preview should show when the next announcement fires');
+		assert(preview.includes('Reminder: war ends in 3 hours'));
+		assert(preview.includes('<#444> (<@&77>), <#445> (no ping)'), 'Preview should list target channels with their pings');
+		assert(/Sample in <#444>: .*<@&77>.*ends in 3 hours/.test(preview), 'Preview should include a sample line');
+		const overriddenSample = preview.split('\n').find(line => line.startsWith('Sample in <#445>:'));
+		assert(overriddenSample && !overriddenSample.includes('<@&77>'), 'Channels with their own ping should be sampled with it');
+
+		assert(formatAnnouncementPreview({ id: 'guild-none', channels: { cache: new Map() } }, new Date('2026-10-19T12:00:00Z'))
+			.includes('No announcement channels'), 'Preview should warn when nothing would be posted');
+	} finally {
+		stopGuildWarScheduler();
+		fs.rmSync(settingsDir, { recursive: true, force: true });
+	}
+}
+
+async function testAttendance() {
+	const settingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'briar-attendance-'));
+	const attendanceFile = path.join(settingsDir, 'attendance.json');
+
+	try {
+		const store = new AttendanceStore({ attendanceFile, maxWars: 3 });
+		const wars = ['2026-10-20T03:00:00Z', '2026-10-22T03:00:00Z', '2026-10-24T03:00:00Z', '2026-10-27T03:00:00Z']
+			.map(iso => new Date(iso));
+		wars.forEach(endsAt => store.registerWar('guild-a', String(endsAt.getTime()), endsAt));
+
+		const ada = { id: '1', username: 'ada' };
+		const bram = { id: '2', username: 'bram, the "bold"' };
+		store.recordResponse('guild-a', String(wars[1].getTime()), wars[1], bram, 'attacked');
+		store.recordResponse('guild-a', String(wars[3].getTime()), wars[3], ada, 'cant-attack');
+		store.recordResponse('guild-a', String(wars[3].getTime()), wars[3], ada, 'attacked');
+
+		const reloaded = new AttendanceStore({ attendanceFile, maxWars: 3 });
+		assert.strictEqual(reloaded.listWars('guild-a', 10).length, 3, 'Only the newest wars should be kept');
+		assert.strictEqual(reloaded.listWars('guild-a', 1)[0].responses['1'].status, 'attacked', 'Later answers should replace earlier ones');
+
+		const roster = { 1: 'ada', 2: 'bram, the "bold"', 3: 'cass' };
+		const lastTwo = buildAttendanceReport(reloaded.listWars('guild-a', 2), roster);
+		assert.deepStrictEqual(lastTwo.neverCheckedIn.map(row => row.username), ['bram, the "bold"', 'cass']);
+		assert.deepStrictEqual(lastTwo.rows.find(row => row.userId === '1'), {
+			userId: '1', username: 'ada', wars: 2, checkedIn: 1, attacked: 1, cantAttack: 0
+		});
+		assert(formatAttendanceReport(lastTwo, 'members').includes('Never checked in (2)'));
+
+		const csv = attendanceReportToCsv(lastTwo).split('\n');
+		assert.strictEqual(csv[0], 'user_id,username,wars,checked_in,attacked,cant_attack');
+		assert(csv.includes('2,"bram, the ""bold""",2,0,0,0'), 'CSV should escape usernames');
+
+		assert.deepStrictEqual(Object.keys(reloaded.getResponders('guild-a')).sort(), ['1', '2'], 'Responders form the fallback roster');
+		assert(formatAttendanceReport(buildAttendanceReport([], roster), 'members').includes('No guild wars'));
+
+		// With the Server Members intent the roster is the full member list, bots excluded
+		const member = (id, username, bot = false) => [id, { id, user: { username, bot } }];
+		const fakeGuild = intents => ({
+			id: 'guild-a',
+			client: { options: { intents: new IntentsBitField(intents) } },
+			members: { fetch: async () => new Map([member('1', 'ada'), member('3', 'cass'), member('9', 'BriarBot', true)]) }
+		});
+		const fromMembers = await getGuildRoster(fakeGuild([GatewayIntentBits.Guilds, GatewayIntentBits.GuildMembers]), reloaded);
+		assert.deepStrictEqual(fromMembers, { roster: { 1: 'ada', 3: 'cass' }, source: 'members' });
+		assert.deepStrictEqual(
+			buildAttendanceReport(reloaded.listWars('guild-a', 2), fromMembers.roster).neverCheckedIn.map(row => row.username),
+			['cass'],
+			'Members who never pressed a button should be reported'
+		);
+		const fromResponders = await getGuildRoster(fakeGuild([GatewayIntentBits.Guilds]), reloaded);
+		assert.strictEqual(fromResponders.source, 'responders', 'Without the intent only responders are known');
+		assert.deepStrictEqual(Object.keys(fromResponders.roster).sort(), ['1', '2']);
+
+		// A corrupt attendance file is moved aside, not overwritten by the next save
+		fs.writeFileSync(attendanceFile, '{ not json');
+		const recovered = new AttendanceStore({ attendanceFile });
+		recovered.registerWar('guild-a', String(wars[3].getTime()), wars[3]);
+		assert.strictEqual(fs.readFileSync(`${attendanceFile}.corrupt`, 'utf8'), '{ not json', 'The unreadable file should be kept');
+		assert.strictEqual(new AttendanceStore({ attendanceFile }).listWars('guild-a', 10).length, 1);
+	} finally {
+		fs.rmSync(settingsDir, { recursive: true, force: true });
+	}
+}
+
+function testGuildSchedules() {
+	const settingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'briar-guild-war-'));
+	const settingsStore = new GuildSettingsStore({ settingsFile: path.join(settingsDir, 'guild-settings.json') });
+	const previousChannels = process.env.GUILD_WAR_ANNOUNCEMENT_CHANNELS;
+	process.env.GUILD_WAR_ANNOUNCEMENT_CHANNELS = '111, 222';
+
+	try {
+		initializeGuildWarScheduler(fakeClient, { settingsStore });
+
+		const legacy = resolveSchedule('guild-a');
+		assert.deepStrictEqual(legacy.channels, ['111', '222'], 'Unconfigured guilds should fall back to the env channels');
+		assert.strictEqual(legacy.warHour, DEFAULT_SCHEDULE.warHour);
+
+		settingsStore.updateGuildSettings('guild-a', settings => {
+			settings.guildWar = { channels: ['333'], warHour: 20, timezone: 'America/Denver', endDays: [1, 3, 5] };
+		});
+		const custom = resolveSchedule('guild-a');
+		assert.deepStrictEqual(custom.channels, ['333']);
+		assert.strictEqual(custom.timezone, 'America/Denver');
+		assert.deepStrictEqual(custom.startDays, DEFAULT_SCHEDULE.startDays, 'Unset fields should use the defaults');
+		assert.strictEqual(rescheduleGuild(fakeClient, 'guild-a'), true, 'Configured guilds should get their own jobs');
+
+		settingsStore.updateGuildSettings('guild-a', settings => {
+			settings.guildWar.enabled = false;
+		});
+		assert.strictEqual(rescheduleGuild(fakeClient, 'guild-a'), false, 'Disabled guilds should have no jobs');
+	} finally {
+		stopGuildWarScheduler();
+		if (previousChannels === undefined) {
+			delete process.env.GUILD_WAR_ANNOUNCEMENT_CHANNELS;
+		} else {
+			process.env.GUILD_WAR_ANNOUNCEMENT_CHANNELS = previousChannels;
+		}
+		fs.rmSync(settingsDir, { recursive: true, force: true });
+	}
+}
+
+async function testMessagePackUpload() {
+	const settingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'briar-pack-upload-'));
+	const settingsStore = new GuildSettingsStore({ settingsFile: path.join(settingsDir, 'guild-settings.json') });
+	const bodies = {
+		'/pack.json': JSON.stringify({ attack: ['Ends in {timeLeft}'] }),
+		'/huge.json': JSON.stringify({ attack: ['x'.repeat(40 * 1024)] })
+	};
+	const server = http.createServer((req, res) => {
+		res.writeHead(200, { 'Content-Type': 'application/json' });
+		res.end(bodies[req.url] || '{}');
+	});
+	await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+	const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+	const upload = async attachment => {
+		const replies = [];
+		await handleGuildWarCommand({
+			guildId: 'guild-u',
+			guild: { id: 'guild-u', name: 'Upload Guild' },
+			content: '!guildwar messages upload',
+			member: { permissions: { has: () => true } },
+			attachments: { first: () => attachment },
+			reply: async payload => replies.push(payload)
+		}, { client: null, settingsStore });
+		return replies[0].content;
+	};
+
+	try {
+		assert(/must be \.json/.test(await upload({ name: 'pack.png', contentType: 'image/png', size: 10, url: `${baseUrl}/pack.json` })),
+			'Non-JSON attachments should be refused before downloading');
+		assert(/at most/.test(await upload({ name: 'pack.json', contentType: 'application/json', size: 64 * 1024, url: `${baseUrl}/huge.json` })));
+		assert(/Could not read/.test(await upload({ name: 'pack.json', contentType: 'application/json', size: 10, url: `${baseUrl}/huge.json` })),
+			'Bodies over the limit should be refused even if the attachment size was understated');
+
+		await upload({ name: 'pack.json', contentType: 'application/json; charset=utf-8', size: 40, url: `${baseUrl}/pack.json` });
+		const guildWar = settingsStore.getGuildSettings('guild-u').guildWar;
+		assert.strictEqual(guildWar.messagePack, 'custom');
+		assert.deepStrictEqual(guildWar.customMessages.attack, ['Ends in {timeLeft}']);
+	} finally {
+		server.close();
+		fs.rmSync(settingsDir, { recursive: true, force: true });
+	}
+}
+
+async function run() {
+	testConfigParsing();
+	testPingTargets();
+	testMessagePacks();
+	testWarPhases();
+	testScheduleOverrides();
+	testCalendar();
+	testCalendarTokens();
+	testGuildSchedules();
+	await testAttendance();
+	await testSchedulerTick();
+	await testTestAnnouncements();
+	await testMessagePackUpload();
+
+	console.log('Guild war test suite passed.');
+}
+
+run().catch(error => {
+	console.error(error);
+	process.exit(1);
+});